@@ -1,4 +1,5 @@
 // @ts-check
+import { writeFileSync } from 'fs';
 import { InvalidArgumentError } from 'commander';
 import { configExists } from '../lib/config.js';
 import {
@@ -9,6 +10,7 @@ import {
     createSpinner,
     classifyError,
 } from '../lib/output.js';
+import { REPORT_FORMATS, renderResultsReport } from '../lib/playbook/export.js';
 
 export function ensureConfigured() {
     if (!configExists()) {
@@ -54,6 +56,43 @@ export function collectKeyValue(value, previous = {}) {
 export const collectInput = collectKeyValue;
 export const collectVar = collectKeyValue;
 
+// Everything piped on stdin, as UTF-8 text.
+export async function readAllStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// `--report <format>` for the playbook run commands.
+export function parseReportFormat(value) {
+    if (!REPORT_FORMATS.includes(value)) {
+        throw new InvalidArgumentError(`must be one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    return value;
+}
+
+// Why `--report` / `--report-file` can't be used as given, or null.
+export function reportOptionsError(opts) {
+    if (opts.report && !opts.reportFile) return '--report needs --report-file <path>.';
+    if (opts.reportFile && !opts.report) return '--report-file needs --report <format>.';
+    if (opts.report && opts.dryRun) return '--report does not apply to --dry-run (nothing is run).';
+    return null;
+}
+
+// Write the `--report` rendering of playbook results to `--report-file`.
+// Exits through printErr when the file can't be written.
+export function writeResultsReport(opts, results, meta) {
+    if (!opts.report) return null;
+    try {
+        writeFileSync(opts.reportFile, renderResultsReport(opts.report, results, meta), 'utf8');
+    } catch (err) {
+        printErr(`Could not write report to ${opts.reportFile}: ${err.message}`, { code: 'error' });
+    }
+    return opts.reportFile;
+}
+
 // Resolve a dot-path against a nested object. Returns `undefined` as soon
 // as any intermediate hop is missing — matching the previous inline
 // `reduce((o, k) => o && o[k], obj)` behaviour across the CLI.
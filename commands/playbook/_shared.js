@@ -8,5 +8,9 @@ export {
     collectVar,
     collectInput,
     extractField,
+    parseReportFormat,
+    readAllStdin,
+    reportOptionsError,
+    writeResultsReport,
     ProgressSpinner,
 } from '../_shared.js';
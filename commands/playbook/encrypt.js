@@ -0,0 +1,51 @@
+// @ts-check
+import { encryptSecret, loadSecretKey } from '../../lib/playbook/secrets.js';
+import { isJsonMode, printOk, printErr } from '../../lib/output.js';
+import { hint } from '../../lib/format.js';
+import { applyJsonFlag, readAllStdin } from './_shared.js';
+
+export function registerEncryptCommand(playbook) {
+    playbook
+        .command('encrypt [value]')
+        .helpGroup('Playbook:')
+        .description('Encrypt a value for a secret playbook var (reads stdin when no value is given)')
+        .option(
+            '--secret-key-file <path>',
+            'Passphrase file to encrypt with (default: $THINR_PLAYBOOK_SECRET)',
+        )
+        .option('-j, --json', 'Output as JSON')
+        .action(async (value, opts) => {
+            applyJsonFlag(opts);
+            try {
+                const key = loadSecretKey({ keyFile: opts.secretKeyFile });
+                if (!key) {
+                    printErr('No passphrase. Pass --secret-key-file or set THINR_PLAYBOOK_SECRET.', {
+                        code: 'input_error',
+                    });
+                    return;
+                }
+                let plaintext = value;
+                if (plaintext === undefined) {
+                    if (process.stdin.isTTY) {
+                        printErr('No value given. Pass it as an argument or pipe it on stdin.', {
+                            code: 'input_error',
+                        });
+                        return;
+                    }
+                    // `echo secret | thinr playbook encrypt` — drop the newline.
+                    plaintext = (await readAllStdin()).replace(/\r?\n$/, '');
+                }
+                const encrypted = encryptSecret(plaintext, key);
+                if (isJsonMode()) {
+                    printOk({ value: encrypted });
+                    return;
+                }
+                console.log(encrypted);
+                if (process.stdout.isTTY) {
+                    console.error(hint('Use it as the value of a var declared with `secret: true`.'));
+                }
+            } catch (err) {
+                printErr(err.message, { code: 'input_error' });
+            }
+        });
+}
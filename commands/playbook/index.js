@@ -1,4 +1,5 @@
 // @ts-check
+import { registerEncryptCommand } from './encrypt.js';
 import { registerRunCommand } from './run.js';
 import { registerValidateCommand } from './validate.js';
 
@@ -15,4 +16,5 @@ export function playbookCommand(program) {
 
     registerRunCommand(playbook);
     registerValidateCommand(playbook);
+    registerEncryptCommand(playbook);
 }
@@ -2,6 +2,7 @@
 import { dirname, resolve } from 'path';
 import { loadPlaybookFile } from '../../lib/playbook/loader.js';
 import { buildDryRunPlan, resolveTargets, runPlaybook } from '../../lib/playbook/runner.js';
+import { loadSecretKey, maskSecretVars } from '../../lib/playbook/secrets.js';
 import {
     isJsonMode,
     printOk,
@@ -16,6 +17,9 @@ import {
     getGlobalUser,
     parsePositiveInt,
     collectVar,
+    parseReportFormat,
+    reportOptionsError,
+    writeResultsReport,
 } from './_shared.js';
 
 export function registerRunCommand(playbook) {
@@ -36,11 +40,23 @@ export function registerRunCommand(playbook) {
         .option('--fail-fast', 'Stop dequeueing new devices on the first failure')
         .option('--continue-on-error', 'Keep running subsequent steps on a device even if one fails')
         .option('-v, --var <key=value>', 'Override a playbook variable (repeatable)', collectVar, {})
+        .option(
+            '--secret-key-file <path>',
+            'Passphrase file for encrypted playbook vars (default: $THINR_PLAYBOOK_SECRET)',
+        )
+        .option('--report <format>', 'Also write the results as a test report: junit, tap or markdown', parseReportFormat)
+        .option('--report-file <path>', 'File the --report is written to')
         .action(async (file, opts, cmd) => {
             applyJsonFlag(opts);
             ensureConfigured();
             const user = getGlobalUser(cmd);
 
+            const reportError = reportOptionsError(opts);
+            if (reportError) {
+                printErr(reportError, { code: 'input_error' });
+                return;
+            }
+
             let pb;
             try {
                 pb = loadPlaybookFile(file);
@@ -67,7 +83,7 @@ export function registerRunCommand(playbook) {
                     printOk({
                         name: pb.name,
                         target: pb.target,
-                        vars: pb.vars,
+                        vars: maskSecretVars(pb, pb.vars),
                         steps: plan,
                     });
                     return;
@@ -84,14 +100,26 @@ export function registerRunCommand(playbook) {
                 console.log(label(`\nPlan (${plan.length} step${plan.length === 1 ? '' : 's'}):`));
                 for (const s of plan) {
                     const pause = s.pause_after ? muted(`  then pause ${s.pause_after}s`) : '';
+                    const rolling = s.run_once ? muted('  run once') : s.serial ? muted(`  serial ${s.serial}`) : '';
+                    // Steps nested in a block are indented under it, unnumbered.
+                    const num = s.depth ? '   ' : hint(String(s.index + 1).padStart(2) + '.');
+                    const nest = s.section ? '  '.repeat(s.depth) + muted(`${s.section}: `) : '';
                     console.log(
-                        `  ${hint(String(s.index + 1).padStart(2) + '.')} ` +
-                            `${label(s.name)}  ${muted(`(${s.action})`)}${pause}`,
+                        `  ${num} ${nest}` +
+                            `${label(s.name)}  ${muted(`(${s.action})`)}${rolling}${pause}`,
                     );
                 }
                 return;
             }
 
+            let secretKey;
+            try {
+                secretKey = loadSecretKey({ keyFile: opts.secretKeyFile });
+            } catch (err) {
+                printErr(err.message, { code: 'input_error' });
+                return;
+            }
+
             // ── Resolve targets ──────────────────────────────────────
             const resolveSpinner = createSpinner('Resolving targets...').start();
             let devices;
@@ -106,6 +134,7 @@ export function registerRunCommand(playbook) {
             }
 
             if (devices.length === 0) {
+                writeResultsReport(opts, [], { name: pb.name, mode: opts.check ? 'check' : 'apply' });
                 if (isJsonMode()) {
                     printOk({ name: pb.name, devices: [], results: [] });
                 } else {
@@ -130,6 +159,7 @@ export function registerRunCommand(playbook) {
                 baseDir: dirname(resolve(file)),
                 checkMode: !!opts.check,
                 continueOnError: !!opts.continueOnError,
+                secretKey,
                 onStepEnd: () => {
                     // bump the spinner whenever any device finishes its
                     // last step. Cheaper than a per-step counter when
@@ -140,6 +170,9 @@ export function registerRunCommand(playbook) {
             done = results.length;
             runSpinner.stop();
 
+            const mode = opts.check ? 'check' : 'apply';
+            const reportFile = writeResultsReport(opts, results, { name: pb.name, mode });
+
             // ── Render ───────────────────────────────────────────────
             const verdictTotals = aggregateVerdicts(results);
 
@@ -148,7 +181,7 @@ export function registerRunCommand(playbook) {
                 printOk({
                     name: pb.name,
                     target: pb.target,
-                    mode: opts.check ? 'check' : 'apply',
+                    mode,
                     summary: {
                         total: results.length,
                         ok: okCount,
@@ -156,6 +189,7 @@ export function registerRunCommand(playbook) {
                         ...(opts.check ? { verdicts: verdictTotals } : {}),
                     },
                     results,
+                    ...(reportFile ? { report_file: reportFile } : {}),
                 });
                 return;
             }
@@ -166,7 +200,7 @@ export function registerRunCommand(playbook) {
                 12,
             );
             for (const r of results) {
-                const fails = r.steps.filter((s) => !s.ok && !s.skipped);
+                const fails = r.steps.filter((s) => !s.ok && !s.skipped && !s.rescued);
                 const statusTag = r.ok ? success('success') : errorStyle('failed ');
                 let durationMs = 0;
                 for (const s of r.steps) durationMs += s.durationMs || 0;
@@ -198,36 +232,38 @@ export function registerRunCommand(playbook) {
                 const failedStepIndices = new Set();
                 for (const r of results) {
                     for (const s of r.steps) {
-                        if (!s.ok && !s.skipped) failedStepIndices.add(s.index);
+                        if (!s.ok && !s.skipped && !s.rescued) failedStepIndices.add(s.index);
                     }
                 }
                 const sortedIndices = [...failedStepIndices].sort((a, b) => a - b);
                 console.log(label('\nFailed steps:'));
                 for (const idx of sortedIndices) {
-                    const header = `${String(idx + 1).padStart(2)}. ${pb.steps[idx].name}`;
+                    const header = stepHeader(pb, idx);
                     console.log(`  ${label(header)}`);
                     for (const r of results) {
-                        const s = r.steps.find((x) => x.index === idx);
-                        if (!s || s.ok || s.skipped) continue;
-                        console.log(
-                            `    ${errorStyle('!')} ${r.device.padEnd(20)} ${muted(s.summary)}`,
-                        );
+                        for (const s of r.steps.filter((x) => x.index === idx)) {
+                            if (s.ok || s.skipped || s.rescued) continue;
+                            console.log(
+                                `    ${errorStyle('!')} ${r.device.padEnd(20)} ${muted(iterationPrefix(s) + s.summary)}`,
+                            );
+                        }
                     }
                 }
             }
             if (opts.check) {
                 console.log(label('\nCheck details:'));
-                const stepCount = pb.steps.length;
+                const stepCount = pb.steps.length + pb.handlers.length;
                 for (let idx = 0; idx < stepCount; idx++) {
-                    const header = `${String(idx + 1).padStart(2)}. ${pb.steps[idx].name}`;
+                    const header = stepHeader(pb, idx);
                     console.log(`  ${label(header)}`);
                     for (const r of results) {
-                        const s = r.steps.find((x) => x.index === idx);
-                        if (!s) continue;
-                        const tag = verdictTag(s);
-                        console.log(
-                            `    ${tag} ${r.device.padEnd(20)} ${muted(s.summary)}`,
-                        );
+                        for (const s of r.steps.filter((x) => x.index === idx)) {
+                            const tag = verdictTag(s);
+                            console.log(
+                                `    ${tag} ${r.device.padEnd(20)} ${muted(iterationPrefix(s) + s.summary)}`,
+                            );
+                            for (const line of s.diff || []) console.log(`        ${diffLine(line)}`);
+                        }
                     }
                 }
                 console.log(
@@ -238,13 +274,29 @@ export function registerRunCommand(playbook) {
                     ),
                 );
             }
+            if (reportFile) console.log(muted(`\nTest report (${opts.report}): ${reportFile}`));
         });
 }
 
+// Handler entries are indexed after the last step.
+function stepHeader(pb, idx) {
+    if (idx < pb.steps.length) return `${String(idx + 1).padStart(2)}. ${pb.steps[idx].name}`;
+    return `    handler: ${pb.handlers[idx - pb.steps.length].name}`;
+}
+
+// Looped steps and the steps inside a block record several entries
+// under the same top-level index; tag each line so the rows stay
+// distinguishable.
+function iterationPrefix(s) {
+    if (s.section && s.section !== 'handler') return `${s.section}: ${s.name} · `;
+    return s.loopIndex === undefined ? '' : `[${s.loopIndex}] `;
+}
+
 function perDeviceCheckCounts(r) {
-    const counts = { changed: 0, unchanged: 0, unknown: 0, failed: 0, skipped: 0 };
+    const counts = { changed: 0, unchanged: 0, unknown: 0, failed: 0, rescued: 0, skipped: 0 };
     for (const s of r.steps) {
-        if (!s.ok) counts.failed += 1;
+        if (s.rescued) counts.rescued += 1;
+        else if (!s.ok) counts.failed += 1;
         else if (s.skipped) counts.skipped += 1;
         else if (s.verdict && s.verdict in counts) counts[s.verdict] += 1;
     }
@@ -254,6 +306,7 @@ function perDeviceCheckCounts(r) {
         `${hint('?' + counts.unknown)}`,
     ];
     if (counts.failed) parts.push(errorStyle(`!${counts.failed}`));
+    if (counts.rescued) parts.push(warning(`~${counts.rescued}`));
     if (counts.skipped) parts.push(muted(`·${counts.skipped}`));
     return parts.join('  ');
 }
@@ -262,15 +315,18 @@ function perDeviceApplyCounts(r) {
     let changed = 0;
     let unchanged = 0;
     let failed = 0;
+    let rescued = 0;
     let skipped = 0;
     for (const s of r.steps) {
-        if (!s.ok) failed += 1;
+        if (s.rescued) rescued += 1;
+        else if (!s.ok) failed += 1;
         else if (s.skipped) skipped += 1;
         else if (s.verdict === 'unchanged') unchanged += 1;
         else changed += 1;
     }
     const parts = [warning(`+${changed}`), muted(`=${unchanged}`)];
     if (failed) parts.push(errorStyle(`!${failed}`));
+    if (rescued) parts.push(warning(`~${rescued}`));
     if (skipped) parts.push(muted(`·${skipped}`));
     return parts.join('  ');
 }
@@ -286,7 +342,14 @@ function aggregateVerdicts(results) {
     return totals;
 }
 
+function diffLine(line) {
+    if (line.startsWith('+')) return success(line);
+    if (line.startsWith('-')) return errorStyle(line);
+    return muted(line);
+}
+
 function verdictTag(step) {
+    if (step.rescued) return warning('~');
     if (!step.ok) return errorStyle('!');
     if (step.skipped) return muted('·');
     switch (step.verdict) {
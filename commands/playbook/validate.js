@@ -23,13 +23,23 @@ export function registerValidateCommand(playbook) {
                             name: s.name,
                             action: s.action,
                         })),
+                        handlers: pb.handlers.map((h) => ({
+                            name: h.name,
+                            action: h.action,
+                        })),
+                        gather_facts: pb.gather_facts,
                     });
                     return;
                 }
                 console.log(success('✔ Playbook is valid'));
                 if (pb.name) console.log(label(pb.name));
                 if (pb.description) console.log(hint(pb.description));
-                console.log(hint(`${pb.steps.length} step(s)`));
+                console.log(
+                    hint(
+                        `${pb.steps.length} step(s)` +
+                            (pb.handlers.length ? ` · ${pb.handlers.length} handler(s)` : ''),
+                    ),
+                );
             } catch (error) {
                 const { message, code } = classifyError(error);
                 printErr(message, { code: code === 'error' ? 'input_error' : code });
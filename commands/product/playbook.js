@@ -6,15 +6,22 @@ import { confirm } from '@inquirer/prompts';
 import {
     deleteProductPlaybook,
     findProductPlaybook,
+    listFleetRunReports,
     listProductPlaybooks,
+    parseProductPlaybook,
+    readFleetRunReport,
     readProductPlaybook,
     uploadFleetRunReport,
     uploadProductPlaybook,
 } from '../../lib/product.js';
-import { parsePlaybook } from '../../lib/playbook/loader.js';
 import { buildDryRunPlan, runPlaybook } from '../../lib/playbook/runner.js';
 import { DEFAULT_FAILURE_THRESHOLD, runFleetPlaybook } from '../../lib/playbook/fleet.js';
 import { coerceCliVarValue, listVariables, resolveVarScope } from '../../lib/playbook/vars.js';
+import { isEncryptedSecret, loadSecretKey, maskSecretVars } from '../../lib/playbook/secrets.js';
+import { planResume } from '../../lib/playbook/resume.js';
+import { RUN_OUTCOMES, diffRunReports, reportDevices, summarizeRun } from '../../lib/playbook/runs.js';
+import { parseWaves, planWaves, resolveRolloutStrategy } from '../../lib/playbook/waves.js';
+import { createHealthCheck, describeGate } from '../../lib/playbook/gates.js';
 import { filterActiveDevices, getDevices } from '../../lib/devices.js';
 import { requireConfig } from '../../lib/config.js';
 import { inputError } from '../../lib/errors.js';
@@ -35,16 +42,12 @@ import {
     ensureConfigured,
     getGlobalUser,
     parsePositiveInt,
+    parseReportFormat,
+    readAllStdin,
+    reportOptionsError,
+    writeResultsReport,
 } from '../_shared.js';
 
-async function readAllStdin() {
-    const chunks = [];
-    for await (const chunk of process.stdin) {
-        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
-    }
-    return Buffer.concat(chunks).toString('utf8');
-}
-
 function registerList(playbook) {
     playbook
         .command('list <productId>')
@@ -264,19 +267,35 @@ function collectCliOverrides(pb, cliVarEntries, varsFilePath) {
 }
 
 function renderStepResult(step, stepIndex) {
-    const header = `${String(stepIndex + 1).padStart(2)}. ${step.name}`;
+    // Entries from inside a block share the block's index; show them
+    // under it as `section: name` instead of repeating the number.
+    const header = step.section
+        ? `    ${step.section}: ${step.name}`
+        : `${String(stepIndex + 1).padStart(2)}. ${step.name}`;
     if (step.skipped) {
         return `  ${muted('·')} ${label(header)}  ${muted(step.summary)}`;
     }
+    if (step.rescued) {
+        return `  ${warning('~')} ${label(header)}  ${muted(`${step.summary} (rescued)`)}`;
+    }
+    // Earlier attempts of a retried step, one line each.
+    const retries = (step.attempts || [])
+        .filter((a) => !a.ok)
+        .map((a) => `\n        ${muted(`attempt ${a.attempt}: ${a.summary}`)}`)
+        .join('');
     if (!step.ok) {
-        return `  ${errorStyle('!')} ${label(header)}  ${errorStyle(step.summary)}`;
+        return `  ${errorStyle('!')} ${label(header)}  ${errorStyle(step.summary)}${retries}`;
     }
     const verdict = step.verdict;
     let tag = success('+');
     if (verdict === 'unchanged') tag = muted('=');
     else if (verdict === 'unknown') tag = hint('?');
     const duration = muted(` (${step.durationMs}ms)`);
-    return `  ${tag} ${label(header)}  ${muted(step.summary)}${duration}`;
+    const diff = (step.diff || []).map((line) => {
+        const styled = line.startsWith('+') ? success(line) : line.startsWith('-') ? errorStyle(line) : muted(line);
+        return `\n        ${styled}`;
+    });
+    return `  ${tag} ${label(header)}  ${muted(step.summary)}${duration}${retries}${diff.join('')}`;
 }
 
 async function maybeConfirm({ productId, name, deviceId, steps, skipPrompt }) {
@@ -294,6 +313,7 @@ async function maybeConfirmFleet({
     deviceCount,
     batchSize,
     failureThreshold,
+    waves,
     skipPrompt,
 }) {
     if (skipPrompt) return true;
@@ -303,9 +323,18 @@ async function maybeConfirmFleet({
             'Fleet rollout requires interactive confirmation. Re-run with --yes in non-interactive shells.',
         );
     }
+    const staging = waves ? `in waves of ${waves.join(' → ')}` : `in batches of ${batchSize}`;
     const message =
         `${accent('Roll out')} "${name}" on product "${productId}" to ${deviceCount} device(s) ` +
-        `in batches of ${batchSize} (abort at ${failureThreshold}% failure, ${steps} step${steps === 1 ? '' : 's'} each)?`;
+        `${staging} (abort at ${failureThreshold}% failure, ${steps} step${steps === 1 ? '' : 's'} each)?`;
+    return confirm({ message, default: false });
+}
+
+/** Approval gate before each wave after the first; see waves.js. */
+async function confirmWave({ index, size, wave, cumulative }) {
+    const message =
+        `${accent('Continue')} with wave ${index + 1} (${wave}, ${size} device(s))? ` +
+        `So far ${cumulative.succeeded}/${cumulative.attempted} ok.`;
     return confirm({ message, default: false });
 }
 
@@ -339,6 +368,49 @@ function renderFleetResultTable(results) {
     return table.toString();
 }
 
+/**
+ * Print how a fleet rollout ended: the abort reason (with any failed
+ * health gates) or completion, the tally, and the per-device table
+ * when something failed or was skipped. Shared by `run --fleet` and
+ * `runs show`.
+ */
+function printRolloutOutcome({ reason, batches, failureThreshold, summary, deviceCount, results }) {
+    if (reason) {
+        console.log(
+            errorStyle(
+                `\nRollout aborted: ${
+                    reason === 'failure-threshold'
+                        ? `failure threshold ${failureThreshold}% reached`
+                        : reason === 'not-approved'
+                          ? 'next wave not approved'
+                          : reason === 'health-gate'
+                            ? `health gate failed after batch ${batches.length}`
+                            : reason
+                }`,
+            ),
+        );
+        const gates = batches[batches.length - 1]?.gates || [];
+        for (const g of gates.filter((r) => !r.ok)) {
+            console.log(`  ${errorStyle('✗')} ${g.gate}  ${muted(g.detail)}`);
+        }
+    } else {
+        console.log(success(`\nRollout complete.`));
+    }
+
+    console.log(
+        muted(
+            `  ${summary.succeeded}/${summary.attempted} ok, ${summary.failed} failed ` +
+                `(${summary.failureRate.toFixed(1)}% failure rate)` +
+                (deviceCount > summary.attempted ? `, ${deviceCount - summary.attempted} skipped` : ''),
+        ),
+    );
+
+    if (summary.failed > 0 || results.some((r) => r?.skipped)) {
+        console.log('');
+        console.log(renderFleetResultTable(results));
+    }
+}
+
 function buildRunReport({
     productId,
     name,
@@ -357,6 +429,8 @@ function buildRunReport({
     reason,
     results,
     batches,
+    resume = null,
+    strategy = null,
 }) {
     return {
         product: productId,
@@ -370,6 +444,7 @@ function buildRunReport({
             name: playbook.name || null,
             description: playbook.description || null,
             steps: playbook.steps.length,
+            hash: playbook.hash || null,
         },
         rollout: {
             batchSize,
@@ -377,30 +452,17 @@ function buildRunReport({
             filters: filters && Object.keys(filters).length > 0 ? filters : null,
             group: group || null,
             includeOffline: !!includeOffline,
+            waves: strategy?.waves || null,
+            soak: strategy?.soak || 0,
+            approve: !!strategy?.approve,
         },
+        resumedFrom: resume ? { path: resume.path, alreadySucceeded: [...resume.done] } : null,
         vars: resolvedVars,
         summary,
         aborted: !!reason,
         reason: reason || null,
         batches,
-        devices: results.map((r) => ({
-            device: r?.device,
-            ok: !!r?.ok,
-            skipped: !!r?.skipped,
-            error: r?.error || null,
-            steps: Array.isArray(r?.steps)
-                ? r.steps.map((s) => ({
-                      index: s.index,
-                      name: s.name,
-                      ok: !!s.ok,
-                      skipped: !!s.skipped,
-                      verdict: s.verdict || null,
-                      summary: s.summary,
-                      durationMs: s.durationMs,
-                      error: s.error || null,
-                  }))
-                : [],
-        })),
+        devices: reportDevices(results),
     };
 }
 
@@ -417,10 +479,10 @@ async function loadProductPlaybook({ productId, name, user }) {
         throw err;
     }
     const content = await readProductPlaybook(productId, name, user);
-    return parsePlaybook(content, { sourcePath: `${name}.yaml` });
+    return parseProductPlaybook(productId, name, content, user);
 }
 
-async function runSingleDevice({ productId, name, pb, overrides, resolvedScope, user, opts }) {
+async function runSingleDevice({ productId, name, pb, overrides, resolvedScope, secretKey, user, opts }) {
     pb.target.devices = [opts.device];
     pb.target.product = productId;
     pb.target.group = null;
@@ -443,9 +505,12 @@ async function runSingleDevice({ productId, name, pb, overrides, resolvedScope,
         console.log(label(`\nPlan (${plan.length} step${plan.length === 1 ? '' : 's'}):`));
         for (const s of plan) {
             const pause = s.pause_after ? muted(`  then pause ${s.pause_after}s`) : '';
+            const rolling = s.run_once ? muted('  run once') : s.serial ? muted(`  serial ${s.serial}`) : '';
+            const num = s.depth ? '   ' : hint(String(s.index + 1).padStart(2) + '.');
+            const nest = s.section ? '  '.repeat(s.depth) + muted(`${s.section}: `) : '';
             console.log(
-                `  ${hint(String(s.index + 1).padStart(2) + '.')} ` +
-                    `${label(s.name)}  ${muted(`(${s.action})`)}${pause}`,
+                `  ${num} ${nest}` +
+                    `${label(s.name)}  ${muted(`(${s.action})`)}${rolling}${pause}`,
             );
         }
         return;
@@ -484,6 +549,7 @@ async function runSingleDevice({ productId, name, pb, overrides, resolvedScope,
             failFast: true,
             checkMode: !!opts.check,
             overrides,
+            secretKey,
         });
         spinner.stop();
     } catch (err) {
@@ -492,14 +558,17 @@ async function runSingleDevice({ productId, name, pb, overrides, resolvedScope,
     }
 
     const result = results[0];
+    const mode = opts.check ? 'check' : 'apply';
+    const reportFile = writeResultsReport(opts, results, { name: pb.name || name, mode });
     if (isJsonMode()) {
         printOk({
             product: productId,
             name,
             device: opts.device,
-            mode: opts.check ? 'check' : 'apply',
+            mode,
             ok: !!result?.ok,
             result,
+            ...(reportFile ? { report_file: reportFile } : {}),
         });
         return;
     }
@@ -516,15 +585,21 @@ async function runSingleDevice({ productId, name, pb, overrides, resolvedScope,
     if (!result?.ok && result?.error) {
         console.log(errorStyle(`\n${result.error}`));
     }
+    if (reportFile) console.log(muted(`\nTest report (${opts.report}): ${reportFile}`));
 }
 
-async function runFleet({ productId, name, pb, overrides, resolvedScope, user, opts }) {
+async function runFleet({ productId, name, pb, overrides, resolvedScope, secretKey, resume, user, opts }) {
     const batchSize = opts.batchSize ?? 5;
     const failureThreshold =
         opts.failureThreshold === undefined
             ? DEFAULT_FAILURE_THRESHOLD
             : opts.failureThreshold;
 
+    const strategy = resolveRolloutStrategy(pb, { waves: opts.waves, soak: opts.soak, approve: opts.approve });
+    if (strategy.approve && !opts.dryRun && !opts.check && (isJsonMode() || !process.stdin.isTTY)) {
+        throw inputError('Wave approval needs an interactive terminal; pass --no-approve to roll out unattended.');
+    }
+
     pb.target.devices = null;
     pb.target.product = productId;
     pb.target.group = opts.group || null;
@@ -541,6 +616,12 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
     } catch (err) {
         throw err;
     }
+    // A resumed rollout leaves out the devices that already succeeded.
+    const alreadyDone = resume ? devices.filter((d) => resume.done.has(d.device)).length : 0;
+    if (resume) devices = devices.filter((d) => !resume.done.has(d.device));
+    const resumeNote = resume
+        ? `Resuming ${resume.path}: ${alreadyDone} device(s) already succeeded, ${devices.length} left.`
+        : null;
 
     if (opts.dryRun) {
         const plan = buildDryRunPlan(pb, { overrides });
@@ -549,11 +630,13 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
                 product: productId,
                 name,
                 fleet: true,
+                ...(resume ? { resumed_from: resume.path, already_succeeded: alreadyDone } : {}),
                 mode: opts.check ? 'check' : 'apply',
                 device_count: devices.length,
                 devices: devices.map((d) => d.device),
                 batch_size: batchSize,
                 failure_threshold: failureThreshold,
+                ...(strategy.waves ? { waves: planWaves(strategy.waves, devices.length) } : {}),
                 variables: listVariables(pb),
                 vars: resolvedScope,
                 steps: plan,
@@ -564,18 +647,35 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
             `${label(pb.name || name)} ${muted(`(dry-run · fleet · ${devices.length} device(s))`)}`,
         );
         if (pb.description) console.log(muted(pb.description));
+        if (resumeNote) console.log(muted(resumeNote));
         console.log(
             muted(
                 `Batch size: ${batchSize}  ·  Abort at ${failureThreshold}% failures  ·  ` +
                     `${opts.includeOffline ? 'including offline' : 'active only'}`,
             ),
         );
+        if (strategy.waves) {
+            const waves = planWaves(strategy.waves, devices.length).map((w) => `${w.label} (${w.size})`);
+            const gates = [
+                strategy.soak > 0 ? `soak ${strategy.soak}s` : null,
+                strategy.approve ? 'approval' : null,
+            ].filter(Boolean);
+            console.log(
+                muted(`Waves: ${waves.join(' → ')}${gates.length ? `  ·  ${gates.join(' + ')} between waves` : ''}`),
+            );
+        }
+        if (strategy.gates.length) {
+            console.log(muted(`Health gates: ${strategy.gates.map(describeGate).join(', ')}`));
+        }
         console.log(label(`\nPlan (${plan.length} step${plan.length === 1 ? '' : 's'}):`));
         for (const s of plan) {
             const pause = s.pause_after ? muted(`  then pause ${s.pause_after}s`) : '';
+            const rolling = s.run_once ? muted('  run once') : s.serial ? muted(`  serial ${s.serial}`) : '';
+            const num = s.depth ? '   ' : hint(String(s.index + 1).padStart(2) + '.');
+            const nest = s.section ? '  '.repeat(s.depth) + muted(`${s.section}: `) : '';
             console.log(
-                `  ${hint(String(s.index + 1).padStart(2) + '.')} ` +
-                    `${label(s.name)}  ${muted(`(${s.action})`)}${pause}`,
+                `  ${num} ${nest}` +
+                    `${label(s.name)}  ${muted(`(${s.action})`)}${rolling}${pause}`,
             );
         }
         if (devices.length > 0) {
@@ -589,11 +689,13 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
         const filterHint = opts.filter && Object.keys(opts.filter).length
             ? ` (filters: ${Object.entries(opts.filter).map(([k, v]) => `${k}=${v}`).join(', ')})`
             : '';
+        writeResultsReport(opts, [], { name: pb.name || name, mode: opts.check ? 'check' : 'apply' });
         if (isJsonMode()) {
             printOk({
                 product: productId,
                 name,
                 fleet: true,
+                ...(resume ? { resumed_from: resume.path, already_succeeded: alreadyDone } : {}),
                 device_count: 0,
                 devices: [],
                 summary: { attempted: 0, succeeded: 0, failed: 0, failureRate: 0 },
@@ -602,6 +704,10 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
             });
             return;
         }
+        if (resume) {
+            console.log(success(`Nothing to resume: ${alreadyDone} device(s) already succeeded.`));
+            return;
+        }
         console.log(warning(`No matching devices on product "${productId}"${filterHint}.`));
         return;
     }
@@ -613,6 +719,7 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
         deviceCount: devices.length,
         batchSize,
         failureThreshold,
+        waves: strategy.waves,
         skipPrompt: !!opts.yes || !!opts.check,
     });
     if (!confirmed) {
@@ -632,14 +739,16 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
               `Rolling out "${name}" to ${devices.length} device(s) in batches of ${batchSize}...`,
           ).start();
 
+    const batchName = ({ index, wave }) => (wave ? `Wave ${index + 1} (${wave})` : `Batch ${index + 1}`);
     const renderBatchLabel = (info) => {
         if (!spinner) return;
         spinner.text =
-            `Batch ${info.index + 1} — ${info.deviceIds.length} device(s) ` +
+            `${batchName(info)} — ${info.deviceIds.length} device(s) ` +
             `(${info.firstIndex + 1}-${info.firstIndex + info.deviceIds.length}/${devices.length})`;
     };
 
     const batchLines = [];
+    let shownLines = 0;
 
     let outcome;
     try {
@@ -647,21 +756,37 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
             user,
             batchSize,
             failureThreshold,
+            waves: strategy.waves,
+            soakSeconds: strategy.soak,
+            checkHealth: strategy.gates.length ? createHealthCheck(strategy.gates, { user }) : undefined,
+            approve:
+                strategy.approve && !opts.check
+                    ? async (info) => {
+                          spinner?.stop();
+                          for (const line of batchLines.slice(shownLines)) console.log(line);
+                          shownLines = batchLines.length;
+                          const ok = await confirmWave(info);
+                          spinner?.start();
+                          return ok;
+                      }
+                    : undefined,
             overrides,
+            secretKey,
             checkMode: !!opts.check,
             onBatchStart: renderBatchLabel,
-            onBatchEnd: ({ index, deviceIds, results, cumulative }) => {
+            onBatchEnd: ({ index, wave, results, cumulative }) => {
                 const ok = results.filter((r) => r?.ok).length;
                 const fail = results.length - ok;
                 const line =
-                    `  ${muted('·')} Batch ${index + 1}: ` +
+                    `  ${muted('·')} ${batchName({ index, wave })}: ` +
                     `${success(ok + ' ok')}, ${fail > 0 ? errorStyle(fail + ' failed') : muted('0 failed')}` +
                     `  ${muted(`[${cumulative.succeeded}/${cumulative.attempted} done · ${cumulative.failureRate.toFixed(1)}% failure]`)}`;
                 batchLines.push(line);
                 if (spinner) {
                     spinner.text =
-                        `Batch ${index + 1} done — ${cumulative.succeeded}/${cumulative.attempted} ok ` +
-                        `(${cumulative.failureRate.toFixed(1)}% failure)`;
+                        `${batchName({ index, wave })} done — ${cumulative.succeeded}/${cumulative.attempted} ok ` +
+                        `(${cumulative.failureRate.toFixed(1)}% failure)` +
+                        (wave && strategy.soak > 0 ? ` · soaking ${strategy.soak}s` : '');
                 }
             },
         });
@@ -698,9 +823,12 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
         reason: outcome.reason,
         results: outcome.results,
         batches: outcome.batches,
+        resume,
+        strategy,
     });
 
     const upload = await uploadFleetRunReport({ product: productId, report, user });
+    const reportFile = writeResultsReport(opts, outcome.results, { name: pb.name || name, mode });
 
     if (isJsonMode()) {
         printOk({
@@ -708,10 +836,12 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
             name,
             fleet: true,
             mode,
+            ...(resume ? { resumed_from: resume.path, already_succeeded: alreadyDone } : {}),
             startedAt,
             finishedAt,
             batch_size: batchSize,
             failure_threshold: failureThreshold,
+            ...(strategy.waves ? { waves: strategy.waves } : {}),
             device_count: devices.length,
             batches: outcome.batches,
             summary,
@@ -721,6 +851,7 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
             report_uploaded: upload.ok,
             report_path: upload.ok ? upload.path : null,
             report_error: upload.ok ? null : upload.reason,
+            ...(reportFile ? { report_file: reportFile } : {}),
         });
         return;
     }
@@ -728,36 +859,17 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
     console.log(
         `\n${label(pb.name || name)} ${muted(`(${mode} · fleet · ${devices.length} device(s))`)}`,
     );
+    if (resumeNote) console.log(muted(resumeNote));
     for (const line of batchLines) console.log(line);
 
-    if (outcome.aborted) {
-        console.log(
-            errorStyle(
-                `\nRollout aborted: ${
-                    outcome.reason === 'failure-threshold'
-                        ? `failure threshold ${failureThreshold}% reached`
-                        : outcome.reason
-                }`,
-            ),
-        );
-    } else {
-        console.log(success(`\nRollout complete.`));
-    }
-
-    console.log(
-        muted(
-            `  ${summary.succeeded}/${summary.attempted} ok, ${summary.failed} failed ` +
-                `(${summary.failureRate.toFixed(1)}% failure rate)` +
-                (devices.length > summary.attempted
-                    ? `, ${devices.length - summary.attempted} skipped`
-                    : ''),
-        ),
-    );
-
-    if (summary.failed > 0 || outcome.results.some((r) => r?.skipped)) {
-        console.log('');
-        console.log(renderFleetResultTable(outcome.results));
-    }
+    printRolloutOutcome({
+        reason: outcome.reason,
+        batches: outcome.batches,
+        failureThreshold,
+        summary,
+        deviceCount: devices.length,
+        results: outcome.results,
+    });
 
     if (upload.ok) {
         console.log(muted(`\nReport: ${productId}:${upload.path}`));
@@ -768,6 +880,7 @@ async function runFleet({ productId, name, pb, overrides, resolvedScope, user, o
                 : `run report upload failed: ${upload.reason}`;
         console.log(warning(`\n${note}`));
     }
+    if (reportFile) console.log(muted(`Test report (${opts.report}): ${reportFile}`));
 }
 
 function registerRun(playbook) {
@@ -785,6 +898,28 @@ function registerRun(playbook) {
             'Devices attempted in parallel per batch (fleet mode; default: 5)',
             parsePositiveInt('batch-size'),
         )
+        .option(
+            '--waves <list>',
+            'Staged rollout waves, e.g. 1,5%,25%,100% (fleet mode; overrides target.rollout.waves)',
+            (v) => {
+                try {
+                    return parseWaves(v);
+                } catch (err) {
+                    throw inputError(`--waves: ${err.message}`);
+                }
+            },
+        )
+        .option(
+            '--soak <seconds>',
+            'Wait this long between waves (fleet mode; overrides target.rollout.soak)',
+            (v) => {
+                const n = Number(v);
+                if (!Number.isFinite(n) || n < 0) throw inputError('--soak must be a number of seconds (>= 0)');
+                return n;
+            },
+        )
+        .option('--approve', 'Ask for approval before each wave after the first (fleet mode)')
+        .option('--no-approve', 'Skip the approval gates declared in target.rollout')
         .option(
             '--failure-threshold <p>',
             `Abort rollout when cumulative failure rate ≥ P percent (fleet mode; default: ${DEFAULT_FAILURE_THRESHOLD})`,
@@ -814,15 +949,31 @@ function registerRun(playbook) {
             {},
         )
         .option('--vars-file <path>', 'Load variable overrides from a YAML/JSON file')
+        .option(
+            '--secret-key-file <path>',
+            'Passphrase file for encrypted playbook vars (default: $THINR_PLAYBOOK_SECRET)',
+        )
+        .option(
+            '--resume <report>',
+            'Resume an interrupted fleet rollout from its run report (playbooks/runs/<file>.json), skipping devices that already succeeded',
+        )
         .option('--dry-run', 'Print the resolved plan without contacting any device')
         .option('--check', 'Contact devices read-only and report what each step would change')
         .option('-y, --yes', 'Skip the interactive confirmation prompt')
+        .option('--report <format>', 'Also write the results as a test report: junit, tap or markdown', parseReportFormat)
+        .option('--report-file <path>', 'File the --report is written to')
         .option('-j, --json', 'Output as JSON')
         .action(async (productId, name, opts, cmd) => {
             applyJsonFlag(opts);
             ensureConfigured();
             const user = getGlobalUser(cmd);
 
+            const reportError = reportOptionsError(opts);
+            if (reportError) {
+                printErr(reportError, { code: 'input_error' });
+                return;
+            }
+
             const fleetMode = !!opts.fleet;
             if (!fleetMode && !opts.device) {
                 printErr('Pass either --device <id> or --fleet.', { code: 'input_error' });
@@ -832,6 +983,10 @@ function registerRun(playbook) {
                 printErr('--device and --fleet are mutually exclusive.', { code: 'input_error' });
                 return;
             }
+            if (opts.resume && !fleetMode) {
+                printErr('--resume is only valid with --fleet.', { code: 'input_error' });
+                return;
+            }
             if (!fleetMode) {
                 const fleetOnly = [];
                 if (opts.batchSize !== undefined) fleetOnly.push('--batch-size');
@@ -839,6 +994,9 @@ function registerRun(playbook) {
                 if (opts.group) fleetOnly.push('--group');
                 if (opts.filter && Object.keys(opts.filter).length) fleetOnly.push('--filter');
                 if (opts.includeOffline) fleetOnly.push('--include-offline');
+                if (opts.waves) fleetOnly.push('--waves');
+                if (opts.soak !== undefined) fleetOnly.push('--soak');
+                if (opts.approve) fleetOnly.push('--approve');
                 if (fleetOnly.length > 0) {
                     printErr(
                         `${fleetOnly.join(', ')} ${fleetOnly.length === 1 ? 'is' : 'are'} only valid with --fleet.`,
@@ -857,18 +1015,51 @@ function registerRun(playbook) {
                 return;
             }
 
+            // Resuming reuses the recorded variables and rollout settings;
+            // flags given again on the command line still win.
+            let resume = null;
+            if (opts.resume) {
+                try {
+                    const { path, report } = await readFleetRunReport(productId, opts.resume, user);
+                    const plan = planResume(report, { pb, productId, name, mode: opts.check ? 'check' : 'apply' });
+                    resume = { path, done: plan.done, overrides: plan.overrides };
+                    opts.batchSize ??= plan.rollout.batchSize;
+                    opts.failureThreshold ??= plan.rollout.failureThreshold;
+                    opts.group ??= plan.rollout.group ?? undefined;
+                    if (!Object.keys(opts.filter || {}).length && plan.rollout.filters) opts.filter = plan.rollout.filters;
+                    opts.includeOffline ??= plan.rollout.includeOffline;
+                    opts.waves ??= plan.rollout.waves ?? undefined;
+                    opts.soak ??= plan.rollout.soak ?? undefined;
+                    opts.approve ??= plan.rollout.approve ?? undefined;
+                } catch (err) {
+                    const { message, code } = classifyError(err);
+                    printErr(message, { code: err.code || code });
+                    return;
+                }
+            }
+
             let overrides;
             try {
-                overrides = collectCliOverrides(pb, opts.var, opts.varsFile);
+                overrides = { ...resume?.overrides, ...collectCliOverrides(pb, opts.var, opts.varsFile) };
             } catch (err) {
                 const { message, code } = classifyError(err);
                 printErr(message, { code: code === 'error' ? 'input_error' : code });
                 return;
             }
 
+            // Only masked values are printed or written to reports; the
+            // runner decrypts secrets itself, per device.
             let resolvedScope;
+            let secretKey;
             try {
-                resolvedScope = resolveVarScope(pb, overrides);
+                const scope = resolveVarScope(pb, overrides);
+                secretKey = loadSecretKey({ keyFile: opts.secretKeyFile });
+                if (!secretKey && !opts.dryRun && Object.values(scope).some(isEncryptedSecret)) {
+                    throw new Error(
+                        'This playbook has encrypted vars; pass --secret-key-file or set THINR_PLAYBOOK_SECRET.',
+                    );
+                }
+                resolvedScope = maskSecretVars(pb, scope);
             } catch (err) {
                 printErr(err.message, { code: 'input_error' });
                 return;
@@ -876,7 +1067,7 @@ function registerRun(playbook) {
 
             try {
                 if (fleetMode) {
-                    await runFleet({ productId, name, pb, overrides, resolvedScope, user, opts });
+                    await runFleet({ productId, name, pb, overrides, resolvedScope, secretKey, resume, user, opts });
                 } else {
                     await runSingleDevice({
                         productId,
@@ -884,6 +1075,7 @@ function registerRun(playbook) {
                         pb,
                         overrides,
                         resolvedScope,
+                        secretKey,
                         user,
                         opts,
                     });
@@ -895,12 +1087,176 @@ function registerRun(playbook) {
         });
 }
 
+const OUTCOME_STYLE = { succeeded: success, failed: warning, aborted: errorStyle };
+
+function registerRuns(playbook) {
+    const runs = playbook
+        .command('runs')
+        .helpGroup('Playbooks:')
+        .description(
+            `List fleet run reports stored on a product, newest first. ${hint('Subcommands: show, diff.')}`,
+        )
+        .argument('<productId>')
+        .option('--playbook <name>', 'Only runs of this playbook')
+        .option('--run-user <name>', 'Only runs recorded for this user')
+        .option('--outcome <outcome>', `Only runs that ended this way: ${RUN_OUTCOMES.join(', ')}`)
+        .option('--limit <n>', 'Maximum number of runs to list (default: 20)', parsePositiveInt('limit'))
+        .option('-j, --json', 'Output as JSON')
+        .action(async (productId, opts, cmd) => {
+            applyJsonFlag(opts);
+            ensureConfigured();
+            const user = getGlobalUser(cmd);
+            try {
+                const { runs: entries, invalid } = await listFleetRunReports(productId, user, {
+                    name: opts.playbook,
+                    runUser: opts.runUser,
+                    outcome: opts.outcome,
+                    limit: opts.limit ?? 20,
+                });
+                if (isJsonMode()) {
+                    printOk({ product: productId, runs: entries, invalid });
+                    return;
+                }
+                if (entries.length === 0) {
+                    console.log(`No matching run reports on ${info(productId)}`);
+                } else {
+                    const table = new Table({
+                        head: ['ID', 'Playbook', 'User', 'Mode', 'Outcome', 'Devices'].map((h) => label(h)),
+                        style: { head: [], border: ['gray'] },
+                    });
+                    for (const r of entries) {
+                        table.push([
+                            r.id,
+                            r.name || muted('?'),
+                            r.user || muted('?'),
+                            r.mode,
+                            OUTCOME_STYLE[r.outcome](r.outcome.toUpperCase()),
+                            `${r.succeeded}/${r.attempted} ok` + (r.failed ? `, ${r.failed} failed` : ''),
+                        ]);
+                    }
+                    console.log(`${entries.length} run(s) on ${info(productId)}:`);
+                    console.log(table.toString());
+                }
+                if (invalid.length) console.log(muted(`Skipped ${invalid.length} unreadable report(s).`));
+            } catch (err) {
+                const { message, code } = classifyError(err);
+                printErr(message, { code: err.code || code });
+            }
+        });
+
+    runs.command('show <productId> <id>')
+        .description('Show one run report: how the rollout ended and the per-device results')
+        .option('-j, --json', 'Output as JSON')
+        .action(async (productId, id, opts, cmd) => {
+            applyJsonFlag(opts);
+            ensureConfigured();
+            const user = getGlobalUser(cmd);
+            try {
+                const { path, report } = await readFleetRunReport(productId, id, user);
+                if (isJsonMode()) {
+                    printOk({ product: productId, path, report });
+                    return;
+                }
+                const run = summarizeRun(path, report);
+                const summary = report.summary || { attempted: 0, succeeded: 0, failed: 0, failureRate: 0 };
+                console.log(
+                    `\n${label(report.playbook?.name || run.name || '?')} ` +
+                        muted(`(${run.mode} · fleet · ${run.devices} device(s))`),
+                );
+                console.log(muted(`Started ${run.startedAt || '?'} by ${run.user || '?'}`));
+                if (report.resumedFrom) {
+                    console.log(
+                        muted(
+                            `Resumed from ${report.resumedFrom.path} ` +
+                                `(${report.resumedFrom.alreadySucceeded?.length || 0} device(s) already done)`,
+                        ),
+                    );
+                }
+                const batches = Array.isArray(report.batches) ? report.batches : [];
+                for (const b of batches) {
+                    const name = b.wave ? `Wave ${b.index + 1} (${b.wave})` : `Batch ${b.index + 1}`;
+                    console.log(
+                        `  ${muted('·')} ${name}: ${success(b.succeeded + ' ok')}, ` +
+                            (b.failed > 0 ? errorStyle(b.failed + ' failed') : muted('0 failed')),
+                    );
+                }
+                printRolloutOutcome({
+                    reason: report.reason,
+                    batches,
+                    failureThreshold: report.rollout?.failureThreshold,
+                    summary,
+                    deviceCount: run.devices,
+                    results: report.devices,
+                });
+            } catch (err) {
+                const { message, code } = classifyError(err);
+                printErr(message, { code: err.code || code });
+            }
+        });
+
+    runs.command('diff <productId> <a> <b>')
+        .description('Compare two run reports: devices that regressed or recovered from <a> to <b>')
+        .option('-j, --json', 'Output as JSON')
+        .action(async (productId, a, b, opts, cmd) => {
+            applyJsonFlag(opts);
+            ensureConfigured();
+            const user = getGlobalUser(cmd);
+            try {
+                const before = await readFleetRunReport(productId, a, user);
+                const after = await readFleetRunReport(productId, b, user);
+                const diff = diffRunReports(before.report, after.report);
+                if (isJsonMode()) {
+                    printOk({ product: productId, before: before.path, after: after.path, ...diff });
+                    return;
+                }
+                console.log(`${info(before.path)} → ${info(after.path)}`);
+                if (before.report.name !== after.report.name) {
+                    console.log(
+                        warning(`Runs are of different playbooks (${before.report.name} vs ${after.report.name}).`),
+                    );
+                }
+                const rows = [
+                    ...diff.regressed.map((c) => ({ ...c, change: errorStyle('REGRESSED') })),
+                    ...diff.recovered.map((c) => ({ ...c, change: success('RECOVERED') })),
+                    ...diff.stillFailing.map((c) => ({ ...c, change: warning('STILL FAILING') })),
+                    ...diff.changed.map((c) => ({ ...c, change: muted('CHANGED') })),
+                ];
+                if (rows.length) {
+                    const table = new Table({
+                        head: ['Change', 'Device', 'Before', 'After', 'Error'].map((h) => label(h)),
+                        style: { head: [], border: ['gray'] },
+                    });
+                    for (const c of rows) {
+                        table.push([
+                            c.change,
+                            c.device,
+                            c.before || muted('—'),
+                            c.after || muted('—'),
+                            c.error ? muted(c.error) : muted('—'),
+                        ]);
+                    }
+                    console.log(table.toString());
+                }
+                console.log(
+                    muted(
+                        `  ${diff.regressed.length} regressed, ${diff.recovered.length} recovered, ` +
+                            `${diff.stillFailing.length} still failing, ${diff.changed.length} other change(s), ` +
+                            `${diff.unchanged} unchanged`,
+                    ),
+                );
+            } catch (err) {
+                const { message, code } = classifyError(err);
+                printErr(message, { code: err.code || code });
+            }
+        });
+}
+
 export function registerProductPlaybookCommand(product) {
     const playbook = product
         .command('playbook')
         .helpGroup('Playbooks:')
         .description(
-            `Manage playbooks stored on a product. ${hint('Subcommands: list, upload, download, delete, run.')}`,
+            `Manage playbooks stored on a product. ${hint('Subcommands: list, upload, download, delete, run, runs.')}`,
         );
 
     registerList(playbook);
@@ -908,4 +1264,5 @@ export function registerProductPlaybookCommand(product) {
     registerDownload(playbook);
     registerDelete(playbook);
     registerRun(playbook);
+    registerRuns(playbook);
 }
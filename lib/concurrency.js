@@ -50,3 +50,47 @@ export async function runPool(items, limit, worker, { failFast = false } = {}) {
     if (aborted && abortError) throw abortError;
     return results;
 }
+
+/**
+ * Counting semaphore: `use(fn)` runs `fn` once fewer than `limit` other
+ * `use` calls are in progress, queueing in arrival order otherwise.
+ *
+ * @param {number} limit
+ */
+export function createSemaphore(limit) {
+    let active = 0;
+    /** @type {Array<() => void>} */
+    const waiting = [];
+    return {
+        /**
+         * @template R
+         * @param {() => Promise<R>} fn
+         * @returns {Promise<R>}
+         */
+        async use(fn) {
+            if (active >= limit) await new Promise((resolve) => waiting.push(() => resolve(undefined)));
+            else active++;
+            try {
+                return await fn();
+            } finally {
+                const next = waiting.shift();
+                if (next) next();
+                else active--;
+            }
+        },
+    };
+}
+
+/** Wait `ms`, returning early once `signal` aborts. */
+export function delay(ms, signal) {
+    return new Promise((resolve) => {
+        if (signal?.aborted) return resolve();
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        }
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
@@ -48,6 +48,22 @@ export const TIMEOUTS = {
 
     /** Chmod after a script install: tiny op, short seconds-level cap. */
     SCRIPT_CHMOD_SECONDS: 10,
+
+    /**
+     * Playbook `package` installs / upgrades / removals. Mirrors and
+     * post-install scripts on small devices are slow; queries use the
+     * default exec timeout.
+     */
+    PACKAGE_INSTALL_SECONDS: 300,
+
+    /** Playbook `service` start / stop / restart — covers systemd's 90s stop timeout. */
+    SERVICE_CONTROL_SECONDS: 120,
+
+    /** Playbook `wait_for` — long enough for a device to come back from a service restart. */
+    WAIT_FOR_SECONDS: 300,
+
+    /** Playbook `reboot` — from issuing the reboot until the agent reconnects. */
+    REBOOT_SECONDS: 600,
 };
 
 /** Byte units, so callers don't have to eyeball `1073741824`. */
@@ -47,7 +47,7 @@ export async function startMCPServer({ version = 'unknown' } = {}) {
             };
         }
         try {
-            return await withProfile(args.profile, () => tool.handler(args));
+            return await withProfile(args.profile, () => tool.handler(args, { confirm: elicitConfirm(server) }));
         } catch (error) {
             // Surface the same {message, code} pair the CLI emits in JSON
             // mode so MCP clients can pattern-match on `[code]` instead of
@@ -65,3 +65,32 @@ export async function startMCPServer({ version = 'unknown' } = {}) {
     await server.connect(transport);
     console.error('[thinr-mcp] Server started');
 }
+
+// Long enough for a person to look at a rollout before approving it.
+const CONFIRM_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Yes/no question to the user through MCP elicitation, for tools that
+ * need a human in the loop (wave approval). Null when the client can't
+ * elicit; declining or cancelling counts as "no".
+ *
+ * @param {Server} server
+ * @returns {((message: string) => Promise<boolean>) | null}
+ */
+function elicitConfirm(server) {
+    if (!server.getClientCapabilities()?.elicitation) return null;
+    return async (message) => {
+        const result = await server.elicitInput(
+            {
+                message,
+                requestedSchema: {
+                    type: 'object',
+                    properties: { approve: { type: 'boolean', title: 'Approve' } },
+                    required: ['approve'],
+                },
+            },
+            { timeout: CONFIRM_TIMEOUT_MS },
+        );
+        return result.action === 'accept' && result.content?.approve === true;
+    };
+}
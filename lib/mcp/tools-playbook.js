@@ -2,6 +2,7 @@
 import { parsePlaybook } from '../playbook/loader.js';
 import { buildDryRunPlan, resolveTargets, runPlaybook } from '../playbook/runner.js';
 import { playbookSchema } from '../playbook/schema.js';
+import { maskSecretVars } from '../playbook/secrets.js';
 import { inputError } from '../errors.js';
 
 async function toolPlaybookSchema() {
@@ -63,7 +64,7 @@ async function toolPlaybookRun(args) {
             dry_run: true,
             name: pb.name,
             target: pb.target,
-            vars: pb.vars,
+            vars: maskSecretVars(pb, pb.vars),
             steps: plan,
         };
         return {
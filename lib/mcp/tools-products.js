@@ -22,9 +22,12 @@ import {
     DASHBOARD_METRICS_PROPERTY,
     findProductPlaybook,
     listProductPlaybooks,
+    parseProductPlaybook,
     readProductPlaybook,
     uploadProductPlaybook,
     deleteProductPlaybook,
+    listFleetRunReports,
+    readFleetRunReport,
     uploadFleetRunReport,
 } from '../product.js';
 import { createDeviceAPI } from '../device-api.js';
@@ -32,10 +35,13 @@ import { TIMEOUTS } from '../constants.js';
 import { runProductFanOut } from '../product-orchestrator.js';
 import { requireConfig } from '../config.js';
 import { filterActiveDevices, getDevices } from '../devices.js';
-import { parsePlaybook } from '../playbook/loader.js';
 import { buildDryRunPlan, runPlaybook } from '../playbook/runner.js';
 import { DEFAULT_FAILURE_THRESHOLD, runFleetPlaybook } from '../playbook/fleet.js';
+import { parseWaves, planWaves, resolveRolloutStrategy } from '../playbook/waves.js';
+import { createHealthCheck, describeGate } from '../playbook/gates.js';
+import { diffRunReports, reportDevices, runOutcome } from '../playbook/runs.js';
 import { listVariables, resolveVarScope } from '../playbook/vars.js';
+import { maskSecretVars } from '../playbook/secrets.js';
 import { inputError } from '../errors.js';
 
 async function toolProducts(args) {
@@ -441,14 +447,14 @@ async function toolProductPlaybookRun(args) {
     }
 
     const content = await readProductPlaybook(args.product, args.name, args.user);
-    const pb = parsePlaybook(content, { sourcePath: `${args.name}.yaml` });
+    const pb = await parseProductPlaybook(args.product, args.name, content, args.user);
 
     const rawVars =
         args.vars && typeof args.vars === 'object' && !Array.isArray(args.vars) ? args.vars : {};
 
     let resolvedScope;
     try {
-        resolvedScope = resolveVarScope(pb, rawVars);
+        resolvedScope = maskSecretVars(pb, resolveVarScope(pb, rawVars));
     } catch (err) {
         throw inputError(err.message);
     }
@@ -503,7 +509,7 @@ async function toolProductPlaybookRun(args) {
     };
 }
 
-async function toolProductPlaybookRollout(args) {
+async function toolProductPlaybookRollout(args, { confirm = null } = {}) {
     if (!args.product) throw inputError('product is required');
     if (!args.name) throw inputError('name is required');
 
@@ -528,14 +534,14 @@ async function toolProductPlaybookRollout(args) {
     }
 
     const content = await readProductPlaybook(args.product, args.name, args.user);
-    const pb = parsePlaybook(content, { sourcePath: `${args.name}.yaml` });
+    const pb = await parseProductPlaybook(args.product, args.name, content, args.user);
 
     const rawVars =
         args.vars && typeof args.vars === 'object' && !Array.isArray(args.vars) ? args.vars : {};
 
     let resolvedScope;
     try {
-        resolvedScope = resolveVarScope(pb, rawVars);
+        resolvedScope = maskSecretVars(pb, resolveVarScope(pb, rawVars));
     } catch (err) {
         throw inputError(err.message);
     }
@@ -556,6 +562,25 @@ async function toolProductPlaybookRollout(args) {
     let devices = await getDevices(baseFilter, args.user);
     if (!args.include_offline) devices = filterActiveDevices(devices);
 
+    let strategy;
+    try {
+        strategy = resolveRolloutStrategy(pb, {
+            waves: args.waves === undefined ? undefined : parseWaves(args.waves),
+            soak: args.soak,
+            approve: args.approve,
+        });
+    } catch (err) {
+        throw inputError(`waves: ${err.message}`);
+    }
+    if (!Number.isFinite(strategy.soak) || strategy.soak < 0) {
+        throw inputError('soak must be a number of seconds (>= 0)');
+    }
+    if (strategy.approve && !args.dry_run && !args.check && !confirm) {
+        throw inputError(
+            'This rollout asks for approval between waves, but the MCP client does not support elicitation. Pass approve: false to roll out unattended.',
+        );
+    }
+
     pb.target.devices = null;
     pb.target.product = args.product;
     pb.target.group = args.group || null;
@@ -571,6 +596,8 @@ async function toolProductPlaybookRollout(args) {
             devices: devices.map((d) => d.device),
             batch_size: batchSize,
             failure_threshold: failureThreshold,
+            ...(strategy.waves ? { waves: planWaves(strategy.waves, devices.length) } : {}),
+            ...(strategy.gates.length ? { health_gates: strategy.gates.map(describeGate) } : {}),
             variables: listVariables(pb),
             vars: resolvedScope,
             steps: plan,
@@ -602,6 +629,17 @@ async function toolProductPlaybookRollout(args) {
         user: args.user,
         batchSize,
         failureThreshold,
+        waves: strategy.waves,
+        soakSeconds: strategy.soak,
+        checkHealth: strategy.gates.length ? createHealthCheck(strategy.gates, { user: args.user }) : undefined,
+        approve:
+            strategy.approve && !args.check && confirm
+                ? ({ index, size, wave, cumulative }) =>
+                      confirm(
+                          `Roll out "${args.name}" wave ${index + 1} (${wave}, ${size} device(s))? ` +
+                              `So far ${cumulative.succeeded}/${cumulative.attempted} ok, ${cumulative.failed} failed.`,
+                      )
+                : undefined,
         overrides: rawVars,
         checkMode: !!args.check,
     });
@@ -627,6 +665,7 @@ async function toolProductPlaybookRollout(args) {
             name: pb.name || null,
             description: pb.description || null,
             steps: pb.steps.length,
+            hash: pb.hash || null,
         },
         rollout: {
             batchSize,
@@ -634,18 +673,16 @@ async function toolProductPlaybookRollout(args) {
             filters: Object.keys(filters).length > 0 ? filters : null,
             group: args.group || null,
             includeOffline: !!args.include_offline,
+            waves: strategy.waves,
+            soak: strategy.soak,
+            approve: strategy.approve,
         },
         vars: resolvedScope,
         summary,
         aborted: outcome.aborted,
         reason: outcome.reason,
         batches: outcome.batches,
-        devices: outcome.results.map((r) => ({
-            device: r?.device,
-            ok: !!r?.ok,
-            skipped: !!r?.skipped,
-            error: r?.error || null,
-        })),
+        devices: reportDevices(outcome.results),
     };
 
     const upload = await uploadFleetRunReport({ product: args.product, report, user: args.user });
@@ -659,6 +696,7 @@ async function toolProductPlaybookRollout(args) {
         finishedAt,
         batch_size: batchSize,
         failure_threshold: failureThreshold,
+        ...(strategy.waves ? { waves: strategy.waves } : {}),
         device_count: devices.length,
         batches: outcome.batches,
         summary,
@@ -675,6 +713,42 @@ async function toolProductPlaybookRollout(args) {
     };
 }
 
+async function toolProductPlaybookRuns(args) {
+    if (!args.product) throw inputError('product is required');
+    const { runs, invalid } = await listFleetRunReports(args.product, args.user, {
+        name: args.name,
+        runUser: args.run_user,
+        outcome: args.outcome,
+        limit: args.limit ?? 20,
+    });
+    return {
+        content: [{ type: 'text', text: JSON.stringify({ product: args.product, runs, invalid }, null, 2) }],
+        isError: false,
+    };
+}
+
+async function toolProductPlaybookRunsShow(args) {
+    if (!args.product) throw inputError('product is required');
+    if (!args.id) throw inputError('id is required');
+    const { path, report } = await readFleetRunReport(args.product, args.id, args.user);
+    return {
+        content: [{ type: 'text', text: JSON.stringify({ path, outcome: runOutcome(report), report }, null, 2) }],
+        isError: false,
+    };
+}
+
+async function toolProductPlaybookRunsDiff(args) {
+    if (!args.product) throw inputError('product is required');
+    if (!args.before || !args.after) throw inputError('before and after are required');
+    const before = await readFleetRunReport(args.product, args.before, args.user);
+    const after = await readFleetRunReport(args.product, args.after, args.user);
+    const payload = { before: before.path, after: after.path, ...diffRunReports(before.report, after.report) };
+    return {
+        content: [{ type: 'text', text: JSON.stringify(payload, null, 2) }],
+        isError: false,
+    };
+}
+
 async function toolProductPlaybookDelete(args) {
     if (!args.product) throw inputError('product is required');
     if (!args.name) throw inputError('name is required');
@@ -1489,6 +1563,10 @@ Destructive: prefer running \`thinr_product_playbook_run\` on a single device fi
 
 Filtering: \`group\` restricts to an asset group; \`filter\` passes extra server-side key=value filters (repeatable keys only — letters/digits/underscore). By default only active devices are targeted; pass \`include_offline: true\` to attempt offline ones too.
 
+Health gates declared in \`target.rollout.gates\` (monitoring thresholds over the batch's devices, no new alarms at a severity) are checked between batches; a failing gate aborts with reason \`health-gate\` and its details in that batch's \`gates\`.
+
+Staged rollouts: \`waves\` (e.g. \`[1, "5%", "25%", "100%"]\`, cumulative counts or fleet percentages) replaces fixed batches, \`soak\` waits that many seconds between waves, and \`approve: true\` asks the user (MCP elicitation) before each wave after the first. All three default to the playbook's \`target.rollout\`.
+
 Use \`dry_run: true\` to get the resolved plan and the list of devices that would be targeted without contacting any of them. \`check: true\` contacts devices read-only and reports what each step would change, without writing.`,
         inputSchema: {
             type: 'object',
@@ -1507,6 +1585,21 @@ Use \`dry_run: true\` to get the resolved plan and the list of devices that woul
                     type: 'number',
                     description: `Abort rollout when cumulative failure rate (percentage of attempted devices that failed) reaches this value. Must be between 0 and 100. Default: ${DEFAULT_FAILURE_THRESHOLD}.`,
                 },
+                waves: {
+                    type: 'array',
+                    items: { type: ['number', 'string'] },
+                    description:
+                        'Staged rollout: how far the rollout gets after each wave, as device counts or fleet percentages (e.g. [1, "5%", "25%", "100%"]). Each wave runs up to `batch_size` devices at a time. Default: `target.rollout.waves`, else fixed batches.',
+                },
+                soak: {
+                    type: 'number',
+                    description: 'Seconds to wait between waves. Default: `target.rollout.soak`, else 0.',
+                },
+                approve: {
+                    type: 'boolean',
+                    description:
+                        'Ask the user for approval (elicitation) before each wave after the first. Default: `target.rollout.approve`.',
+                },
                 group: {
                     type: 'string',
                     description:
@@ -1562,4 +1655,54 @@ Use \`dry_run: true\` to get the resolved plan and the list of devices that woul
         },
         handler: toolProductPlaybookDelete,
     },
+    {
+        name: 'thinr_product_playbook_runs',
+        description: `List the fleet run reports stored under \`playbooks/runs/\` on a product, newest first. Each entry has the report \`id\` (its file name), playbook \`name\`, the \`user\` it ran as, \`mode\`, \`startedAt\`, \`outcome\` (\`succeeded\`, \`failed\` — finished with failed devices — or \`aborted\`) and the device tally. Reports that can't be parsed are listed by path in \`invalid\`. Pass an \`id\` to thinr_product_playbook_runs_show for the per-device results, or two to thinr_product_playbook_runs_diff to compare runs.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                product: { type: 'string', description: 'Product ID.' },
+                name: { type: 'string', description: 'Only runs of this playbook.' },
+                run_user: { type: 'string', description: 'Only runs recorded for this user.' },
+                outcome: {
+                    type: 'string',
+                    enum: ['succeeded', 'failed', 'aborted'],
+                    description: 'Only runs that ended this way.',
+                },
+                limit: { type: 'number', description: 'Maximum number of runs returned. Default: 20.' },
+                user: { type: 'string', description: 'API user' },
+            },
+            required: ['product'],
+        },
+        handler: toolProductPlaybookRuns,
+    },
+    {
+        name: 'thinr_product_playbook_runs_show',
+        description: `Return one fleet run report in full: rollout settings, resolved variables (secrets masked), batches with any health-gate results, abort reason and per-device step results, plus its \`outcome\`. \`id\` is the report file name from thinr_product_playbook_runs or the \`playbooks/runs/…\` path printed after a rollout.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                product: { type: 'string', description: 'Product ID.' },
+                id: { type: 'string', description: 'Report file name or playbooks/runs/ path.' },
+                user: { type: 'string', description: 'API user' },
+            },
+            required: ['product', 'id'],
+        },
+        handler: toolProductPlaybookRunsShow,
+    },
+    {
+        name: 'thinr_product_playbook_runs_diff',
+        description: `Compare two fleet run reports device by device, from \`before\` to \`after\`: \`regressed\` (ok → failed, with the new error), \`recovered\` (failed → ok), \`stillFailing\`, \`changed\` (skipped, or only in one run) and a count of \`unchanged\` devices. Devices a resumed rollout skipped because they had already succeeded count as ok. Typical use: after re-running a fixed playbook, check that nothing that used to work broke.`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                product: { type: 'string', description: 'Product ID.' },
+                before: { type: 'string', description: 'Earlier report (file name or playbooks/runs/ path).' },
+                after: { type: 'string', description: 'Later report (file name or playbooks/runs/ path).' },
+                user: { type: 'string', description: 'API user' },
+            },
+            required: ['product', 'before', 'after'],
+        },
+        handler: toolProductPlaybookRunsDiff,
+    },
 ];
@@ -7,12 +7,39 @@ import { createDeviceAPI } from '../device-api.js';
 import { setDeviceProperty, getDeviceProperty } from '../property.js';
 import { callDeviceResource, readDeviceResource } from '../resource.js';
 import { TIMEOUTS } from '../constants.js';
+import { inputError } from '../errors.js';
+import { renderTemplate } from './template.js';
+import {
+    DETECT_COMMAND,
+    PACKAGE_MANAGERS,
+    checkPackageParams,
+    managerFromDetect,
+    planPackage,
+} from './packages.js';
+import { DETECT_INIT_COMMAND, checkServiceParams, initSystemFromDetect, planService } from './services.js';
+import { editBlock, editLine, lineDiff } from './file-edit.js';
+import {
+    DEFAULT_WAIT_INTERVAL_SECONDS,
+    LISTENING_COMMAND,
+    checkWaitParams,
+    describeWait,
+    portListening,
+    processCommand,
+} from './wait-for.js';
+import { DEFAULT_REBOOT_GRACE_SECONDS, REBOOT_COMMAND, awaitReconnect } from './reboot.js';
+import { evaluateCondition } from './expression.js';
 
 /**
  * Runtime handlers for every action in schema.js. Each handler takes
- * a `ctx` (shared per-device context: apiUser, deviceId, api client)
- * and the step's params, and either resolves with a short result
- * string or throws to fail the step.
+ * a `ctx` (shared per-device context: apiUser, deviceId, api client,
+ * live variable scope) and the step's params, and either resolves with
+ * a short result string or throws to fail the step.
+ *
+ * Handlers may resolve with an object instead, carrying the full output
+ * next to the summary: `stdout` / `stderr` / `exitCode` for commands and
+ * `value` for the raw data the step produced or touched (resource
+ * response, property value, paths and sizes). The runner exposes all
+ * of it to later steps through `register`.
  *
  * The execution envelope (step order, concurrency, error handling) is
  * in runner.js — handlers only care about their one job.
@@ -26,6 +53,20 @@ function resolveLocalFile(relPath, baseDir) {
     return readFileSync(resolveLocalPath(relPath, baseDir), 'utf8');
 }
 
+/**
+ * Render a `template` step's source file against the live run scope.
+ * Errors are prefixed with the template path so a broken tag points
+ * at the right file when several templates are in play.
+ */
+function renderTemplateFile(params, ctx) {
+    const source = resolveLocalFile(params.source, ctx.baseDir);
+    try {
+        return Buffer.from(renderTemplate(source, ctx.scope || {}), 'utf8');
+    } catch (err) {
+        throw new Error(`${params.source}: ${err.message}`, { cause: err });
+    }
+}
+
 const MAX_CAPTURED_STREAM_BYTES = 32 * 1024;
 
 function capStream(s) {
@@ -33,7 +74,7 @@ function capStream(s) {
     return s.slice(0, MAX_CAPTURED_STREAM_BYTES) + `\n…[truncated, ${s.length - MAX_CAPTURED_STREAM_BYTES} more bytes]`;
 }
 
-/** @type {Record<string, (ctx: any, params: any) => Promise<string | { summary: string, stdout?: string, stderr?: string, exitCode?: number }>>} */
+/** @type {Record<string, (ctx: any, params: any) => Promise<string | { summary: string, stdout?: string, stderr?: string, exitCode?: number, value?: unknown }>>} */
 export const HANDLERS = {
     async exec(ctx, params) {
         const timeout =
@@ -54,22 +95,10 @@ export const HANDLERS = {
         const capturedStdout = capStream(stdout);
         const capturedStderr = capStream(stderr);
         if (timedOut) {
-            const err = new Error(`timed out after ${timeout}s`);
-            // @ts-ignore — attach captured streams for the runner to surface
-            err.stdout = capturedStdout;
-            // @ts-ignore
-            err.stderr = capturedStderr;
-            throw err;
+            throw commandError(`timed out after ${timeout}s`, { stdout: capturedStdout, stderr: capturedStderr });
         }
         if (exitCode !== 0) {
-            const err = new Error(`exit=${exitCode}`);
-            // @ts-ignore
-            err.stdout = capturedStdout;
-            // @ts-ignore
-            err.stderr = capturedStderr;
-            // @ts-ignore
-            err.exitCode = exitCode;
-            throw err;
+            throw commandError(`exit=${exitCode}`, { stdout: capturedStdout, stderr: capturedStderr, exitCode });
         }
         return {
             summary: 'exit=0',
@@ -85,46 +114,114 @@ export const HANDLERS = {
         return `slept ${params.seconds}s`;
     },
 
+    async reboot(ctx, params) {
+        const timeout =
+            Number.isFinite(params.timeout) && params.timeout > 0 ? params.timeout : TIMEOUTS.REBOOT_SECONDS;
+        const grace = Number.isFinite(params.grace) && params.grace >= 0 ? params.grace : DEFAULT_REBOOT_GRACE_SECONDS;
+        const t0 = Date.now();
+        const via = await awaitReconnect({ deviceId: ctx.deviceId, user: ctx.user, timeout }, async () => {
+            const res = await ctx.api.exec(REBOOT_COMMAND, TIMEOUTS.DEFAULT_EXEC_SECONDS);
+            if (res?.retcode !== 0) {
+                throw new Error(`reboot: ${lastLine(res?.stderr) || `exit=${res?.retcode}`}`);
+            }
+        });
+        const downtime = Math.round((Date.now() - t0) / 1000);
+        if (grace > 0) await new Promise((r) => setTimeout(r, grace * 1000));
+        return { summary: `rebooted, back after ${downtime}s`, value: { downtime, detected_by: via } };
+    },
+
+    async wait_for(ctx, params) {
+        checkWaitParams(params);
+        const timeout = params.timeout ?? TIMEOUTS.WAIT_FOR_SECONDS;
+        const interval = params.interval ?? DEFAULT_WAIT_INTERVAL_SECONDS;
+        const what = describeWait(params);
+        const t0 = Date.now();
+        const deadline = t0 + timeout * 1000;
+        let lastError;
+        for (;;) {
+            try {
+                if (await probeWait(ctx, params)) {
+                    const waited = Math.round((Date.now() - t0) / 1000);
+                    return { summary: `${what} after ${waited}s`, value: { waited } };
+                }
+                lastError = null;
+            } catch (err) {
+                // The device may be briefly unreachable (e.g. mid-restart);
+                // keep polling and report the error only on timeout.
+                lastError = err;
+            }
+            if (Date.now() + interval * 1000 > deadline) {
+                const cause = lastError ? ` (last error: ${lastError.message})` : '';
+                throw new Error(`timed out after ${timeout}s waiting for ${what}${cause}`);
+            }
+            await new Promise((r) => setTimeout(r, interval * 1000));
+        }
+    },
+
+    async assert(ctx, params) {
+        return { summary: checkAssertion(ctx, params) };
+    },
+
+    async fail(_ctx, params) {
+        throw new Error(params.message || 'failed by playbook');
+    },
+
     async write(ctx, params) {
         if (typeof params.content !== 'string') {
-            throw new Error('`content` is required');
+            throw inputError('`content` is required');
         }
+        const bytes = Buffer.byteLength(params.content, 'utf8');
         await ctx.api.writeFile(params.path, Buffer.from(params.content, 'utf8'));
-        return `wrote ${Buffer.byteLength(params.content, 'utf8')} bytes`;
+        return { summary: `wrote ${bytes} bytes`, value: { path: params.path, bytes } };
+    },
+
+    async template(ctx, params) {
+        const content = renderTemplateFile(params, ctx);
+        await ctx.api.writeFile(params.destination, content);
+        return {
+            summary: `rendered ${content.byteLength} bytes`,
+            value: { path: params.destination, bytes: content.byteLength },
+        };
     },
 
     async push(ctx, params) {
         const local = resolveLocalPath(params.source, ctx.baseDir);
         const content = readFileSync(local);
         await ctx.api.writeFile(params.destination, content);
-        return `pushed ${content.byteLength} bytes`;
+        return {
+            summary: `pushed ${content.byteLength} bytes`,
+            value: { path: params.destination, bytes: content.byteLength },
+        };
     },
 
     async pull(ctx, params) {
         const local = resolveLocalPath(params.destination, ctx.baseDir);
         const buf = await ctx.api.readFile(params.source);
         await writeLocalFile(local, buf);
-        return `pulled ${buf.byteLength} bytes`;
+        return { summary: `pulled ${buf.byteLength} bytes`, value: { path: local, bytes: buf.byteLength } };
     },
 
     async rm(ctx, params) {
         await ctx.api.delete(params.path, params.recursive !== false);
-        return `removed ${params.path}`;
+        return { summary: `removed ${params.path}`, value: { path: params.path } };
     },
 
     async mkdir(ctx, params) {
         await ctx.api.mkdir(params.path);
-        return `created ${params.path}`;
+        return { summary: `created ${params.path}`, value: { path: params.path } };
     },
 
     async mv(ctx, params) {
         await ctx.api.move(params.source, params.destination, !!params.overwrite);
-        return `moved ${params.source} → ${params.destination}`;
+        return {
+            summary: `moved ${params.source} → ${params.destination}`,
+            value: { source: params.source, destination: params.destination },
+        };
     },
 
     async property_set(ctx, params) {
         await setDeviceProperty(ctx.deviceId, params.property, params.value);
-        return `set ${params.property}`;
+        return { summary: `set ${params.property}`, value: params.value };
     },
 
     async resource(ctx, params) {
@@ -133,19 +230,19 @@ export const HANDLERS = {
             typeof result === 'string'
                 ? result.slice(0, 40)
                 : JSON.stringify(result).slice(0, 40);
-        return `resource ${params.resource} → ${summary}`;
+        return { summary: `resource ${params.resource} → ${summary}`, value: result };
     },
 
     async update(ctx, params) {
         const op = params.op;
-        if (op !== 'check' && op !== 'apply') throw new Error('`op` must be "check" or "apply"');
+        if (op !== 'check' && op !== 'apply') throw inputError('`op` must be "check" or "apply"');
         const payload = { action: op, channel: params.channel || 'latest' };
         // Agent updates can take a while. Give `apply` the same 5-min
         // window the CLI's `thinr device update apply` uses.
         const timeout =
             op === 'apply' ? TIMEOUTS.DEVICE_UPDATE_APPLY_MS : TIMEOUTS.DEVICE_RESOURCE_CALL_MS;
         const result = await ctx.api.callResource('update', payload, { timeout });
-        return `update ${op}: ${result?.status || 'ok'}`;
+        return { summary: `update ${op}: ${result?.status || 'ok'}`, value: result };
     },
 
     async script_install(ctx, params) {
@@ -153,10 +250,10 @@ export const HANDLERS = {
         if (typeof params.content === 'string') content = params.content;
         else if (typeof params.content_file === 'string')
             content = resolveLocalFile(params.content_file, ctx.baseDir);
-        else throw new Error('`content` or `content_file` is required');
+        else throw inputError('`content` or `content_file` is required');
 
         if (!/^[A-Za-z0-9._-]+$/.test(params.name)) {
-            throw new Error(`invalid script name "${params.name}"`);
+            throw inputError(`invalid script name "${params.name}"`);
         }
         const info = await readDeviceResource(ctx.deviceId, '$scripts/info');
         const baseDir = info?.path;
@@ -169,19 +266,70 @@ export const HANDLERS = {
         );
         if (chmod.retcode !== 0) throw new Error(`chmod failed: ${chmod.stderr || chmod.retcode}`);
         await callDeviceResource(ctx.deviceId, '$scripts/reload', {});
-        return `installed ${params.name}`;
+        return { summary: `installed ${params.name}`, value: { path } };
     },
 
     async script_delete(ctx, params) {
         if (!/^[A-Za-z0-9._-]+$/.test(params.name)) {
-            throw new Error(`invalid script name "${params.name}"`);
+            throw inputError(`invalid script name "${params.name}"`);
         }
         const info = await readDeviceResource(ctx.deviceId, '$scripts/info');
         const baseDir = info?.path;
         if (!baseDir) throw new Error('agent did not return a scripts directory');
-        await ctx.api.delete(`${baseDir}/${params.name}`, false);
+        const path = `${baseDir}/${params.name}`;
+        await ctx.api.delete(path, false);
         await callDeviceResource(ctx.deviceId, '$scripts/reload', {});
-        return `removed ${params.name}`;
+        return { summary: `removed ${params.name}`, value: { path } };
+    },
+
+    async package(ctx, params) {
+        const { manager, installed, plan } = await inspectPackage(ctx, params);
+        if (!plan.op) {
+            return { summary: plan.summary, value: { name: params.name, manager: manager.name, version: installed } };
+        }
+        const command =
+            plan.op === 'remove'
+                ? manager.remove(params.name)
+                : plan.op === 'upgrade'
+                  ? manager.upgrade(params.name)
+                  : manager.install(params.name, params.version);
+        const timeout =
+            Number.isFinite(params.timeout) && params.timeout > 0
+                ? params.timeout
+                : TIMEOUTS.PACKAGE_INSTALL_SECONDS;
+        const res = await ctx.api.exec(command, timeout);
+        if (res?.retcode !== 0) {
+            throw commandError(`${manager.name}: ${lastLine(res?.stderr) || `exit=${res?.retcode}`}`, res);
+        }
+        const after = plan.op === 'remove' ? null : await queryInstalled(ctx, manager, params.name);
+        return {
+            summary: plan.summary,
+            value: { name: params.name, manager: manager.name, version: after },
+        };
+    },
+
+    async service(ctx, params) {
+        const { init, plan } = await inspectService(ctx, params);
+        const timeout =
+            Number.isFinite(params.timeout) && params.timeout > 0
+                ? params.timeout
+                : TIMEOUTS.SERVICE_CONTROL_SECONDS;
+        for (const op of plan.ops) {
+            const res = await ctx.api.exec(init.commands[op](params.name), timeout);
+            if (res?.retcode !== 0) {
+                throw commandError(`${op} ${params.name}: ${lastLine(res?.stderr) || `exit=${res?.retcode}`}`, res);
+            }
+        }
+        const status = await readServiceStatus(ctx, init, params.name);
+        return { summary: plan.summary, value: { name: params.name, init: init.name, ...status } };
+    },
+
+    async line_in_file(ctx, params) {
+        return applyFileEdit(ctx, params, (text) => editLine(text, params));
+    },
+
+    async block_in_file(ctx, params) {
+        return applyFileEdit(ctx, params, (text) => editBlock(text, params));
     },
 };
 
@@ -190,27 +338,82 @@ export const HANDLERS = {
  * ctx/params as the corresponding HANDLERS entry and returns a verdict
  * describing what would happen if the step ran. Must never write.
  *
- *   { status: 'changed' | 'unchanged' | 'unknown', summary: string }
+ *   { status: 'changed' | 'unchanged' | 'unknown', summary: string, diff?: string[] }
+ *
+ * `diff` carries the `-old` / `+new` lines of a file edit so check-mode
+ * reports can show what would change.
  *
  * Actions without an entry here fall back to 'unknown' automatically
- * (e.g. `exec`, `resource` — their effect can't be predicted without
- * running them; `write` / `script_install` — depend on the agent
- * exposing a filesystem hash op, handled in a follow-up).
+ * (e.g. `resource` — its effect can't be predicted without running
+ * it). `exec` is only predictable through its guards; without them
+ * it reports 'unknown' too.
  *
- * @type {Record<string, (ctx: any, params: any) => Promise<{ status: 'changed' | 'unchanged' | 'unknown', summary: string }>>}
+ * @type {Record<string, (ctx: any, params: any) => Promise<{ status: 'changed' | 'unchanged' | 'unknown', summary: string, diff?: string[] }>>}
  */
 export const CHECKERS = {
+    async exec(ctx, params) {
+        if (!hasExecGuards(params)) {
+            return { status: 'unknown', summary: 'exec without guards — cannot predict' };
+        }
+        const timeout =
+            Number.isFinite(params.timeout) && params.timeout > 0
+                ? params.timeout
+                : TIMEOUTS.DEFAULT_EXEC_SECONDS;
+        if (params.creates !== undefined && (await remoteExists(ctx.api, params.creates))) {
+            return { status: 'unchanged', summary: `${params.creates} exists` };
+        }
+        if (params.removes !== undefined && !(await remoteExists(ctx.api, params.removes))) {
+            return { status: 'unchanged', summary: `${params.removes} does not exist` };
+        }
+        if (params.unless !== undefined) {
+            const res = await ctx.api.exec(params.unless, timeout);
+            if (res?.retcode === 0) return { status: 'unchanged', summary: `unless: ${params.unless} succeeded` };
+        }
+        if (params.check_command !== undefined) {
+            const res = await ctx.api.exec(params.check_command, timeout);
+            if (res?.retcode === 0) return { status: 'unchanged', summary: 'check_command: nothing to do' };
+            if (res?.retcode !== 1) {
+                return { status: 'unknown', summary: `check_command exited ${res?.retcode}` };
+            }
+        }
+        return { status: 'changed', summary: `would run: ${params.command}` };
+    },
+
     async sleep(_ctx, params) {
         return { status: 'unchanged', summary: `would sleep ${params.seconds}s` };
     },
 
+    async reboot() {
+        return { status: 'changed', summary: 'would reboot and wait for the device to reconnect' };
+    },
+
+    async assert(ctx, params) {
+        return { status: 'unchanged', summary: checkAssertion(ctx, params) };
+    },
+
+    async fail(_ctx, params) {
+        throw new Error(params.message || 'failed by playbook');
+    },
+
+    async wait_for(ctx, params) {
+        checkWaitParams(params);
+        const what = describeWait(params);
+        if (await probeWait(ctx, params)) return { status: 'unchanged', summary: `${what} (no wait needed)` };
+        const timeout = params.timeout ?? TIMEOUTS.WAIT_FOR_SECONDS;
+        return { status: 'unknown', summary: `would wait up to ${timeout}s for ${what}` };
+    },
+
     async write(ctx, params) {
         if (typeof params.content !== 'string') {
-            throw new Error('`content` is required');
+            throw inputError('`content` is required');
         }
         return hashCheck(ctx.api, params.path, Buffer.from(params.content, 'utf8'));
     },
 
+    async template(ctx, params) {
+        return hashCheck(ctx.api, params.destination, renderTemplateFile(params, ctx));
+    },
+
     async push(ctx, params) {
         const local = resolveLocalPath(params.source, ctx.baseDir);
         const content = readFileSync(local);
@@ -232,7 +435,7 @@ export const CHECKERS = {
 
     async script_install(ctx, params) {
         if (!/^[A-Za-z0-9._-]+$/.test(params.name)) {
-            throw new Error(`invalid script name "${params.name}"`);
+            throw inputError(`invalid script name "${params.name}"`);
         }
         const content = resolveWriteContent(params, ctx.baseDir);
         const localHash = sha256Hex(content);
@@ -332,7 +535,7 @@ export const CHECKERS = {
 
     async update(ctx, params) {
         if (params.op !== 'check' && params.op !== 'apply') {
-            throw new Error('`op` must be "check" or "apply"');
+            throw inputError('`op` must be "check" or "apply"');
         }
         const result = await ctx.api.callResource(
             'update',
@@ -349,7 +552,7 @@ export const CHECKERS = {
 
     async script_delete(ctx, params) {
         if (!/^[A-Za-z0-9._-]+$/.test(params.name)) {
-            throw new Error(`invalid script name "${params.name}"`);
+            throw inputError(`invalid script name "${params.name}"`);
         }
         const info = await readDeviceResource(ctx.deviceId, '$scripts/info');
         const baseDir = info?.path;
@@ -364,8 +567,243 @@ export const CHECKERS = {
         }
         return { status: 'changed', summary: `would remove ${params.name}` };
     },
+
+    async package(ctx, params) {
+        const { plan } = await inspectPackage(ctx, params);
+        if (!plan.op) return { status: 'unchanged', summary: plan.summary };
+        return { status: plan.certain ? 'changed' : 'unknown', summary: `would ${plan.summary}` };
+    },
+
+    async service(ctx, params) {
+        const { plan } = await inspectService(ctx, params);
+        if (!plan.ops.length) return { status: 'unchanged', summary: plan.summary };
+        return { status: 'changed', summary: `would ${plan.summary}` };
+    },
+
+    async line_in_file(ctx, params) {
+        return checkFileEdit(ctx, params, (text) => editLine(text, params));
+    },
+
+    async block_in_file(ctx, params) {
+        return checkFileEdit(ctx, params, (text) => editBlock(text, params));
+    },
 };
 
+// Detected package manager per device, keyed by the device API client
+// so every step of a run shares one `command -v` probe.
+const detectedManagers = new WeakMap();
+
+async function detectPackageManager(ctx) {
+    if (detectedManagers.has(ctx.api)) return detectedManagers.get(ctx.api);
+    const res = await ctx.api.exec(DETECT_COMMAND, TIMEOUTS.DEFAULT_EXEC_SECONDS);
+    const manager = managerFromDetect(res?.stdout);
+    if (!manager) throw new Error('no supported package manager found (apt, dnf, yum, apk, opkg)');
+    detectedManagers.set(ctx.api, manager);
+    return manager;
+}
+
+async function queryInstalled(ctx, manager, name) {
+    const res = await ctx.api.exec(manager.installed(name), TIMEOUTS.DEFAULT_EXEC_SECONDS);
+    return res?.retcode === 0 ? manager.parseInstalled(res.stdout || '', name) : null;
+}
+
+/**
+ * Shared first half of the `package` handler and checker: validate the
+ * params, pick the manager (explicit `manager` param or detected) and
+ * plan the change against the installed / candidate versions.
+ */
+async function inspectPackage(ctx, params) {
+    const state = checkPackageParams(params);
+    let manager;
+    if (params.manager !== undefined) {
+        manager = PACKAGE_MANAGERS[params.manager];
+        if (!manager) {
+            throw inputError(`unknown package manager "${params.manager}" (expected: ${Object.keys(PACKAGE_MANAGERS).join(', ')})`);
+        }
+    } else {
+        manager = await detectPackageManager(ctx);
+    }
+    const installed = await queryInstalled(ctx, manager, params.name);
+    let candidate;
+    if (state === 'latest' && installed) {
+        const res = await ctx.api.exec(manager.candidate(params.name), TIMEOUTS.DEFAULT_EXEC_SECONDS);
+        candidate = res?.retcode === 0 ? manager.parseCandidate(res.stdout || '', params.name) : null;
+    }
+    const plan = planPackage({ name: params.name, state, version: params.version }, installed, candidate);
+    return { manager, installed, plan };
+}
+
+/**
+ * Read the remote file a `line_in_file` / `block_in_file` step edits and
+ * run the edit on it. A missing file counts as empty only with
+ * `create: true`; otherwise it fails the step, since editing a path
+ * that doesn't exist usually means a typo.
+ */
+async function readAndEdit(ctx, params, edit) {
+    let before = '';
+    let exists = true;
+    try {
+        before = (await ctx.api.readFile(params.path)).toString('utf8');
+    } catch (err) {
+        if (err?.response?.status !== 404) throw err;
+        exists = false;
+    }
+    if (!exists && !params.create && params.state !== 'absent') {
+        throw new Error(`${params.path} does not exist (set \`create: true\` to create it)`);
+    }
+    const after = edit(before);
+    return { before, after, exists };
+}
+
+function editSummary(path, diff) {
+    const added = diff.filter((l) => l.startsWith('+')).length;
+    const removed = diff.filter((l) => l.startsWith('-')).length;
+    return `${path}: +${added} -${removed} line(s)`;
+}
+
+async function applyFileEdit(ctx, params, edit) {
+    const { before, after, exists } = await readAndEdit(ctx, params, edit);
+    if (after === before && (exists || params.state === 'absent')) {
+        return { summary: `${params.path} already up to date`, value: { path: params.path, changed: false, diff: [] } };
+    }
+    const diff = lineDiff(before, after);
+    await ctx.api.writeFile(params.path, Buffer.from(after, 'utf8'));
+    return { summary: editSummary(params.path, diff), value: { path: params.path, changed: true, diff } };
+}
+
+/** @returns {Promise<{ status: 'changed' | 'unchanged' | 'unknown', summary: string, diff?: string[] }>} */
+async function checkFileEdit(ctx, params, edit) {
+    const { before, after, exists } = await readAndEdit(ctx, params, edit);
+    if (after === before && (exists || params.state === 'absent')) {
+        return { status: 'unchanged', summary: `${params.path} already up to date` };
+    }
+    const diff = lineDiff(before, after);
+    return { status: 'changed', summary: `would edit ${editSummary(params.path, diff)}`, diff };
+}
+
+const detectedInitSystems = new WeakMap();
+
+async function detectInitSystem(ctx) {
+    if (detectedInitSystems.has(ctx.api)) return detectedInitSystems.get(ctx.api);
+    const res = await ctx.api.exec(DETECT_INIT_COMMAND, TIMEOUTS.DEFAULT_EXEC_SECONDS);
+    const init = initSystemFromDetect(res?.stdout);
+    if (!init) throw new Error('no supported init system found (systemd, openrc)');
+    detectedInitSystems.set(ctx.api, init);
+    return init;
+}
+
+async function readServiceStatus(ctx, init, name) {
+    const activeRes = await ctx.api.exec(init.isActive(name), TIMEOUTS.DEFAULT_EXEC_SECONDS);
+    const enabledRes = await ctx.api.exec(init.isEnabled(name), TIMEOUTS.DEFAULT_EXEC_SECONDS);
+    return {
+        active: init.parseActive({ stdout: activeRes?.stdout || '', retcode: activeRes?.retcode }),
+        enabled: init.parseEnabled({ stdout: enabledRes?.stdout || '', retcode: enabledRes?.retcode }, name),
+    };
+}
+
+/** Shared first half of the `service` handler and checker. */
+async function inspectService(ctx, params) {
+    checkServiceParams(params);
+    const init = await detectInitSystem(ctx);
+    const current = await readServiceStatus(ctx, init, params.name);
+    const plan = planService({ name: params.name, state: params.state, enabled: params.enabled }, current);
+    return { init, plan };
+}
+
+/**
+ * Evaluate every `that` expression of an `assert` step against the live
+ * scope. Throws with `message` (or the failing expressions) when one is
+ * false; returns the summary otherwise.
+ */
+function checkAssertion(ctx, params) {
+    const that = Array.isArray(params.that) ? params.that : [params.that];
+    if (!that.length || !that.every((c) => typeof c === 'string' && c.trim())) {
+        throw inputError('`that` must be an expression or a list of expressions');
+    }
+    const failed = that.filter((c) => {
+        try {
+            return !evaluateCondition(c, ctx.scope || {});
+        } catch (err) {
+            throw new Error(`assert "${c}": ${err.message}`, { cause: err });
+        }
+    });
+    if (failed.length) {
+        const detail = failed.join('; ');
+        throw new Error(params.message ? `${params.message} (failed: ${detail})` : `assertion failed: ${detail}`);
+    }
+    return `${that.length} condition${that.length === 1 ? '' : 's'} passed`;
+}
+
+/** One poll of a `wait_for` condition; true once it holds. */
+async function probeWait(ctx, params) {
+    const absent = params.state === 'absent';
+    if (params.port !== undefined) {
+        const res = await ctx.api.exec(LISTENING_COMMAND, TIMEOUTS.DEFAULT_EXEC_SECONDS);
+        return portListening(res?.stdout, params.port) !== absent;
+    }
+    if (params.process !== undefined) {
+        const res = await ctx.api.exec(processCommand(params.process), TIMEOUTS.DEFAULT_EXEC_SECONDS);
+        return (res?.retcode === 0) !== absent;
+    }
+    if (params.command !== undefined) {
+        const res = await ctx.api.exec(params.command, TIMEOUTS.DEFAULT_EXEC_SECONDS);
+        return res?.retcode === 0;
+    }
+    if (params.search_regex === undefined || absent) {
+        return (await remoteExists(ctx.api, params.path)) !== absent;
+    }
+    let text;
+    try {
+        text = (await ctx.api.readFile(params.path)).toString('utf8');
+    } catch (err) {
+        if (err?.response?.status === 404) return false;
+        throw err;
+    }
+    return new RegExp(params.search_regex, 'm').test(text);
+}
+
+/**
+ * A failed command's error, carrying its output for the runner to
+ * surface. Takes an exec response (`retcode`) or `exitCode` directly.
+ *
+ * @param {string} message
+ * @param {{ stdout?: string, stderr?: string, exitCode?: number, retcode?: number } | null | undefined} res
+ */
+function commandError(message, res) {
+    return Object.assign(new Error(message), {
+        stdout: res?.stdout,
+        stderr: res?.stderr,
+        exitCode: res?.exitCode ?? res?.retcode,
+    });
+}
+
+function lastLine(s) {
+    const lines = String(s ?? '').trim().split('\n');
+    return lines[lines.length - 1].trim();
+}
+
+const EXEC_GUARDS = ['creates', 'removes', 'unless', 'check_command'];
+
+/**
+ * Whether an `exec` step declares any idempotency guard. Only guarded
+ * exec steps get a pre-check before apply; a bare command always runs.
+ *
+ * @param {Record<string, unknown>} params
+ */
+export function hasExecGuards(params) {
+    return EXEC_GUARDS.some((g) => params[g] !== undefined);
+}
+
+async function remoteExists(api, path) {
+    try {
+        await api.info(path);
+        return true;
+    } catch (err) {
+        if (err?.response?.status === 404) return false;
+        throw err;
+    }
+}
+
 /**
  * Resolve the payload of a script_install step into a Buffer — same
  * logic the handler uses — so the check path hashes exactly the same
@@ -378,13 +816,15 @@ function resolveWriteContent(params, baseDir) {
     if (typeof params.content_file === 'string') {
         return Buffer.from(resolveLocalFile(params.content_file, baseDir), 'utf8');
     }
-    throw new Error('`content` or `content_file` is required');
+    throw inputError('`content` or `content_file` is required');
 }
 
 /**
- * Shared check-mode helper for write / push: compare the locally
- * computed sha256 against the agent's remote hash, mapping the
+ * Shared check-mode helper for write / push / template: compare the
+ * locally computed sha256 against the agent's remote hash, mapping the
  * usual HTTP error codes into verdicts.
+ *
+ * @returns {Promise<{ status: 'changed' | 'unchanged' | 'unknown', summary: string }>}
  */
 async function hashCheck(api, path, contentBuffer) {
     const localHash = sha256Hex(contentBuffer);
@@ -435,13 +875,17 @@ function stableStringify(value) {
 }
 
 /**
- * Build a per-device execution context that handlers share.
+ * Build a per-device execution context that handlers share. `scope`
+ * is the device's live variable scope (the runner keeps mutating it as
+ * steps register results); `template` renders against it and `assert`
+ * evaluates its expressions in it.
  */
-export function createActionContext({ deviceId, user, baseDir }) {
+export function createActionContext({ deviceId, user, baseDir, scope }) {
     return {
         deviceId,
         user,
         baseDir,
+        scope,
         api: createDeviceAPI(deviceId, { user: user || undefined }),
     };
 }
@@ -0,0 +1,228 @@
+// @ts-check
+import YAML from 'yaml';
+
+/**
+ * Playbook results as CI test reports (`--report junit|tap|markdown`).
+ * Each device is a test suite and each step entry a test case: a failed
+ * step fails its case, a skipped one is skipped, a rescued one passes.
+ * Command output recorded on the entry (`stdout` / `stderr`) goes with
+ * the case. A device that failed before running any step (unreachable,
+ * vars or facts could not be resolved) or that a fleet rollout never
+ * attempted gets a single case carrying its error.
+ */
+
+export const REPORT_FORMATS = ['junit', 'tap', 'markdown'];
+
+/**
+ * @typedef {{ name: string, status: 'passed' | 'failed' | 'skipped', message: string, durationMs: number,
+ *   verdict: string | null, rescued: boolean, stdout?: string, stderr?: string }} ReportCase
+ * @typedef {{ name: string, skipped: boolean, cases: ReportCase[] }} ReportSuite
+ * @typedef {{ name?: string | null, mode?: string }} ReportMeta
+ */
+
+/**
+ * @param {string} format  One of REPORT_FORMATS.
+ * @param {any[]} results  Device results from `runPlaybook` / `runFleetPlaybook`.
+ * @param {ReportMeta} [meta]
+ * @returns {string}
+ */
+export function renderResultsReport(format, results, meta = {}) {
+    const suites = toSuites(results);
+    switch (format) {
+        case 'junit':
+            return renderJUnit(suites, meta);
+        case 'tap':
+            return renderTap(suites);
+        case 'markdown':
+            return renderMarkdown(suites, meta);
+        default:
+            throw new Error(`Unknown report format "${format}" (expected one of: ${REPORT_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * @param {any[]} results
+ * @returns {ReportSuite[]}
+ */
+function toSuites(results) {
+    return results.map((r) => {
+        const steps = Array.isArray(r?.steps) ? r.steps : [];
+        /** @type {ReportCase[]} */
+        const cases = steps.map((s) => ({
+            name: caseName(s),
+            status: !s.ok && !s.rescued ? 'failed' : s.skipped ? 'skipped' : 'passed',
+            message: s.error || s.summary || '',
+            durationMs: s.durationMs || 0,
+            verdict: s.verdict || null,
+            rescued: !!s.rescued,
+            ...(s.stdout !== undefined ? { stdout: String(s.stdout) } : {}),
+            ...(s.stderr !== undefined ? { stderr: String(s.stderr) } : {}),
+        }));
+        const stepFailed = cases.some((c) => c.status === 'failed');
+        if (r?.error && !stepFailed) {
+            cases.push({
+                name: r.skipped ? 'not attempted' : 'run',
+                status: r.skipped ? 'skipped' : 'failed',
+                message: r.error,
+                durationMs: 0,
+                verdict: null,
+                rescued: false,
+            });
+        }
+        return { name: String(r?.device ?? '?'), skipped: !!r?.skipped, cases };
+    });
+}
+
+// Loop iterations already carry `(item=…)` in their name.
+function caseName(s) {
+    if (s.section === 'handler') return `handler: ${s.name}`;
+    return `${s.index + 1}. ${s.section ? `${s.section}: ` : ''}${s.name}`;
+}
+
+/** @param {ReportCase[]} cases */
+function tally(cases) {
+    return {
+        tests: cases.length,
+        failures: cases.filter((c) => c.status === 'failed').length,
+        skipped: cases.filter((c) => c.status === 'skipped').length,
+        time: cases.reduce((t, c) => t + c.durationMs, 0) / 1000,
+    };
+}
+
+// ─── JUnit XML ───────────────────────────────────────────────────────
+
+function xml(value) {
+    return String(value)
+        .replace(/[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {ReportSuite[]} suites
+ * @param {ReportMeta} meta
+ */
+function renderJUnit(suites, meta) {
+    const all = tally(suites.flatMap((s) => s.cases));
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${xml(meta.name || 'playbook')}" tests="${all.tests}" failures="${all.failures}" ` +
+            `skipped="${all.skipped}" time="${all.time.toFixed(3)}">`,
+    ];
+    for (const suite of suites) {
+        const t = tally(suite.cases);
+        lines.push(
+            `  <testsuite name="${xml(suite.name)}" tests="${t.tests}" failures="${t.failures}" errors="0" ` +
+                `skipped="${t.skipped}" time="${t.time.toFixed(3)}">`,
+        );
+        for (const c of suite.cases) {
+            const open =
+                `    <testcase name="${xml(c.name)}" classname="${xml(suite.name)}" ` +
+                `time="${(c.durationMs / 1000).toFixed(3)}"`;
+            const body = [];
+            if (c.status === 'failed') {
+                body.push(`      <failure message="${xml(c.message)}" type="StepFailed">${xml(c.message)}</failure>`);
+            } else if (c.status === 'skipped') {
+                body.push(`      <skipped message="${xml(c.message)}"/>`);
+            }
+            if (c.stdout) body.push(`      <system-out>${xml(c.stdout)}</system-out>`);
+            if (c.stderr) body.push(`      <system-err>${xml(c.stderr)}</system-err>`);
+            if (body.length === 0) {
+                lines.push(`${open}/>`);
+            } else {
+                lines.push(`${open}>`, ...body, '    </testcase>');
+            }
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+}
+
+// ─── TAP (version 14, one subtest per device) ────────────────────────
+
+// `#` starts a directive in a TAP description.
+function tapDescription(value) {
+    return String(value).replace(/[\r\n]+/g, ' ').replace(/#/g, '\\#');
+}
+
+/** @param {ReportSuite[]} suites */
+function renderTap(suites) {
+    const lines = ['TAP version 14', `1..${suites.length}`];
+    suites.forEach((suite, i) => {
+        lines.push(`# Subtest: ${tapDescription(suite.name)}`, `    1..${suite.cases.length}`);
+        suite.cases.forEach((c, j) => {
+            const n = j + 1;
+            const name = tapDescription(c.name);
+            if (c.status === 'skipped') {
+                lines.push(`    ok ${n} - ${name} # SKIP ${tapDescription(c.message)}`);
+                return;
+            }
+            lines.push(`    ${c.status === 'failed' ? 'not ok' : 'ok'} ${n} - ${name}`);
+            if (c.status !== 'failed' && !c.stdout && !c.stderr) return;
+            const diag = {
+                ...(c.status === 'failed' ? { message: c.message, severity: 'fail' } : {}),
+                duration_ms: c.durationMs,
+                ...(c.stdout ? { stdout: c.stdout } : {}),
+                ...(c.stderr ? { stderr: c.stderr } : {}),
+            };
+            lines.push('      ---');
+            for (const line of YAML.stringify(diag).trimEnd().split('\n')) lines.push(`      ${line}`);
+            lines.push('      ...');
+        });
+        const failed = suite.cases.some((c) => c.status === 'failed');
+        lines.push(`${failed ? 'not ok' : 'ok'} ${i + 1} - ${tapDescription(suite.name)}`);
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+// ─── Markdown ────────────────────────────────────────────────────────
+
+function cell(value) {
+    return String(value)
+        .replace(/\r?\n/g, ' ')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/\|/g, '\\|');
+}
+
+function fence(text) {
+    const longest = Math.max(2, ...(text.match(/`+/g) || []).map((m) => m.length));
+    const ticks = '`'.repeat(longest + 1);
+    return `${ticks}\n${text.replace(/\n$/, '')}\n${ticks}`;
+}
+
+/**
+ * @param {ReportSuite[]} suites
+ * @param {ReportMeta} meta
+ */
+function renderMarkdown(suites, meta) {
+    const failed = (suite) => suite.cases.some((c) => c.status === 'failed');
+    const failedCount = suites.filter(failed).length;
+    const skippedCount = suites.filter((s) => s.skipped).length;
+    const out = [
+        `# ${cell(meta.name || 'Playbook')}${meta.mode ? ` (${meta.mode})` : ''}`,
+        '',
+        `${suites.length} device(s) · ${suites.length - failedCount - skippedCount} ok · ${failedCount} failed` +
+            (skippedCount ? ` · ${skippedCount} not attempted` : ''),
+    ];
+    for (const suite of suites) {
+        const mark = failed(suite) ? '✗' : suite.skipped ? '·' : '✓';
+        out.push('', `## ${mark} ${cell(suite.name)}`, '');
+        out.push('| Step | Result | Duration | Summary |', '| --- | --- | --- | --- |');
+        for (const c of suite.cases) {
+            const result =
+                c.status !== 'passed' ? c.status : c.rescued ? 'rescued' : c.verdict || 'passed';
+            out.push(`| ${cell(c.name)} | ${result} | ${c.durationMs}ms | ${cell(c.message)} |`);
+        }
+        for (const c of suite.cases.filter((x) => x.status === 'failed' && (x.stdout || x.stderr))) {
+            out.push('', `<details><summary>${cell(c.name)} output</summary>`, '');
+            if (c.stdout) out.push('stdout:', '', fence(c.stdout), '');
+            if (c.stderr) out.push('stderr:', '', fence(c.stderr), '');
+            out.push('</details>');
+        }
+    }
+    return `${out.join('\n')}\n`;
+}
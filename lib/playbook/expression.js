@@ -1,15 +1,25 @@
 // @ts-check
+import { compareAgentVersions } from '../agent-versions.js';
 
 /**
- * Minimal boolean-expression evaluator for playbook `when:` clauses.
- * Deliberately a tiny subset — no Jinja, no filters, no arithmetic —
- * just enough to express "skip this step when X" reliably:
+ * Small expression evaluator for playbook `when:` clauses (also used
+ * for filter heads and arguments in interpolation and templates). No
+ * Jinja, just enough to express "skip this step when X" reliably:
  *
  *   - literals: strings (single or double quoted), numbers, `true`,
- *     `false`, `null`
- *   - path access: `agent.version`, `result.data[0]` is NOT supported
- *     (only named dotted paths; index access is future work)
- *   - comparators: `==`, `!=`, `>`, `<`, `>=`, `<=`
+ *     `false`, `null`, lists (`["a", "b"]`) and version literals
+ *     (`v"1.6.2"`)
+ *   - path access: `agent.version`, `result.data[0]`, `cfg["key"]`,
+ *     `list[-1]` (negative indexes count from the end)
+ *   - comparators: `==`, `!=`, `>`, `<`, `>=`, `<=` — when either side
+ *     is a version literal the comparison is semantic (see
+ *     `compareAgentVersions`), so `agent.version >= v"1.6.2"` does the
+ *     right thing for `v1.10.0` and git-describe builds
+ *   - membership and matching: `x in list`, `x not in list` (lists,
+ *     substrings, mapping keys), `stdout contains "active"`,
+ *     `name matches "^rpi"` (JavaScript regex)
+ *   - arithmetic: `+`, `-`, `*`, `/`, `%`, unary `-`
+ *   - functions: `length(x)`
  *   - logicals: `and`, `or`, `not`
  *   - parentheses
  *
@@ -43,11 +53,24 @@ export function evaluateExpression(source, scope) {
 
 // ── Tokeniser ───────────────────────────────────────────────────────
 
-const KEYWORDS = new Set(['and', 'or', 'not', 'true', 'false', 'null']);
+const KEYWORDS = new Set([
+    'and',
+    'or',
+    'not',
+    'in',
+    'contains',
+    'matches',
+    'true',
+    'false',
+    'null',
+]);
+
+const SINGLE_CHAR_OPS = new Set(['(', ')', '[', ']', ',', '.', '+', '-', '*', '/', '%']);
 
 /**
  * @typedef {{ type: 'num', value: number }
  *   | { type: 'str', value: string }
+ *   | { type: 'version', value: string }
  *   | { type: 'ident', value: string }
  *   | { type: 'op', value: string }} Token
  */
@@ -66,11 +89,6 @@ function tokenize(src) {
             i++;
             continue;
         }
-        if (c === '(' || c === ')') {
-            out.push({ type: 'op', value: c });
-            i++;
-            continue;
-        }
         if (c === '=' || c === '!' || c === '<' || c === '>') {
             if (src[i + 1] === '=') {
                 out.push({ type: 'op', value: c + '=' });
@@ -84,29 +102,27 @@ function tokenize(src) {
             }
             throw new Error(`Unexpected character '${c}' at ${i}`);
         }
-        if (c === '"' || c === "'") {
-            const quote = c;
-            let j = i + 1;
-            let buf = '';
-            while (j < src.length && src[j] !== quote) {
-                if (src[j] === '\\' && j + 1 < src.length) {
-                    buf += src[j + 1];
-                    j += 2;
-                } else {
-                    buf += src[j];
-                    j++;
-                }
+        if (c === 'v' && (src[i + 1] === '"' || src[i + 1] === "'")) {
+            const { value, end } = readString(src, i + 1);
+            if (!/^v?\d+\.\d+\.\d+/.test(value)) {
+                throw new Error(`Invalid version literal v"${value}" at ${i} (expected e.g. v"1.6.2")`);
             }
-            if (j >= src.length) throw new Error(`Unterminated string at ${i}`);
-            out.push({ type: 'str', value: buf });
-            i = j + 1;
+            out.push({ type: 'version', value });
+            i = end;
+            continue;
+        }
+        if (c === '"' || c === "'") {
+            const { value, end } = readString(src, i);
+            out.push({ type: 'str', value });
+            i = end;
             continue;
         }
-        if ((c >= '0' && c <= '9') || (c === '-' && src[i + 1] >= '0' && src[i + 1] <= '9')) {
+        if (c >= '0' && c <= '9') {
             let j = i + 1;
             while (
                 j < src.length &&
-                ((src[j] >= '0' && src[j] <= '9') || src[j] === '.')
+                ((src[j] >= '0' && src[j] <= '9') ||
+                    (src[j] === '.' && src[j + 1] >= '0' && src[j + 1] <= '9'))
             ) {
                 j++;
             }
@@ -133,13 +149,44 @@ function tokenize(src) {
             i = j;
             continue;
         }
+        if (SINGLE_CHAR_OPS.has(c)) {
+            out.push({ type: 'op', value: c });
+            i++;
+            continue;
+        }
         throw new Error(`Unexpected character '${c}' at ${i}`);
     }
     return out;
 }
 
+/**
+ * Read a quoted string starting at the opening quote `src[start]`.
+ *
+ * @param {string} src
+ * @param {number} start
+ */
+function readString(src, start) {
+    const quote = src[start];
+    let j = start + 1;
+    let buf = '';
+    while (j < src.length && src[j] !== quote) {
+        if (src[j] === '\\' && j + 1 < src.length) {
+            buf += src[j + 1];
+            j += 2;
+        } else {
+            buf += src[j];
+            j++;
+        }
+    }
+    if (j >= src.length) throw new Error(`Unterminated string at ${start}`);
+    return { value: buf, end: j + 1 };
+}
+
 // ── Parser (recursive descent) ──────────────────────────────────────
 
+const COMPARATORS = ['==', '!=', '>', '<', '>=', '<='];
+const WORD_COMPARATORS = ['in', 'contains', 'matches'];
+
 class Parser {
     /** @param {string} source */
     constructor(source) {
@@ -147,8 +194,8 @@ class Parser {
         this.pos = 0;
     }
 
-    peek() {
-        return this.tokens[this.pos];
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
     }
 
     advance() {
@@ -192,36 +239,105 @@ class Parser {
     }
 
     parseCompare() {
-        const left = this.parsePrimary();
+        const left = this.parseAdditive();
         const t = this.peek();
-        if (t && t.type === 'op' && ['==', '!=', '>', '<', '>=', '<='].includes(t.value)) {
+        if (t && t.type === 'op' && COMPARATORS.includes(t.value)) {
+            this.advance();
+            const right = this.parseAdditive();
+            return { type: 'cmp', op: t.value, left, right };
+        }
+        if (t && t.type === 'ident' && WORD_COMPARATORS.includes(t.value)) {
             this.advance();
-            const right = this.parsePrimary();
+            const right = this.parseAdditive();
             return { type: 'cmp', op: t.value, left, right };
         }
+        const next = this.peek(1);
+        if (t && t.type === 'ident' && t.value === 'not' && next?.type === 'ident' && next.value === 'in') {
+            this.pos += 2;
+            const right = this.parseAdditive();
+            return { type: 'cmp', op: 'not in', left, right };
+        }
         return left;
     }
 
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.matchOp('+') || this.matchOp('-')) {
+            const op = this.tokens[this.pos - 1].value;
+            const right = this.parseMultiplicative();
+            left = { type: 'arith', op, left, right };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.matchOp('*') || this.matchOp('/') || this.matchOp('%')) {
+            const op = this.tokens[this.pos - 1].value;
+            const right = this.parseUnary();
+            left = { type: 'arith', op, left, right };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.matchOp('-')) {
+            return { type: 'neg', value: this.parseUnary() };
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let node = this.parsePrimary();
+        for (;;) {
+            if (this.matchOp('[')) {
+                const key = this.parseExpression();
+                this.expectOp(']', 'Missing closing bracket');
+                node = { type: 'index', target: node, key };
+                continue;
+            }
+            if (this.matchOp('.')) {
+                const t = this.advance();
+                if (!t || t.type !== 'ident') {
+                    throw new Error(`Expected a property name after '.', got ${formatToken(t)}`);
+                }
+                for (const part of t.value.split('.')) {
+                    node = { type: 'index', target: node, key: { type: 'lit', value: part } };
+                }
+                continue;
+            }
+            return node;
+        }
+    }
+
     parsePrimary() {
         const t = this.peek();
         if (!t) throw new Error('Unexpected end of expression');
         if (t.type === 'op' && t.value === '(') {
             this.advance();
             const inner = this.parseExpression();
-            const close = this.advance();
-            if (!close || close.type !== 'op' || close.value !== ')') {
-                throw new Error('Missing closing parenthesis');
-            }
+            this.expectOp(')', 'Missing closing parenthesis');
             return inner;
         }
-        if (t.type === 'str') {
+        if (t.type === 'op' && t.value === '[') {
             this.advance();
-            return { type: 'lit', value: t.value };
+            const items = [];
+            if (!this.matchOp(']')) {
+                do {
+                    items.push(this.parseExpression());
+                } while (this.matchOp(','));
+                this.expectOp(']', 'Missing closing bracket');
+            }
+            return { type: 'list', items };
         }
-        if (t.type === 'num') {
+        if (t.type === 'str' || t.type === 'num') {
             this.advance();
             return { type: 'lit', value: t.value };
         }
+        if (t.type === 'version') {
+            this.advance();
+            return { type: 'version', value: t.value };
+        }
         if (t.type === 'ident') {
             this.advance();
             if (t.value === 'true') return { type: 'lit', value: true };
@@ -230,6 +346,19 @@ class Parser {
             if (KEYWORDS.has(t.value)) {
                 throw new Error(`Unexpected keyword '${t.value}' in expression`);
             }
+            if (this.matchOp('(')) {
+                if (!Object.hasOwn(FUNCTIONS, t.value)) {
+                    throw new Error(`Unknown function '${t.value}()' (available: ${Object.keys(FUNCTIONS).join(', ')})`);
+                }
+                const args = [];
+                if (!this.matchOp(')')) {
+                    do {
+                        args.push(this.parseExpression());
+                    } while (this.matchOp(','));
+                    this.expectOp(')', 'Missing closing parenthesis');
+                }
+                return { type: 'call', name: t.value, args };
+            }
             return { type: 'path', parts: t.value.split('.') };
         }
         throw new Error(`Unexpected token: ${formatToken(t)}`);
@@ -243,6 +372,19 @@ class Parser {
         }
         return false;
     }
+
+    matchOp(op) {
+        const t = this.peek();
+        if (t && t.type === 'op' && t.value === op) {
+            this.advance();
+            return true;
+        }
+        return false;
+    }
+
+    expectOp(op, message) {
+        if (!this.matchOp(op)) throw new Error(message);
+    }
 }
 
 function formatToken(t) {
@@ -252,12 +394,26 @@ function formatToken(t) {
 
 // ── Evaluator ───────────────────────────────────────────────────────
 
+/** Functions callable from expressions, e.g. `length(result.data) > 0`. */
+const FUNCTIONS = {
+    length(value) {
+        if (Array.isArray(value) || typeof value === 'string') return value.length;
+        if (value && typeof value === 'object') return Object.keys(value).length;
+        return 0;
+    },
+};
+
 function evalNode(node, scope) {
     switch (node.type) {
         case 'lit':
+        case 'version':
             return node.value;
+        case 'list':
+            return node.items.map((item) => evalNode(item, scope));
         case 'not':
             return !evalNode(node.value, scope);
+        case 'neg':
+            return -Number(evalNode(node.value, scope));
         case 'and':
             return !!(evalNode(node.left, scope) && evalNode(node.right, scope));
         case 'or':
@@ -265,11 +421,14 @@ function evalNode(node, scope) {
         case 'cmp': {
             const l = evalNode(node.left, scope);
             const r = evalNode(node.right, scope);
+            if (node.left.type === 'version' || node.right.type === 'version') {
+                return compareVersions(node.op, l, r);
+            }
             switch (node.op) {
                 case '==':
-                    return l === r || (l != null && r != null && String(l) === String(r));
+                    return looseEquals(l, r);
                 case '!=':
-                    return !(l === r || (l != null && r != null && String(l) === String(r)));
+                    return !looseEquals(l, r);
                 case '>':
                     return Number(l) > Number(r);
                 case '<':
@@ -278,10 +437,31 @@ function evalNode(node, scope) {
                     return Number(l) >= Number(r);
                 case '<=':
                     return Number(l) <= Number(r);
+                case 'in':
+                    return isMember(l, r);
+                case 'not in':
+                    return !isMember(l, r);
+                case 'contains':
+                    return isMember(r, l);
+                case 'matches':
+                    return compileRegex(r).test(l == null ? '' : String(l));
                 default:
                     throw new Error(`Unknown comparator: ${node.op}`);
             }
         }
+        case 'arith':
+            return evalArithmetic(node.op, evalNode(node.left, scope), evalNode(node.right, scope));
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map((a) => evalNode(a, scope)));
+        case 'index': {
+            const target = evalNode(node.target, scope);
+            if (target == null) return undefined;
+            let key = evalNode(node.key, scope);
+            if (Array.isArray(target) && typeof key === 'number' && key < 0) {
+                key = target.length + key;
+            }
+            return target[key];
+        }
         case 'path':
             return resolvePath(node.parts, scope);
         default:
@@ -289,9 +469,78 @@ function evalNode(node, scope) {
     }
 }
 
+function looseEquals(l, r) {
+    return l === r || (l != null && r != null && String(l) === String(r));
+}
+
+function isMember(needle, haystack) {
+    if (Array.isArray(haystack)) return haystack.some((item) => looseEquals(item, needle));
+    if (typeof haystack === 'string') return needle != null && haystack.includes(String(needle));
+    if (haystack && typeof haystack === 'object') return needle != null && Object.hasOwn(haystack, String(needle));
+    return false;
+}
+
+function compileRegex(pattern) {
+    try {
+        return new RegExp(String(pattern ?? ''));
+    } catch (err) {
+        throw new Error(`Invalid regular expression ${JSON.stringify(pattern)}: ${err.message}`, {
+            cause: err,
+        });
+    }
+}
+
+function compareVersions(op, l, r) {
+    // compareAgentVersions sorts newest first: a positive result means
+    // `l` is older than `r`. Unparseable values count as older.
+    const d = -compareAgentVersions(l, r);
+    switch (op) {
+        case '==':
+            return d === 0;
+        case '!=':
+            return d !== 0;
+        case '>':
+            return d > 0;
+        case '<':
+            return d < 0;
+        case '>=':
+            return d >= 0;
+        case '<=':
+            return d <= 0;
+        default:
+            throw new Error(`'${op}' is not supported with version literals`);
+    }
+}
+
+function evalArithmetic(op, l, r) {
+    if (op === '+') {
+        if (Array.isArray(l) && Array.isArray(r)) return [...l, ...r];
+        if (typeof l === 'string' || typeof r === 'string') return `${l ?? ''}${r ?? ''}`;
+        return Number(l) + Number(r);
+    }
+    const a = Number(l);
+    const b = Number(r);
+    switch (op) {
+        case '-':
+            return a - b;
+        case '*':
+            return a * b;
+        case '/':
+            if (b === 0) throw new Error('Division by zero');
+            return a / b;
+        case '%':
+            if (b === 0) throw new Error('Division by zero');
+            return a % b;
+        default:
+            throw new Error(`Unknown operator: ${op}`);
+    }
+}
+
 function resolvePath(parts, scope) {
     if (!(parts[0] in scope)) {
-        throw new Error(`Undefined playbook variable: ${parts[0]}`);
+        throw Object.assign(new Error(`Undefined playbook variable: ${parts[0]}`), {
+            code: 'undefined_variable',
+        });
     }
     let cur = scope[parts[0]];
     for (let i = 1; i < parts.length; i++) {
@@ -0,0 +1,105 @@
+// @ts-check
+import { getDevice } from '../devices.js';
+import { TIMEOUTS } from '../constants.js';
+
+/**
+ * Device facts for playbooks with `gather_facts: true`. Gathered once
+ * per device at the start of a run and exposed as `facts` to `when`
+ * expressions and interpolation:
+ *
+ *   facts.hostname, facts.kernel, facts.arch
+ *   facts.os.{id, name, version, pretty_name}
+ *   facts.memory.total_mb
+ *   facts.disk.{total_mb, free_mb}       (root filesystem)
+ *   facts.agent.version
+ *   facts.product, facts.asset_group
+ *
+ * Anything the device doesn't report is `null`, so `when` clauses can
+ * test for it instead of failing on an unknown identifier.
+ */
+
+/**
+ * One shell round-trip printing `key=value` lines. Plain POSIX tools
+ * only, so it works on busybox images too.
+ */
+export const FACTS_COMMAND = [
+    'echo "hostname=$(hostname 2>/dev/null || cat /proc/sys/kernel/hostname)"',
+    'echo "kernel=$(uname -r)"',
+    'echo "arch=$(uname -m)"',
+    "[ -r /etc/os-release ] && grep -E '^(ID|NAME|VERSION_ID|PRETTY_NAME)=' /etc/os-release | sed 's/^/os_/'",
+    "awk '/^MemTotal:/ { print \"mem_total_kb=\" $2 }' /proc/meminfo",
+    "df -Pk / | awk 'NR == 2 { print \"disk_total_kb=\" $2; print \"disk_free_kb=\" $4 }'",
+    'true',
+].join('; ');
+
+/**
+ * Turn the output of {@link FACTS_COMMAND} into the `facts` shape
+ * (minus the server-side fields).
+ *
+ * @param {string} stdout
+ */
+export function parseFacts(stdout) {
+    /** @type {Record<string, string>} */
+    const kv = {};
+    for (const line of String(stdout ?? '').split('\n')) {
+        const eq = line.indexOf('=');
+        if (eq <= 0) continue;
+        kv[line.slice(0, eq).trim()] = line.slice(eq + 1).trim().replace(/^(["'])(.*)\1$/, '$2');
+    }
+    const text = (key) => kv[key] || null;
+    const mb = (key) => (/^\d+$/.test(kv[key] ?? '') ? Math.floor(Number(kv[key]) / 1024) : null);
+    return {
+        hostname: text('hostname'),
+        kernel: text('kernel'),
+        arch: text('arch'),
+        os: {
+            id: text('os_ID'),
+            name: text('os_NAME'),
+            version: text('os_VERSION_ID'),
+            pretty_name: text('os_PRETTY_NAME'),
+        },
+        memory: { total_mb: mb('mem_total_kb') },
+        disk: { total_mb: mb('disk_total_kb'), free_mb: mb('disk_free_kb') },
+    };
+}
+
+/**
+ * Gather the facts of `ctx.deviceId`: the facts command on the device,
+ * the server record for product / asset group, and the agent version
+ * from the `monitoring` resource when the agent publishes it.
+ *
+ * @param {{ deviceId: string, user?: string | null, api: any }} ctx
+ * @param {{ fetchDevice?: (deviceId: string, user?: string | null) => Promise<any> }} [deps]
+ */
+export async function gatherFacts(ctx, { fetchDevice = getDevice } = {}) {
+    const res = await ctx.api.exec(FACTS_COMMAND, TIMEOUTS.DEFAULT_EXEC_SECONDS);
+    if (res?.retcode !== 0) {
+        throw new Error(`facts command exited ${res?.retcode}${res?.stderr ? `: ${res.stderr.trim()}` : ''}`);
+    }
+    const record = await fetchDevice(ctx.deviceId, ctx.user);
+    let agentVersion = null;
+    try {
+        const monitoring = await ctx.api.getResource('monitoring');
+        agentVersion = monitoring?.agent?.version ?? null;
+    } catch {
+        // Older agents don't publish `monitoring`; the version stays null.
+    }
+    return {
+        ...parseFacts(res.stdout),
+        agent: { version: agentVersion },
+        product: record?.product ?? null,
+        asset_group: record?.asset_group ?? null,
+    };
+}
+
+/**
+ * Stand-in facts for the dry-run plan, which makes no remote calls:
+ * every leaf is its own `<facts.path>` label.
+ */
+export function placeholderFacts() {
+    const label = (value, path) =>
+        value && typeof value === 'object'
+            ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, label(v, `${path}.${k}`)]))
+            : `<${path}>`;
+    return label({ ...parseFacts(''), agent: { version: null }, product: null, asset_group: null }, 'facts');
+}
@@ -0,0 +1,158 @@
+// @ts-check
+import { inputError } from '../errors.js';
+
+/**
+ * Pure text edits behind the `line_in_file` and `block_in_file`
+ * actions. The actions read the remote file, run one of these, and
+ * only write back when the result differs — so both are safe to re-run
+ * and `--check` can show the exact line diff.
+ *
+ * Files are handled as lines; a trailing newline is preserved (and
+ * added when the edit appends to a file that lacked one).
+ */
+
+const MAX_DIFF_LINES = 20;
+
+/**
+ * Ensure a line is present (or absent). With `regexp`, the last line
+ * matching it is replaced by `line`, or every matching line is removed
+ * for `state: absent`. Without it, `line` is matched literally.
+ * New lines go at the end unless `insert_after` / `insert_before` name
+ * a regex (or `BOF` / `EOF`).
+ *
+ * @param {string} text
+ * @param {{ line?: string, regexp?: string, state?: string, insert_after?: string, insert_before?: string }} opts
+ * @returns {string}
+ */
+export function editLine(text, opts) {
+    const state = opts.state ?? 'present';
+    const lines = splitLines(text);
+    const matcher = opts.regexp !== undefined ? compile(opts.regexp, 'regexp') : null;
+    const matches = (l) => (matcher ? matcher.test(l) : l === opts.line);
+
+    if (state === 'absent') {
+        return joinLines(lines.filter((l) => !matches(l)), text);
+    }
+    if (typeof opts.line !== 'string') throw inputError('`line` is required unless state is "absent"');
+    if (opts.line.includes('\n')) throw inputError('`line` must be a single line — use block_in_file');
+
+    const last = findLastIndex(lines, matches);
+    if (last !== -1) {
+        if (lines[last] === opts.line) return text;
+        const out = [...lines];
+        out[last] = opts.line;
+        return joinLines(out, text);
+    }
+    // A literal match elsewhere means the line is already there even
+    // though `regexp` didn't match it.
+    if (matcher && lines.includes(opts.line)) return text;
+    return joinLines(insertAt(lines, [opts.line], opts), text);
+}
+
+/**
+ * Ensure a marker-delimited block holds `block` (or is gone for
+ * `state: absent`). `marker` must contain `{mark}`, replaced by BEGIN
+ * and END to build the two delimiter lines.
+ *
+ * @param {string} text
+ * @param {{ block?: string, marker?: string, state?: string, insert_after?: string, insert_before?: string }} opts
+ * @returns {string}
+ */
+export function editBlock(text, opts) {
+    const state = opts.state ?? 'present';
+    const marker = opts.marker ?? '# {mark} THINR MANAGED BLOCK';
+    if (!marker.includes('{mark}')) throw inputError('`marker` must contain "{mark}"');
+    const begin = marker.replace('{mark}', 'BEGIN');
+    const end = marker.replace('{mark}', 'END');
+    const lines = splitLines(text);
+    const from = lines.indexOf(begin);
+    const to = from === -1 ? -1 : lines.indexOf(end, from + 1);
+    const existing = from !== -1 && to !== -1;
+
+    if (state === 'absent') {
+        if (!existing) return text;
+        return joinLines([...lines.slice(0, from), ...lines.slice(to + 1)], text);
+    }
+    if (typeof opts.block !== 'string') throw inputError('`block` is required unless state is "absent"');
+    const body = splitLines(opts.block.endsWith('\n') ? opts.block : `${opts.block}\n`);
+    const wanted = [begin, ...body, end];
+    if (existing) {
+        const current = lines.slice(from, to + 1);
+        if (current.length === wanted.length && current.every((l, i) => l === wanted[i])) return text;
+        return joinLines([...lines.slice(0, from), ...wanted, ...lines.slice(to + 1)], text);
+    }
+    return joinLines(insertAt(lines, wanted, opts), text);
+}
+
+/**
+ * Minimal line diff between two versions: the lines between the common
+ * prefix and suffix, as `-old` / `+new`. Capped so a rewritten file
+ * doesn't flood the report.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {string[]}
+ */
+export function lineDiff(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const diff = [
+        ...a.slice(start, endA).map((l) => `-${l}`),
+        ...b.slice(start, endB).map((l) => `+${l}`),
+    ];
+    if (diff.length <= MAX_DIFF_LINES) return diff;
+    return [...diff.slice(0, MAX_DIFF_LINES), `… ${diff.length - MAX_DIFF_LINES} more line(s)`];
+}
+
+function insertAt(lines, added, opts) {
+    if (opts.insert_after !== undefined && opts.insert_before !== undefined) {
+        throw inputError('use either `insert_after` or `insert_before`, not both');
+    }
+    if (opts.insert_before === 'BOF') return [...added, ...lines];
+    if (opts.insert_before !== undefined) {
+        const re = compile(opts.insert_before, 'insert_before');
+        const at = lines.findIndex((l) => re.test(l));
+        if (at !== -1) return [...lines.slice(0, at), ...added, ...lines.slice(at)];
+    } else if (opts.insert_after !== undefined && opts.insert_after !== 'EOF') {
+        const re = compile(opts.insert_after, 'insert_after');
+        const at = findLastIndex(lines, (l) => re.test(l));
+        if (at !== -1) return [...lines.slice(0, at + 1), ...added, ...lines.slice(at + 1)];
+    }
+    return [...lines, ...added];
+}
+
+function compile(source, field) {
+    try {
+        return new RegExp(source);
+    } catch (err) {
+        throw inputError(`invalid \`${field}\` regular expression: ${err.message}`);
+    }
+}
+
+function findLastIndex(list, predicate) {
+    for (let i = list.length - 1; i >= 0; i--) if (predicate(list[i])) return i;
+    return -1;
+}
+
+function splitLines(text) {
+    if (!text) return [];
+    return (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+}
+
+// Keep the original file's lack of a final newline only when nothing
+// was appended after its last line.
+function joinLines(lines, original) {
+    if (!lines.length) return '';
+    const originalLines = splitLines(original);
+    const keepBare =
+        original && !original.endsWith('\n') && lines[lines.length - 1] === originalLines[originalLines.length - 1];
+    return lines.join('\n') + (keepBare ? '' : '\n');
+}
@@ -0,0 +1,137 @@
+// @ts-check
+import { evaluateExpression } from './expression.js';
+
+/**
+ * Filters available after a `|` in step-param interpolation and in
+ * template output tags. Each entry receives the piped value first,
+ * then any call arguments already evaluated against the scope:
+ *
+ *   {{ port | default(8080) }}
+ *   {{ hosts | join(", ") }}
+ *
+ * Filters never throw on a missing value — `default` is the one place
+ * an undefined variable is tolerated, see {@link evaluateFiltered}.
+ *
+ * @type {Record<string, (value: any, ...args: any[]) => unknown>}
+ */
+export const FILTERS = {
+    default: (value, fallback = '') => (value === undefined || value === null ? fallback : value),
+    upper: (value) => toText(value).toUpperCase(),
+    lower: (value) => toText(value).toLowerCase(),
+    trim: (value) => toText(value).trim(),
+    json: (value, indent) => JSON.stringify(value, null, Number.isInteger(indent) ? indent : undefined),
+    join: (value, separator = '') =>
+        Array.isArray(value) ? value.map(toText).join(separator) : toText(value),
+    length: (value) => {
+        if (Array.isArray(value) || typeof value === 'string') return value.length;
+        if (value && typeof value === 'object') return Object.keys(value).length;
+        return 0;
+    },
+    replace: (value, search, replacement = '') =>
+        toText(value).split(toText(search)).join(toText(replacement)),
+    indent: (value, width = 4) => {
+        const pad = ' '.repeat(Math.max(0, Number(width) || 0));
+        return toText(value)
+            .split('\n')
+            .map((line, i) => (i === 0 || !line ? line : pad + line))
+            .join('\n');
+    },
+    int: (value) => {
+        const n = parseInt(toText(value), 10);
+        return Number.isNaN(n) ? 0 : n;
+    },
+    string: (value) => toText(value),
+    b64encode: (value) => Buffer.from(toText(value), 'utf8').toString('base64'),
+    quote: (value) => `'${toText(value).replace(/'/g, `'\\''`)}'`,
+};
+
+/**
+ * Render a value the way template output and string interpolation
+ * print it: nullish becomes empty, composites become JSON.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function toText(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Evaluate `expr | filter | filter(arg, …)` against `scope`. The head
+ * and every argument go through the `when:` expression evaluator, so
+ * paths, literals and comparisons behave identically everywhere.
+ *
+ * An undefined variable in the head is only tolerated when the chain
+ * contains a `default` filter; anything else propagates the evaluator's
+ * "Undefined playbook variable" error.
+ *
+ * @param {string} source
+ * @param {Record<string, unknown>} scope
+ * @returns {unknown}
+ */
+export function evaluateFiltered(source, scope) {
+    const [head, ...segments] = splitTopLevel(source, '|');
+    if (!head.trim()) throw new Error(`Empty expression in "${source.trim()}"`);
+    const filters = segments.map(parseFilterCall);
+
+    let value;
+    try {
+        value = evaluateExpression(head, scope);
+    } catch (err) {
+        const hasDefault = filters.some((f) => f.name === 'default');
+        if (!hasDefault || err?.code !== 'undefined_variable') throw err;
+        value = undefined;
+    }
+
+    for (const f of filters) {
+        const args = f.args.map((a) => evaluateExpression(a, scope));
+        value = FILTERS[f.name](value, ...args);
+    }
+    return value;
+}
+
+const FILTER_CALL_RE = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*(?:\(([\s\S]*)\))?\s*$/;
+
+function parseFilterCall(segment) {
+    const m = FILTER_CALL_RE.exec(segment);
+    if (!m) throw new Error(`Invalid filter syntax: "${segment.trim()}"`);
+    const name = m[1];
+    if (!Object.hasOwn(FILTERS, name)) {
+        throw new Error(`Unknown filter "${name}" (available: ${Object.keys(FILTERS).join(', ')})`);
+    }
+    const args = m[2] !== undefined && m[2].trim() ? splitTopLevel(m[2], ',') : [];
+    return { name, args };
+}
+
+/**
+ * Split `source` on `separator`, ignoring occurrences inside quoted
+ * strings or any kind of bracket.
+ *
+ * @param {string} source
+ * @param {string} separator  Single character.
+ */
+function splitTopLevel(source, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < source.length; i++) {
+        const c = source[i];
+        if (quote) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = null;
+            continue;
+        }
+        if (c === '"' || c === "'") quote = c;
+        else if (c === '(' || c === '[' || c === '{') depth++;
+        else if (c === ')' || c === ']' || c === '}') depth--;
+        else if (c === separator && depth === 0) {
+            parts.push(source.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(source.slice(start));
+    return parts;
+}
@@ -1,5 +1,7 @@
 // @ts-check
-import { runPlaybook } from './runner.js';
+import { delay } from '../concurrency.js';
+import { createRollingState, runPlaybook } from './runner.js';
+import { planWaves } from './waves.js';
 
 export const DEFAULT_FAILURE_THRESHOLD = 10;
 
@@ -18,6 +20,17 @@ export const DEFAULT_FAILURE_THRESHOLD = 10;
  * live here: partitioning, batch barriers, threshold bookkeeping, and
  * rollout-level progress hooks.
  *
+ * With `waves` the batches are the waves of a staged rollout instead
+ * (see waves.js), each running up to `batchSize` devices at a time.
+ * Between waves the orchestrator waits `soakSeconds`, then asks
+ * `approve` (when given) whether to go on; a refusal stops the rollout
+ * with reason `not-approved`.
+ *
+ * `checkHealth` (see gates.js) runs after every batch, including the
+ * last, after the soak time: it gets the batch's devices and start
+ * time, and a failing gate stops the rollout with reason `health-gate`.
+ * Its results are kept on that batch as `gates`.
+ *
  * Caller shape — the returned `results` array is parallel to `devices`
  * after both the successful and skipped paths fill in. Skipped devices
  * have `ok: false, skipped: true` with the abort reason in `error`.
@@ -28,24 +41,30 @@ export const DEFAULT_FAILURE_THRESHOLD = 10;
  *   user?: string | null,
  *   batchSize?: number,
  *   failureThreshold?: number,
+ *   waves?: Array<number | string> | null,
+ *   soakSeconds?: number,
+ *   approve?: (info: { index: number, size: number, wave: string, deviceIds: string[], cumulative: { attempted: number, succeeded: number, failed: number, failureRate: number } }) => boolean | Promise<boolean>,
+ *   checkHealth?: (batch: { index: number, deviceIds: string[], startedAt: number }) => Promise<{ ok: boolean, results: any[] }>,
+ *   sleep?: (ms: number, signal?: AbortSignal) => Promise<void>,
  *   overrides?: Record<string, unknown>,
+ *   secretKey?: string | null,
  *   checkMode?: boolean,
  *   baseDir?: string,
  *   signal?: AbortSignal,
- *   onBatchStart?: (info: { index: number, size: number, firstIndex: number, deviceIds: string[] }) => void,
- *   onBatchEnd?:   (info: { index: number, size: number, firstIndex: number, deviceIds: string[], results: any[], cumulative: { attempted: number, succeeded: number, failed: number, failureRate: number } }) => void,
+ *   onBatchStart?: (info: { index: number, size: number, firstIndex: number, deviceIds: string[], wave?: string }) => void,
+ *   onBatchEnd?:   (info: { index: number, size: number, firstIndex: number, deviceIds: string[], wave?: string, results: any[], cumulative: { attempted: number, succeeded: number, failed: number, failureRate: number } }) => void,
  *   onDeviceResult?: (result: any) => void,
  *   runBatch?: (pb: any, devices: any[], opts: any) => Promise<any[]>,
  * }} [opts]
  * @returns {Promise<{
  *   results: any[],
  *   aborted: boolean,
- *   reason: 'failure-threshold' | 'cancelled' | null,
+ *   reason: 'failure-threshold' | 'cancelled' | 'not-approved' | 'health-gate' | null,
  *   attempted: number,
  *   succeeded: number,
  *   failed: number,
  *   failureRate: number,
- *   batches: Array<{ index: number, size: number, firstIndex: number, deviceIds: string[], succeeded: number, failed: number }>,
+ *   batches: Array<{ index: number, size: number, firstIndex: number, deviceIds: string[], succeeded: number, failed: number, wave?: string, gates?: any[] }>,
  * }>}
  */
 export async function runFleetPlaybook(pb, devices, opts = {}) {
@@ -53,42 +72,106 @@ export async function runFleetPlaybook(pb, devices, opts = {}) {
     const failureThreshold = clampThreshold(opts.failureThreshold);
     const user = opts.user ?? null;
     const batchRunner = opts.runBatch || runPlaybook;
+    const sleep = opts.sleep || delay;
+    // `serial` / `run_once` hold across batches, not just within one.
+    const rolling = createRollingState();
+
+    /** @type {Array<{ size: number, wave?: string }>} */
+    const plan = [];
+    if (opts.waves && opts.waves.length) {
+        for (const w of planWaves(opts.waves, devices.length)) plan.push({ size: w.size, wave: w.label });
+    } else {
+        for (let start = 0; start < devices.length; start += batchSize) {
+            plan.push({ size: Math.min(batchSize, devices.length - start) });
+        }
+    }
 
     /** @type {any[]} */
     const results = new Array(devices.length);
+    /** @type {Array<{ index: number, size: number, firstIndex: number, deviceIds: string[], succeeded: number, failed: number, wave?: string, gates?: any[] }>} */
     const batches = [];
+    /** @type {number[]} */
+    const batchStarts = [];
     let attempted = 0;
     let succeeded = 0;
     let failed = 0;
     let aborted = false;
-    /** @type {'failure-threshold' | 'cancelled' | null} */
+    /** @type {'failure-threshold' | 'cancelled' | 'not-approved' | 'health-gate' | null} */
     let reason = null;
+    const cumulativeSoFar = () => ({
+        attempted,
+        succeeded,
+        failed,
+        failureRate: attempted === 0 ? 0 : (failed / attempted) * 100,
+    });
 
-    for (let start = 0; start < devices.length; start += batchSize) {
+    /** Run the health gates on a finished batch; false when one failed. */
+    const passesGates = async (batch) => {
+        if (opts.signal?.aborted || !opts.checkHealth) return true;
+        const health = await opts.checkHealth({
+            index: batch.index,
+            deviceIds: batch.deviceIds,
+            startedAt: batchStarts[batch.index],
+        });
+        batch.gates = health.results;
+        return health.ok;
+    };
+
+    let start = 0;
+    for (const { size, wave } of plan) {
+        const batchIndex = batches.length;
+        const batchDevices = devices.slice(start, start + size);
+        const deviceIds = batchDevices.map((d) => d.device);
+
+        if (batchIndex > 0) {
+            if (wave !== undefined && opts.soakSeconds && opts.soakSeconds > 0) {
+                await sleep(opts.soakSeconds * 1000, opts.signal);
+            }
+            if (!(await passesGates(batches[batchIndex - 1]))) {
+                aborted = true;
+                reason = 'health-gate';
+                break;
+            }
+            if (wave !== undefined && !opts.signal?.aborted && opts.approve) {
+                const approved = await opts.approve({
+                    index: batchIndex,
+                    size,
+                    wave,
+                    deviceIds,
+                    cumulative: cumulativeSoFar(),
+                });
+                if (!approved) {
+                    aborted = true;
+                    reason = 'not-approved';
+                    break;
+                }
+            }
+        }
         if (opts.signal?.aborted) {
             aborted = true;
             reason = 'cancelled';
             break;
         }
 
-        const batchDevices = devices.slice(start, start + batchSize);
-        const batchIndex = batches.length;
-        const deviceIds = batchDevices.map((d) => d.device);
-
+        const batchStartedAt = Date.now();
         opts.onBatchStart?.({
             index: batchIndex,
             size: batchDevices.length,
             firstIndex: start,
             deviceIds,
+            ...(wave !== undefined ? { wave } : {}),
         });
 
         const batchResults = await batchRunner(pb, batchDevices, {
             user,
-            concurrency: batchDevices.length,
+            concurrency: wave !== undefined ? Math.min(batchSize, batchDevices.length) : batchDevices.length,
             failFast: false,
             checkMode: !!opts.checkMode,
             baseDir: opts.baseDir,
             overrides: opts.overrides,
+            secretKey: opts.secretKey,
+            signal: opts.signal,
+            rolling,
         });
 
         let batchSucceeded = 0;
@@ -108,12 +191,7 @@ export async function runFleetPlaybook(pb, devices, opts = {}) {
             opts.onDeviceResult?.(r);
         }
 
-        const cumulative = {
-            attempted,
-            succeeded,
-            failed,
-            failureRate: attempted === 0 ? 0 : (failed / attempted) * 100,
-        };
+        const cumulative = cumulativeSoFar();
         batches.push({
             index: batchIndex,
             size: batchDevices.length,
@@ -121,15 +199,19 @@ export async function runFleetPlaybook(pb, devices, opts = {}) {
             deviceIds,
             succeeded: batchSucceeded,
             failed: batchFailed,
+            ...(wave !== undefined ? { wave } : {}),
         });
+        batchStarts.push(batchStartedAt);
         opts.onBatchEnd?.({
             index: batchIndex,
             size: batchDevices.length,
             firstIndex: start,
             deviceIds,
+            ...(wave !== undefined ? { wave } : {}),
             results: batchResults,
             cumulative,
         });
+        start += batchDevices.length;
 
         if (failed > 0 && cumulative.failureRate >= failureThreshold) {
             aborted = true;
@@ -138,8 +220,28 @@ export async function runFleetPlaybook(pb, devices, opts = {}) {
         }
     }
 
+    // The last batch is gated too, so no rollout (not even a single
+    // batch) completes while its devices are unhealthy.
+    const last = batches[batches.length - 1];
+    if (!aborted && last && opts.checkHealth && !opts.signal?.aborted) {
+        if (last.wave !== undefined && opts.soakSeconds && opts.soakSeconds > 0) {
+            await sleep(opts.soakSeconds * 1000, opts.signal);
+        }
+        if (!(await passesGates(last))) {
+            aborted = true;
+            reason = 'health-gate';
+        }
+    }
+
     if (aborted) {
-        const skipReason = reason === 'cancelled' ? 'cancelled' : 'aborted (failure threshold reached)';
+        const skipReason =
+            reason === 'cancelled'
+                ? 'cancelled'
+                : reason === 'not-approved'
+                  ? 'aborted (next wave not approved)'
+                  : reason === 'health-gate'
+                    ? 'aborted (health gate failed)'
+                    : 'aborted (failure threshold reached)';
         for (let i = 0; i < devices.length; i++) {
             if (results[i] === undefined) {
                 results[i] = {
@@ -0,0 +1,159 @@
+// @ts-check
+import { getMonitoringData } from '../monitoring.js';
+import { ALARM_SEVERITY_LABEL, getAlarmInstances, parseAlarmSeverity } from '../alarms.js';
+
+/**
+ * Health gates between fleet rollout batches, declared under
+ * `target.rollout.gates`:
+ *
+ *   gates:
+ *     - monitoring: cpu.usage     # monitoring field (dotted path)
+ *       max: 90                   # and/or min
+ *       agg: max                  # reducer over the window: max | min | avg
+ *     - alarms: high              # no new alarm instance at ≥ high
+ *
+ * After every batch, the last one included (and after the soak time,
+ * for waves), every gate is checked against the batch's devices, over
+ * the time since the batch started.
+ * A gate that fails, or can't be checked, stops the rollout with reason
+ * `health-gate`. Devices without monitoring data in the window pass.
+ */
+
+const MONITORING_KEYS = ['monitoring', 'min', 'max', 'agg'];
+const ALARM_KEYS = ['alarms'];
+const AGGREGATES = ['max', 'min', 'avg'];
+// Enough rows for one per device on large accounts (the query is grouped by device).
+const MONITORING_ROWS = 5000;
+
+/**
+ * @typedef {{ monitoring: string, min?: number, max?: number, agg: string }} MonitoringGate
+ * @typedef {{ alarms: string }} AlarmGate
+ * @typedef {MonitoringGate | AlarmGate} HealthGate
+ * @typedef {{ gate: string, ok: boolean, detail: string }} GateResult
+ */
+
+/**
+ * Validate and normalise a `gates` list.
+ *
+ * @param {unknown} value
+ * @returns {HealthGate[]}
+ */
+export function parseGates(value) {
+    if (!Array.isArray(value)) throw new Error('gates must be a list');
+    return value.map((g, i) => {
+        const where = `gates[${i}]`;
+        if (!g || typeof g !== 'object' || Array.isArray(g)) throw new Error(`${where} must be a mapping`);
+        if (typeof g.monitoring === 'string' && g.monitoring) {
+            const unknown = Object.keys(g).filter((k) => !MONITORING_KEYS.includes(k));
+            if (unknown.length) throw new Error(`${where}: unknown key "${unknown[0]}"`);
+            for (const key of ['min', 'max']) {
+                if (g[key] !== undefined && (typeof g[key] !== 'number' || !Number.isFinite(g[key]))) {
+                    throw new Error(`${where}.${key} must be a number`);
+                }
+            }
+            if (g.min === undefined && g.max === undefined) throw new Error(`${where} needs min and/or max`);
+            const agg = g.agg ?? 'max';
+            if (!AGGREGATES.includes(agg)) throw new Error(`${where}.agg must be one of ${AGGREGATES.join(', ')}`);
+            return {
+                monitoring: g.monitoring,
+                ...(g.min !== undefined ? { min: g.min } : {}),
+                ...(g.max !== undefined ? { max: g.max } : {}),
+                agg,
+            };
+        }
+        if (g.alarms !== undefined) {
+            const unknown = Object.keys(g).filter((k) => !ALARM_KEYS.includes(k));
+            if (unknown.length) throw new Error(`${where}: unknown key "${unknown[0]}"`);
+            const severity = parseAlarmSeverity(g.alarms);
+            if (!severity || !ALARM_SEVERITY_LABEL[severity]) {
+                throw new Error(`${where}.alarms must be a severity: low, medium, high or critical`);
+            }
+            return { alarms: ALARM_SEVERITY_LABEL[severity] };
+        }
+        throw new Error(`${where} must have a \`monitoring\` field or \`alarms\` severity`);
+    });
+}
+
+/** @param {HealthGate} gate */
+export function describeGate(gate) {
+    if ('alarms' in gate) return `no new alarms ≥ ${gate.alarms}`;
+    const bounds = [gate.min !== undefined ? `≥ ${gate.min}` : null, gate.max !== undefined ? `≤ ${gate.max}` : null];
+    return `${gate.agg} ${gate.monitoring} ${bounds.filter(Boolean).join(' and ')}`;
+}
+
+/**
+ * The `checkHealth` hook for `runFleetPlaybook`. The fetchers default to
+ * the platform APIs; tests pass their own.
+ *
+ * @param {HealthGate[]} gates
+ * @param {{
+ *   user?: string | null,
+ *   fetchMonitoring?: typeof getMonitoringData,
+ *   fetchAlarms?: typeof getAlarmInstances,
+ *   now?: () => number,
+ * }} [opts]
+ * @returns {(batch: { deviceIds: string[], startedAt: number }) => Promise<{ ok: boolean, results: GateResult[] }>}
+ */
+export function createHealthCheck(gates, opts = {}) {
+    const fetchMonitoring = opts.fetchMonitoring || getMonitoringData;
+    const fetchAlarms = opts.fetchAlarms || getAlarmInstances;
+    const now = opts.now || Date.now;
+    const user = opts.user ?? null;
+
+    return async ({ deviceIds, startedAt }) => {
+        const devices = new Set(deviceIds);
+        /** @type {GateResult[]} */
+        const results = [];
+        for (const gate of gates) {
+            const name = describeGate(gate);
+            try {
+                const failures =
+                    'alarms' in gate
+                        ? await newAlarms(gate, devices, startedAt, fetchAlarms, user)
+                        : await metricBreaches(gate, devices, startedAt, now(), fetchMonitoring, user);
+                results.push({ gate: name, ok: failures.length === 0, detail: failures.join('; ') || 'ok' });
+            } catch (err) {
+                results.push({ gate: name, ok: false, detail: `could not be checked: ${err?.message || err}` });
+            }
+        }
+        return { ok: results.every((r) => r.ok), results };
+    };
+}
+
+async function metricBreaches(gate, devices, startedAt, now, fetchMonitoring, user) {
+    const rows = await fetchMonitoring({
+        user,
+        items: MONITORING_ROWS,
+        min_ts: startedAt,
+        max_ts: now,
+        agg_type: gate.agg,
+        fields: gate.monitoring,
+        group_by: 'device',
+    });
+    const failures = [];
+    for (const row of Array.isArray(rows) ? rows : []) {
+        if (!devices.has(row?.device)) continue;
+        const value = Number(gate.monitoring.split('.').reduce((v, k) => v?.[k], row));
+        if (!Number.isFinite(value)) continue;
+        if ((gate.max !== undefined && value > gate.max) || (gate.min !== undefined && value < gate.min)) {
+            failures.push(`${row.device}: ${gate.monitoring} = ${value}`);
+        }
+    }
+    return failures;
+}
+
+async function newAlarms(gate, devices, startedAt, fetchAlarms, user) {
+    const floor = parseAlarmSeverity(gate.alarms) ?? 0;
+    const severities = Object.keys(ALARM_SEVERITY_LABEL).map(Number).filter((s) => s >= floor);
+    const instances = await fetchAlarms({ user, severity: severities, sort: 'created', order: 'desc' });
+    return instances
+        .filter((inst) => devices.has(inst?.origin?.id) && createdAt(inst) >= startedAt)
+        .map((inst) => `${inst.origin.id}: ${ALARM_SEVERITY_LABEL[inst.severity] || '?'} alarm ${inst.instance || '?'}`);
+}
+
+function createdAt(inst) {
+    const v = inst?.created;
+    const raw = v && typeof v === 'object' ? v.$date : v;
+    const t = typeof raw === 'number' ? raw : Date.parse(raw);
+    return Number.isFinite(t) ? t : 0;
+}
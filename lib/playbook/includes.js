@@ -0,0 +1,123 @@
+// @ts-check
+import { readFileSync } from 'fs';
+import { dirname, isAbsolute, resolve } from 'path';
+import YAML from 'yaml';
+
+/**
+ * Resolution of `include:` steps and `import_playbook:` entries. A
+ * reference is either
+ *
+ *   - a local file (contains a `/` or ends in .yaml / .yml), resolved
+ *     against the directory of the file that references it, or
+ *   - the name of another playbook in the same product's storage.
+ *
+ * `parsePlaybook` stays synchronous: product playbooks are fetched up
+ * front with {@link prefetchIncludes} and handed over as a name → YAML
+ * map, local files are read as they are met.
+ */
+
+/** @param {string} ref */
+export function isLocalRef(ref) {
+    return ref.includes('/') || /\.ya?ml$/i.test(ref);
+}
+
+/**
+ * @typedef {{ key: string, source: string, baseDir: string | null }} ResolvedInclude
+ */
+
+/**
+ * @param {{ playbooks?: Map<string, string> | null }} opts
+ * @returns {(ref: string, fromDir: string | null) => ResolvedInclude}
+ */
+export function createIncludeResolver({ playbooks = null }) {
+    return (ref, fromDir) => {
+        if (isLocalRef(ref)) {
+            if (!fromDir && !isAbsolute(ref)) {
+                throw new Error('local files can only be included from a playbook file');
+            }
+            const path = resolve(fromDir ?? '/', ref);
+            let source;
+            try {
+                source = readFileSync(path, 'utf8');
+            } catch (err) {
+                throw new Error(`cannot read ${path}: ${err.code || err.message}`, { cause: err });
+            }
+            return { key: path, source, baseDir: dirname(path) };
+        }
+        if (!playbooks) {
+            throw new Error('product playbooks can only be included from a playbook stored on the product');
+        }
+        const source = playbooks.get(ref);
+        if (source === undefined) throw new Error(`no playbook "${ref}" on the product`);
+        return { key: `product:${ref}`, source, baseDir: null };
+    };
+}
+
+/**
+ * Every product playbook name referenced by `raw` (a parsed YAML
+ * document), at any block depth. Local file references are skipped.
+ *
+ * @param {any} raw
+ * @returns {string[]}
+ */
+export function collectIncludeRefs(raw) {
+    const refs = new Set();
+    const add = (ref) => {
+        if (typeof ref === 'string' && ref && !isLocalRef(ref)) refs.add(ref);
+    };
+    const visit = (list) => {
+        if (!Array.isArray(list)) return;
+        for (const step of list) {
+            if (!step || typeof step !== 'object') continue;
+            add(step.include);
+            visit(step.block);
+            visit(step.rescue);
+            visit(step.always);
+        }
+    };
+    if (raw && typeof raw === 'object') {
+        const imports = Array.isArray(raw.import_playbook) ? raw.import_playbook : [raw.import_playbook];
+        for (const entry of imports) add(typeof entry === 'object' && entry ? entry.playbook : entry);
+        visit(raw.steps);
+        visit(raw.handlers);
+    }
+    return [...refs];
+}
+
+/**
+ * Fetch every product playbook `source` includes, directly or through
+ * other includes. `read(name)` returns the YAML, or null when there is
+ * no such playbook; missing ones and invalid YAML are left for
+ * `parsePlaybook` to report.
+ *
+ * @param {string} source
+ * @param {(name: string) => Promise<string | null>} read
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function prefetchIncludes(source, read) {
+    /** @type {Map<string, string>} */
+    const found = new Map();
+    const seen = new Set();
+    let pending = refsOf(source);
+    while (pending.length) {
+        const next = [];
+        for (const name of pending) {
+            if (seen.has(name)) continue;
+            seen.add(name);
+            const text = await read(name);
+            if (typeof text !== 'string') continue;
+            found.set(name, text);
+            next.push(...refsOf(text));
+        }
+        pending = next;
+    }
+    return found;
+}
+
+function refsOf(source) {
+    try {
+        return collectIncludeRefs(YAML.parse(source));
+    } catch {
+        return [];
+    }
+}
@@ -1,22 +1,38 @@
 // @ts-check
+import { createHash } from 'crypto';
 import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
 import YAML from 'yaml';
 import { ACTION_BY_NAME } from './schema.js';
+import { createIncludeResolver } from './includes.js';
+import { parseWaves } from './waves.js';
+import { parseGates } from './gates.js';
 import { VAR_TYPES, checkVarType, inferVarType } from './vars.js';
 
 const IDENT_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
-const VAR_META_KEYS = ['default', 'description', 'type', 'overridable', 'required'];
+const VAR_SOURCE_KEYS = ['from_property', 'from_product_property', 'by_group'];
+const VAR_META_KEYS = ['default', 'description', 'type', 'overridable', 'required', 'secret', ...VAR_SOURCE_KEYS];
+const PROPERTY_REF_RE = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
 const VAR_META_KEY_SET = new Set(VAR_META_KEYS);
+const DEFAULT_UNTIL_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_SECONDS = 5;
 
 /**
  * Parse and validate a playbook document. Returns the normalised shape
  * ready to feed into the runner, or throws a descriptive Error listing
  * every issue found (one per line).
  *
+ * `include:` steps and `import_playbook:` entries are expanded here
+ * (see ./includes.js). Local files resolve against `baseDir`, which only
+ * playbooks read from disk have; product playbook names come from
+ * `playbooks`, prefetched by the caller. `hash` covers the document and
+ * everything it includes, so a run report can tell whether the
+ * playbook changed since.
+ *
  * @param {string} source  YAML source text.
- * @param {{ sourcePath?: string }} [opts]
+ * @param {{ sourcePath?: string, baseDir?: string | null, playbooks?: Map<string, string> | null }} [opts]
  */
-export function parsePlaybook(source, { sourcePath } = {}) {
+export function parsePlaybook(source, { sourcePath, baseDir = null, playbooks = null } = {}) {
     let raw;
     try {
         raw = YAML.parse(source);
@@ -35,7 +51,27 @@ export function parsePlaybook(source, { sourcePath } = {}) {
 
     const target = validateTarget(raw.target, errors);
     const { vars, variables } = validateVars(raw.vars, errors);
-    const steps = validateSteps(raw.steps, errors);
+    const inc = {
+        resolve: createIncludeResolver({ playbooks }),
+        baseDir,
+        stack: [includeKey(sourcePath, baseDir)],
+        rootVars: new Set(variables.map((v) => v.name)),
+        handlers: [],
+        handlerKeys: new Set(),
+        sources: [],
+    };
+    const steps = validateDocSteps(raw, errors, inc);
+    const handlers = [
+        ...(raw.handlers === undefined ? [] : validateSteps(raw.handlers, errors, 'handler', '`handlers`', inc)),
+        ...inc.handlers,
+    ];
+    validateNotify(steps, handlers, errors);
+    if (raw.gather_facts !== undefined && typeof raw.gather_facts !== 'boolean') {
+        errors.push('`gather_facts` must be a boolean.');
+    }
+    if (raw.gather_facts === true && variables.some((v) => v.name === 'facts')) {
+        errors.push('`vars.facts` clashes with the gathered `facts` — rename the variable.');
+    }
 
     if (errors.length) {
         throw new Error(`Invalid playbook:\n  - ${errors.join('\n  - ')}`);
@@ -48,19 +84,34 @@ export function parsePlaybook(source, { sourcePath } = {}) {
         vars,
         variables,
         steps,
+        handlers,
+        gather_facts: raw.gather_facts === true,
+        hash: hashSources(source, inc.sources),
     };
 }
 
 /** Read + parse a playbook from disk. */
 export function loadPlaybookFile(path) {
     const source = readFileSync(path, 'utf8');
-    return parsePlaybook(source, { sourcePath: path });
+    return parsePlaybook(source, { sourcePath: path, baseDir: dirname(resolve(path)) });
+}
+
+function hashSources(source, included) {
+    const hash = createHash('sha256').update(source);
+    for (const { key, source: text } of included) hash.update(`\u0000${key}\u0000${text}`);
+    return hash.digest('hex');
+}
+
+/** How the root document would be referenced, for cycle detection. */
+function includeKey(sourcePath, baseDir) {
+    if (!sourcePath) return '<playbook>';
+    return baseDir ? resolve(sourcePath) : `product:${sourcePath.replace(/\.ya?ml$/i, '')}`;
 }
 
 function validateTarget(t, errors) {
     if (!t || typeof t !== 'object' || Array.isArray(t)) {
         errors.push('`target` is required and must be a mapping.');
-        return { product: null, group: null, devices: null, concurrency: 10, fail_fast: false };
+        return { product: null, group: null, devices: null, concurrency: 10, fail_fast: false, rollout: null };
     }
     const hasProduct = typeof t.product === 'string' && t.product;
     const hasDevices = Array.isArray(t.devices) && t.devices.length > 0;
@@ -79,12 +130,57 @@ function validateTarget(t, errors) {
     if (t.fail_fast !== undefined && typeof t.fail_fast !== 'boolean') {
         errors.push('`target.fail_fast` must be a boolean.');
     }
+    const rollout = t.rollout === undefined ? null : validateRollout(t.rollout, errors);
     return {
         product: hasProduct ? t.product : null,
         group: typeof t.group === 'string' ? t.group : null,
         devices: hasDevices ? [...t.devices] : null,
         concurrency: Number.isInteger(t.concurrency) && t.concurrency > 0 ? t.concurrency : 10,
         fail_fast: !!t.fail_fast,
+        rollout,
+    };
+}
+
+const ROLLOUT_KEYS = ['waves', 'soak', 'approve', 'gates'];
+
+/** `target.rollout`: staged waves (waves.js) and health gates (gates.js) for fleet runs. */
+function validateRollout(r, errors) {
+    if (!r || typeof r !== 'object' || Array.isArray(r)) {
+        errors.push('`target.rollout` must be a mapping.');
+        return null;
+    }
+    for (const key of Object.keys(r)) {
+        if (!ROLLOUT_KEYS.includes(key)) {
+            errors.push(`\`target.rollout\`: unknown key "${key}" (expected: ${ROLLOUT_KEYS.join(', ')}).`);
+        }
+    }
+    let waves = null;
+    if (r.waves !== undefined) {
+        try {
+            waves = parseWaves(r.waves);
+        } catch (err) {
+            errors.push(`\`target.rollout.waves\`: ${err.message}.`);
+        }
+    }
+    if (r.soak !== undefined && (typeof r.soak !== 'number' || !Number.isFinite(r.soak) || r.soak < 0)) {
+        errors.push('`target.rollout.soak` must be a number of seconds (>= 0).');
+    }
+    if (r.approve !== undefined && typeof r.approve !== 'boolean') {
+        errors.push('`target.rollout.approve` must be a boolean.');
+    }
+    let gates = [];
+    if (r.gates !== undefined) {
+        try {
+            gates = parseGates(r.gates);
+        } catch (err) {
+            errors.push(`\`target.rollout\`: ${err.message}.`);
+        }
+    }
+    return {
+        waves,
+        soak: typeof r.soak === 'number' && r.soak >= 0 ? r.soak : 0,
+        approve: r.approve === true,
+        gates,
     };
 }
 
@@ -127,6 +223,9 @@ function normaliseVarDef(name, raw, errors) {
             hasDefault: true,
             overridable: true,
             required: false,
+            typeDeclared: false,
+            source: null,
+            secret: false,
         };
     }
 
@@ -159,12 +258,29 @@ function normaliseVarDef(name, raw, errors) {
         errors.push(`\`vars.${name}.required\` must be a boolean.`);
         return null;
     }
+    if (raw.secret !== undefined && typeof raw.secret !== 'boolean') {
+        errors.push(`\`vars.${name}.secret\` must be a boolean.`);
+        return null;
+    }
+    if (raw.secret === true && type !== 'string') {
+        errors.push(`\`vars.${name}\`: secret vars must be of type string.`);
+        return null;
+    }
 
     const hasDefault = 'default' in raw;
     if (hasDefault && !checkVarType(raw.default, type)) {
         errors.push(`\`vars.${name}.default\` does not match declared type ${type}.`);
         return null;
     }
+    const source = normaliseVarSource(name, raw, errors);
+    if (source === false) return null;
+    if (source?.kind === 'group' && raw.type !== undefined) {
+        const bad = Object.keys(source.groups).find((g) => !checkVarType(source.groups[g], type));
+        if (bad !== undefined) {
+            errors.push(`\`vars.${name}.by_group.${bad}\` does not match declared type ${type}.`);
+            return null;
+        }
+    }
 
     return {
         name,
@@ -174,22 +290,103 @@ function normaliseVarDef(name, raw, errors) {
         hasDefault,
         overridable: raw.overridable !== false,
         required: raw.required === true,
+        typeDeclared: raw.type !== undefined,
+        source,
+        secret: raw.secret === true,
     };
 }
 
-function validateSteps(s, errors) {
+/**
+ * Per-device source of an extended var (`from_property`,
+ * `from_product_property` or `by_group`). Returns null when the var has
+ * none and false after recording an error.
+ */
+function normaliseVarSource(name, raw, errors) {
+    const keys = VAR_SOURCE_KEYS.filter((k) => raw[k] !== undefined);
+    if (keys.length > 1) {
+        errors.push(`\`vars.${name}\`: use only one of ${VAR_SOURCE_KEYS.join(', ')}.`);
+        return false;
+    }
+    const [key] = keys;
+    if (!key) return null;
+    const ref = raw[key];
+    if (key === 'by_group') {
+        if (!ref || typeof ref !== 'object' || Array.isArray(ref)) {
+            errors.push(`\`vars.${name}.by_group\` must be a mapping of asset group → value.`);
+            return false;
+        }
+        return { kind: 'group', groups: { ...ref } };
+    }
+    if (typeof ref !== 'string' || !PROPERTY_REF_RE.test(ref)) {
+        errors.push(
+            `\`vars.${name}.${key}\` must be a property name, optionally followed by a dotted path (e.g. "site_config.ntp_server").`,
+        );
+        return false;
+    }
+    const [property, ...path] = ref.split('.');
+    return { kind: key === 'from_property' ? 'device' : 'product', property, path };
+}
+
+/**
+ * Steps of a document: its `import_playbook` entries first, then its
+ * own `steps` (optional when it imports something).
+ */
+function validateDocSteps(raw, errors, inc) {
+    const imports = raw.import_playbook === undefined ? [] : [raw.import_playbook].flat();
+    const imported = [];
+    imports.forEach((entry, i) => {
+        const where = `import_playbook[${i}]`;
+        const { playbook: ref, vars: params, ...extra } =
+            entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : { playbook: entry };
+        if (Object.keys(extra).length) {
+            errors.push(`${where}: unexpected field(s) ${Object.keys(extra).map((k) => `\`${k}\``).join(', ')} (allowed: playbook, vars).`);
+            return;
+        }
+        const block = expandInclude(ref, params, where, errors, inc, { name: `import ${ref}` });
+        if (block) imported.push(block);
+    });
+    if (raw.steps === undefined && imported.length) return imported;
+    return [...imported, ...validateSteps(raw.steps, errors, 'step', '`steps`', inc)];
+}
+
+function validateSteps(s, errors, path = 'step', field = '`steps`', inc) {
     if (!Array.isArray(s) || s.length === 0) {
-        errors.push('`steps` must be a non-empty list.');
+        errors.push(`${field} must be a non-empty list.`);
         return [];
     }
     const out = [];
     s.forEach((raw, i) => {
-        const where = `step[${i}]${raw?.name ? ` "${raw.name}"` : ''}`;
+        const where = `${path}[${i}]${raw?.name ? ` "${raw.name}"` : ''}`;
         if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
             errors.push(`${where}: must be a mapping.`);
             return;
         }
-        const { action, pause_after, when, register, label, ...rest } = raw;
+        if (raw.block !== undefined) {
+            const block = validateBlock(raw, where, `${path}[${i}]`, errors, inc);
+            if (block) out.push(block);
+            return;
+        }
+        if (raw.include !== undefined) {
+            const block = validateInclude(raw, where, errors, inc);
+            if (block) out.push(block);
+            return;
+        }
+        const {
+            action,
+            pause_after,
+            when,
+            register,
+            label,
+            loop,
+            with_items,
+            notify,
+            retries,
+            delay,
+            until,
+            serial,
+            run_once,
+            ...rest
+        } = raw;
         if (typeof action !== 'string' || !action) {
             errors.push(`${where}: \`action\` is required.`);
             return;
@@ -234,6 +431,37 @@ function validateSteps(s, errors) {
             errors.push(`${where}: \`register\` must be a valid identifier (letters, digits, underscore; no leading digit).`);
             return;
         }
+        if (loop !== undefined && with_items !== undefined) {
+            errors.push(`${where}: use either \`loop\` or \`with_items\`, not both.`);
+            return;
+        }
+        const items = loop !== undefined ? loop : with_items;
+        const notifyList = notify === undefined ? [] : Array.isArray(notify) ? notify : [notify];
+        if (!notifyList.every((n) => typeof n === 'string' && n)) {
+            errors.push(`${where}: \`notify\` must be a handler name or a list of handler names.`);
+            return;
+        }
+        if (items !== undefined && !Array.isArray(items) && (typeof items !== 'string' || !items.trim())) {
+            errors.push(`${where}: \`loop\` must be a list or an expression string.`);
+            return;
+        }
+        if (retries !== undefined && (!Number.isInteger(retries) || retries < 0)) {
+            errors.push(`${where}: \`retries\` must be a non-negative integer.`);
+            return;
+        }
+        if (delay !== undefined && (!Number.isFinite(delay) || delay < 0)) {
+            errors.push(`${where}: \`delay\` must be a non-negative number of seconds.`);
+            return;
+        }
+        if (until !== undefined && (typeof until !== 'string' || !until.trim())) {
+            errors.push(`${where}: \`until\` must be a string expression.`);
+            return;
+        }
+        if (until !== undefined && register === undefined) {
+            errors.push(`${where}: \`until\` needs \`register\` — it is evaluated against the registered result.`);
+            return;
+        }
+        if (!validateRolling(serial, run_once, where, errors)) return;
         out.push({
             name: stepLabel || spec.summary(params),
             action,
@@ -241,7 +469,243 @@ function validateSteps(s, errors) {
             pause_after: Number.isFinite(pause_after) ? pause_after : 0,
             when: typeof when === 'string' ? when : null,
             register: typeof register === 'string' ? register : null,
+            loop: items === undefined ? null : items,
+            notify: notifyList,
+            // `until` alone means "poll": default to a few attempts.
+            retries: retries ?? (until !== undefined ? DEFAULT_UNTIL_RETRIES : 0),
+            delay: delay ?? DEFAULT_RETRY_DELAY_SECONDS,
+            until: until ?? null,
+            serial: serial ?? null,
+            run_once: run_once === true,
         });
     });
     return out;
 }
+
+/**
+ * `serial: N` caps how many devices run the step (or block) at the same
+ * time across the whole run; `run_once: true` runs it on the first
+ * device to get there and hands its outcome to the others.
+ */
+function validateRolling(serial, run_once, where, errors) {
+    if (serial !== undefined && (!Number.isInteger(serial) || serial <= 0)) {
+        errors.push(`${where}: \`serial\` must be a positive integer.`);
+        return false;
+    }
+    if (run_once !== undefined && typeof run_once !== 'boolean') {
+        errors.push(`${where}: \`run_once\` must be a boolean.`);
+        return false;
+    }
+    if (serial !== undefined && run_once === true) {
+        errors.push(`${where}: use either \`serial\` or \`run_once\`, not both.`);
+        return false;
+    }
+    return true;
+}
+
+const BLOCK_KEYS = new Set(['name', 'block', 'rescue', 'always', 'when', 'pause_after', 'serial', 'run_once']);
+
+/**
+ * Validate a `block:` step. The block runs its steps in order; the
+ * first failure jumps to `rescue` (if any), and `always` runs last no
+ * matter what. Sections nest, so a rescue can hold its own block.
+ */
+function validateBlock(raw, where, path, errors, inc) {
+    const unknown = Object.keys(raw).filter((k) => !BLOCK_KEYS.has(k));
+    if (unknown.length) {
+        errors.push(
+            `${where}: unexpected field(s) ${unknown.map((k) => `\`${k}\``).join(', ')} on a block (allowed: ${[...BLOCK_KEYS].join(', ')}).`,
+        );
+        return null;
+    }
+    const { name, block, rescue, always, when, pause_after, serial, run_once } = raw;
+    if (pause_after !== undefined && (!Number.isFinite(pause_after) || pause_after < 0)) {
+        errors.push(`${where}: \`pause_after\` must be a non-negative number of seconds.`);
+        return null;
+    }
+    if (when !== undefined && typeof when !== 'string') {
+        errors.push(`${where}: \`when\` must be a string expression.`);
+        return null;
+    }
+    if (!validateRolling(serial, run_once, where, errors)) return null;
+    const section = (list, key) =>
+        list === undefined ? [] : validateSteps(list, errors, `${path}.${key}`, `${where}: \`${key}\``, inc);
+    const steps = section(block, 'block');
+    return {
+        name: typeof name === 'string' && name ? name : `block (${steps.length} step${steps.length === 1 ? '' : 's'})`,
+        action: 'block',
+        params: {},
+        block: steps,
+        rescue: section(rescue, 'rescue'),
+        always: section(always, 'always'),
+        pause_after: Number.isFinite(pause_after) ? pause_after : 0,
+        when: typeof when === 'string' ? when : null,
+        register: null,
+        loop: null,
+        notify: [],
+        retries: 0,
+        delay: 0,
+        until: null,
+        serial: serial ?? null,
+        run_once: run_once === true,
+    };
+}
+
+const INCLUDE_KEYS = new Set(['name', 'include', 'vars', 'when', 'pause_after']);
+
+/**
+ * Validate an `include:` step. It becomes a block holding the included
+ * steps, with its `vars` bound as parameters while the block runs.
+ */
+function validateInclude(raw, where, errors, inc) {
+    const unknown = Object.keys(raw).filter((k) => !INCLUDE_KEYS.has(k));
+    if (unknown.length) {
+        errors.push(
+            `${where}: unexpected field(s) ${unknown.map((k) => `\`${k}\``).join(', ')} on an include (allowed: ${[...INCLUDE_KEYS].join(', ')}).`,
+        );
+        return null;
+    }
+    const { name, include, vars, when, pause_after } = raw;
+    if (pause_after !== undefined && (!Number.isFinite(pause_after) || pause_after < 0)) {
+        errors.push(`${where}: \`pause_after\` must be a non-negative number of seconds.`);
+        return null;
+    }
+    if (when !== undefined && typeof when !== 'string') {
+        errors.push(`${where}: \`when\` must be a string expression.`);
+        return null;
+    }
+    return expandInclude(include, vars, where, errors, inc, {
+        name: typeof name === 'string' && name ? name : `include ${include}`,
+        when: typeof when === 'string' ? when : null,
+        pause_after: Number.isFinite(pause_after) ? pause_after : 0,
+    });
+}
+
+/**
+ * Resolve, parse and validate an included document and wrap its steps
+ * in a block. The document's `vars` declare the parameters it takes:
+ * values passed in `params` always apply, declared defaults only when
+ * the run has no value of that name. Its handlers join the playbook's.
+ */
+function expandInclude(ref, params, where, errors, inc, fields) {
+    if (typeof ref !== 'string' || !ref) {
+        errors.push(`${where}: \`include\` must be a playbook name or a file path.`);
+        return null;
+    }
+    if (params !== undefined && (!params || typeof params !== 'object' || Array.isArray(params))) {
+        errors.push(`${where}: \`vars\` must be a mapping of parameter → value.`);
+        return null;
+    }
+    let target;
+    try {
+        target = inc.resolve(ref, inc.baseDir);
+    } catch (err) {
+        errors.push(`${where}: include "${ref}": ${err.message}`);
+        return null;
+    }
+    inc.sources.push(target);
+    if (inc.stack.includes(target.key)) {
+        const chain = [...inc.stack, target.key].map((k) => k.replace(/^product:/, ''));
+        errors.push(`${where}: include cycle: ${chain.join(' → ')}`);
+        return null;
+    }
+    let raw;
+    try {
+        raw = YAML.parse(target.source);
+    } catch (err) {
+        errors.push(`${where}: include "${ref}": invalid YAML: ${err.message}`);
+        return null;
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push(`${where}: include "${ref}" must be a YAML mapping with \`steps\`.`);
+        return null;
+    }
+
+    const docErrors = [];
+    const child = { ...inc, baseDir: target.baseDir, stack: [...inc.stack, target.key] };
+    const { variables } = validateVars(raw.vars, docErrors);
+    const steps = validateDocSteps(raw, docErrors, child);
+    const handlers =
+        raw.handlers === undefined ? [] : validateSteps(raw.handlers, docErrors, 'handler', '`handlers`', child);
+
+    const passed = params ?? {};
+    const declared = new Map(variables.map((d) => [d.name, d]));
+    for (const [name, value] of Object.entries(passed)) {
+        const def = declared.get(name);
+        if (!def) {
+            docErrors.push(`unknown parameter "${name}" (declared: ${[...declared.keys()].join(', ') || 'none'}).`);
+        } else if (!(typeof value === 'string' && value.includes('{{')) && !checkVarType(value, def.type)) {
+            docErrors.push(`parameter "${name}" does not match declared type ${def.type}.`);
+        }
+    }
+    /** @type {Record<string, unknown>} */
+    const defaults = {};
+    for (const d of variables) {
+        if (Object.hasOwn(passed, d.name)) continue;
+        if (d.hasDefault) defaults[d.name] = d.default;
+        else if (d.required && !inc.rootVars.has(d.name)) docErrors.push(`missing required parameter "${d.name}".`);
+    }
+    for (const e of docErrors) errors.push(`${where}: include "${ref}": ${e}`);
+    if (docErrors.length) return null;
+
+    const include = { ref, vars: { ...passed }, defaults };
+    for (const h of handlers) {
+        // A document included twice contributes its handlers once, bound
+        // to the parameters of the first include.
+        const key = `${target.key}\u0000${h.name}`;
+        if (inc.handlerKeys.has(key)) continue;
+        inc.handlerKeys.add(key);
+        inc.handlers.push(includeBlock(h.name, [h], include, {}));
+    }
+    return includeBlock(fields.name, steps, include, fields);
+}
+
+function includeBlock(name, steps, include, { when = null, pause_after = 0 }) {
+    return {
+        name,
+        action: 'block',
+        params: {},
+        block: steps,
+        rescue: [],
+        always: [],
+        include,
+        pause_after,
+        when,
+        register: null,
+        loop: null,
+        notify: [],
+        retries: 0,
+        delay: 0,
+        until: null,
+        serial: null,
+        run_once: false,
+    };
+}
+
+/**
+ * Handlers are addressed by their step name, so names must be unique
+ * and every `notify` (at any block depth) must point at one of them.
+ */
+function validateNotify(steps, handlers, errors) {
+    const names = new Set();
+    for (const h of handlers) {
+        if (names.has(h.name)) errors.push(`handlers: duplicate handler name "${h.name}".`);
+        names.add(h.name);
+    }
+    const visit = (list) => {
+        for (const step of list) {
+            for (const n of step.notify) {
+                if (!names.has(n)) {
+                    errors.push(`step "${step.name}": \`notify\` references unknown handler "${n}".`);
+                }
+            }
+            if (step.action === 'block') {
+                visit(step.block);
+                visit(step.rescue);
+                visit(step.always);
+            }
+        }
+    };
+    visit(steps);
+    visit(handlers);
+}
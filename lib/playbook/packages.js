@@ -0,0 +1,205 @@
+// @ts-check
+import { inputError } from '../errors.js';
+
+/**
+ * Package-manager support for the `package` action. Each manager knows
+ * how to query the installed and candidate version of one package and
+ * how to build the install / upgrade / remove command; actions.js runs
+ * the commands through the device API.
+ *
+ * Query commands print nothing (or fail) when the package is absent,
+ * and the parse helpers return null for that case, so the callers never
+ * have to tell "not installed" apart from an empty answer.
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   installed: (pkg: string) => string,
+ *   parseInstalled: (out: string, pkg: string) => string | null,
+ *   candidate: (pkg: string) => string,
+ *   parseCandidate: (out: string, pkg: string) => string | null,
+ *   install: (pkg: string, version?: string) => string,
+ *   upgrade: (pkg: string) => string,
+ *   remove: (pkg: string) => string,
+ * }} PackageManager
+ */
+
+const PACKAGE_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._+:@-]*$/;
+const PACKAGE_VERSION_RE = /^[A-Za-z0-9][A-Za-z0-9._+:~-]*$/;
+
+/**
+ * dnf and yum share the rpm database and the same command line.
+ *
+ * @param {string} bin
+ * @returns {PackageManager}
+ */
+function rpmManager(bin) {
+    return {
+        name: bin,
+        installed: (pkg) => `rpm -q --qf '%{VERSION}-%{RELEASE}' ${pkg} 2>/dev/null`,
+        parseInstalled: (out) => firstLine(out),
+        candidate: (pkg) => `${bin} -q repoquery --latest-limit 1 --qf '%{version}-%{release}' ${pkg} 2>/dev/null`,
+        parseCandidate: (out) => firstLine(out),
+        install: (pkg, version) => `${bin} install -y ${version ? `${pkg}-${version}` : pkg}`,
+        upgrade: (pkg) => `${bin} upgrade -y ${pkg}`,
+        remove: (pkg) => `${bin} remove -y ${pkg}`,
+    };
+}
+
+/** @type {Record<string, PackageManager>} */
+export const PACKAGE_MANAGERS = {
+    apt: {
+        name: 'apt',
+        installed: (pkg) => `dpkg-query -W -f='\${Status}|\${Version}' ${pkg} 2>/dev/null`,
+        parseInstalled: (out) => {
+            const [status, version] = out.trim().split('|');
+            return status?.endsWith(' installed') && version ? version : null;
+        },
+        candidate: (pkg) => `apt-cache policy ${pkg} 2>/dev/null`,
+        parseCandidate: (out) => {
+            const m = /^\s*Candidate:\s*(\S+)/m.exec(out);
+            return m && m[1] !== '(none)' ? m[1] : null;
+        },
+        install: (pkg, version) =>
+            `DEBIAN_FRONTEND=noninteractive apt-get install -y ${version ? `'${pkg}=${version}*'` : pkg}`,
+        upgrade: (pkg) => `DEBIAN_FRONTEND=noninteractive apt-get install -y --only-upgrade ${pkg}`,
+        remove: (pkg) => `DEBIAN_FRONTEND=noninteractive apt-get remove -y ${pkg}`,
+    },
+    dnf: rpmManager('dnf'),
+    yum: rpmManager('yum'),
+    apk: {
+        name: 'apk',
+        installed: (pkg) => `apk list --installed ${pkg} 2>/dev/null`,
+        parseInstalled: (out, pkg) => apkVersion(out, pkg),
+        candidate: (pkg) => `apk list ${pkg} 2>/dev/null`,
+        parseCandidate: (out, pkg) => apkVersion(out, pkg),
+        install: (pkg, version) => `apk add ${version ? `${pkg}~${version}` : pkg}`,
+        upgrade: (pkg) => `apk add --upgrade ${pkg}`,
+        remove: (pkg) => `apk del ${pkg}`,
+    },
+    opkg: {
+        name: 'opkg',
+        installed: (pkg) => `opkg list-installed ${pkg} 2>/dev/null`,
+        parseInstalled: (out, pkg) => opkgVersion(out, pkg),
+        candidate: (pkg) => `opkg list ${pkg} 2>/dev/null`,
+        parseCandidate: (out, pkg) => opkgVersion(out, pkg),
+        install: (pkg, version) => {
+            if (version) throw inputError('opkg cannot install a pinned `version`');
+            return `opkg install ${pkg}`;
+        },
+        upgrade: (pkg) => `opkg upgrade ${pkg}`,
+        remove: (pkg) => `opkg remove ${pkg}`,
+    },
+};
+
+/**
+ * Shell snippet printing the first package manager binary found on the
+ * device. `apt-get` maps to `apt`; everything else is its own name.
+ */
+export const DETECT_COMMAND =
+    'for m in apt-get dnf yum apk opkg; do command -v $m >/dev/null 2>&1 && { echo $m; break; }; done';
+
+/**
+ * Map the output of {@link DETECT_COMMAND} to a manager, or null when
+ * none of the supported ones is installed.
+ *
+ * @param {string} out
+ * @returns {PackageManager | null}
+ */
+export function managerFromDetect(out) {
+    const bin = firstLine(out);
+    if (!bin) return null;
+    return PACKAGE_MANAGERS[bin === 'apt-get' ? 'apt' : bin] || null;
+}
+
+/**
+ * Validate the package name and version before they are pasted into a
+ * shell command line.
+ *
+ * @param {{ name?: unknown, version?: unknown, state?: unknown }} params
+ */
+export function checkPackageParams(params) {
+    if (typeof params.name !== 'string' || !PACKAGE_NAME_RE.test(params.name)) {
+        throw inputError(`invalid package name "${params.name}"`);
+    }
+    if (params.version !== undefined && (typeof params.version !== 'string' || !PACKAGE_VERSION_RE.test(params.version))) {
+        throw inputError(`invalid package version "${params.version}"`);
+    }
+    const state = params.state ?? 'present';
+    if (state !== 'present' && state !== 'absent' && state !== 'latest') {
+        throw inputError('`state` must be "present", "absent" or "latest"');
+    }
+    if (state !== 'present' && params.version !== undefined) {
+        throw inputError('`version` only applies to state "present"');
+    }
+    return state;
+}
+
+/**
+ * Decide what a `package` step has to do given what is on the device.
+ * `candidate` is only consulted for `latest`; pass undefined when it
+ * could not be determined and the plan reports the op as uncertain.
+ *
+ * @param {{ name: string, state: 'present' | 'absent' | 'latest', version?: string }} want
+ * @param {string | null} installed
+ * @param {string | null} [candidate]
+ * @returns {{ op: 'install' | 'upgrade' | 'remove' | null, certain: boolean, summary: string }}
+ */
+export function planPackage(want, installed, candidate) {
+    const { name, state, version } = want;
+    if (state === 'absent') {
+        return installed
+            ? { op: 'remove', certain: true, summary: `remove ${name} ${installed}` }
+            : { op: null, certain: true, summary: `${name} is not installed` };
+    }
+    if (!installed) {
+        return { op: 'install', certain: true, summary: `install ${name}${version ? ` ${version}` : ''}` };
+    }
+    if (state === 'present') {
+        if (version && !versionMatches(installed, version)) {
+            return { op: 'install', certain: true, summary: `${name} ${installed} → ${version}` };
+        }
+        return { op: null, certain: true, summary: `${name} ${installed} already installed` };
+    }
+    if (candidate === undefined || candidate === null) {
+        return { op: 'upgrade', certain: false, summary: `${name} ${installed} — latest version unknown` };
+    }
+    if (candidate === installed) {
+        return { op: null, certain: true, summary: `${name} ${installed} is the latest` };
+    }
+    return { op: 'upgrade', certain: true, summary: `${name} ${installed} → ${candidate}` };
+}
+
+/**
+ * A pinned version matches the exact installed version, or its upstream
+ * part when the distribution appends a packaging revision (`1.2.3` vs
+ * `1.2.3-1ubuntu1`, `1.2.3-r0`). The install commands pin the same way
+ * (`apt-get install 'pkg=1.2.3*'`, `apk add pkg~1.2.3`).
+ */
+function versionMatches(installed, version) {
+    return installed === version || installed.startsWith(`${version}-`);
+}
+
+function firstLine(out) {
+    const line = String(out ?? '').split('\n')[0].trim();
+    return line || null;
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `apk list` prints `curl-8.5.0-r0 x86_64 {curl} (MIT) [installed]`.
+function apkVersion(out, pkg) {
+    const re = new RegExp(`^${escapeRegExp(pkg)}-(\\d\\S*)\\s`, 'm');
+    const m = re.exec(String(out ?? ''));
+    return m ? m[1] : null;
+}
+
+// `opkg list` / `list-installed` print `name - version[ - description]`.
+function opkgVersion(out, pkg) {
+    const re = new RegExp(`^${escapeRegExp(pkg)} - (\\S+)`, 'm');
+    const m = re.exec(String(out ?? ''));
+    return m ? m[1] : null;
+}
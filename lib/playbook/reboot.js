@@ -0,0 +1,98 @@
+// @ts-check
+import { getDevice } from '../devices.js';
+import { eventStream } from '../dashboard/event-stream.js';
+
+/**
+ * Reconnect tracking for the `reboot` action. The agent's
+ * `device_state_change` events on the shared user event socket are the
+ * fast path; polling the device record's `connection.active` covers a
+ * socket that can't be opened or misses the event.
+ */
+
+/** Seconds between two `getDevice` polls. */
+export const REBOOT_POLL_SECONDS = 5;
+
+/** Seconds to wait after the reconnect so the agent's services settle. */
+export const DEFAULT_REBOOT_GRACE_SECONDS = 10;
+
+/**
+ * Backgrounded so the exec call returns before the agent goes down;
+ * otherwise it would fail or hang with the connection.
+ */
+export const REBOOT_COMMAND = "nohup sh -c 'sleep 2; reboot' >/dev/null 2>&1 &";
+
+/**
+ * Run `trigger` (which issues the reboot) and resolve once the device is
+ * back. Listening starts before the trigger so a quick reboot can't
+ * slip between the two. A `connected` event counts straight away; the
+ * poller needs to see the device offline first, since the record still
+ * says connected until the agent drops.
+ *
+ * @param {{
+ *   deviceId: string,
+ *   user?: string | null,
+ *   timeout: number,
+ *   pollInterval?: number,
+ *   stream?: Pick<typeof eventStream, 'on' | 'subscribe' | 'connect' | 'disconnect'>,
+ *   fetchDevice?: (deviceId: string, user?: string | null) => Promise<any>,
+ * }} opts  `timeout` and `pollInterval` in seconds.
+ * @param {() => Promise<unknown>} trigger
+ * @returns {Promise<'event' | 'poll'>} How the reconnect was noticed.
+ */
+export function awaitReconnect(opts, trigger) {
+    const { deviceId, user = null, timeout, pollInterval = REBOOT_POLL_SECONDS } = opts;
+    const stream = opts.stream ?? eventStream;
+    const fetchDevice = opts.fetchDevice ?? getDevice;
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        let wentDown = false;
+        /** @type {NodeJS.Timeout | null} */
+        let pollTimer = null;
+        /** @type {NodeJS.Timeout | null} */
+        let deadline = null;
+
+        const off = stream.on('device_state_change', (frame) => {
+            if (frame?.device !== deviceId) return;
+            if (frame.state === 'connected') finish(null, 'event');
+            else if (frame.state === 'disconnected') wentDown = true;
+        });
+        stream.subscribe({ event: 'device_state_change' });
+        stream.connect();
+
+        function finish(err, via) {
+            if (settled) return;
+            settled = true;
+            if (pollTimer) clearTimeout(pollTimer);
+            if (deadline) clearTimeout(deadline);
+            off();
+            stream.disconnect();
+            if (err) reject(err);
+            else resolve(via);
+        }
+
+        async function poll() {
+            pollTimer = null;
+            try {
+                const device = await fetchDevice(deviceId, user);
+                if (device?.connection?.active !== true) wentDown = true;
+                else if (wentDown) return finish(null, 'poll');
+            } catch {
+                // API hiccup — the next poll tries again.
+            }
+            if (!settled) pollTimer = setTimeout(poll, pollInterval * 1000);
+        }
+
+        trigger().then(
+            () => {
+                if (settled) return;
+                deadline = setTimeout(
+                    () => finish(new Error(`device did not reconnect within ${timeout}s`)),
+                    timeout * 1000,
+                );
+                pollTimer = setTimeout(poll, pollInterval * 1000);
+            },
+            (err) => finish(err),
+        );
+    });
+}
@@ -0,0 +1,72 @@
+// @ts-check
+import { inputError } from '../errors.js';
+import { SECRET_MASK } from './secrets.js';
+
+/**
+ * Resuming an interrupted fleet rollout from its run report. The
+ * report must belong to the same product playbook, in the same mode,
+ * and its `playbook.hash` must match the playbook as it is now —
+ * otherwise the devices that already succeeded ran something else.
+ */
+
+/**
+ * Work out what a resumed rollout reuses from `report`: the recorded
+ * variables as overrides, the rollout settings, and the devices that
+ * already succeeded (to skip). The rollout settings include the wave
+ * plan, soak time and approval the report was run with. Throws an
+ * input error when the report can't be resumed.
+ *
+ * Masked secrets are not reused: those vars fall back to the
+ * playbook's own value unless overridden again.
+ *
+ * @param {any} report
+ * @param {{ pb: any, productId: string, name: string, mode: 'apply' | 'check' }} current
+ */
+export function planResume(report, { pb, productId, name, mode }) {
+    if (report.product !== productId || report.name !== name) {
+        throw inputError(
+            `Report is for playbook "${report.name}" on product "${report.product}", not "${name}" on "${productId}".`,
+        );
+    }
+    if ((report.mode || 'apply') !== mode) {
+        throw inputError(`Report is from a ${report.mode} run; resume it in the same mode.`);
+    }
+    if (!report.playbook?.hash) {
+        throw inputError('Report has no playbook hash (written by an older version); it cannot be resumed.');
+    }
+    if (report.playbook.hash !== pb.hash) {
+        throw inputError('Playbook changed since the report was written; refusing to resume. Start a new rollout instead.');
+    }
+
+    const byName = new Map((pb.variables || []).map((d) => [d.name, d]));
+    /** @type {Record<string, unknown>} */
+    const overrides = {};
+    for (const [key, value] of Object.entries(report.vars || {})) {
+        const def = byName.get(key);
+        if (!def || !def.overridable || value === SECRET_MASK) continue;
+        if (def.hasDefault && JSON.stringify(def.default) === JSON.stringify(value)) continue;
+        overrides[key] = value;
+    }
+
+    // A report that was itself resumed lists the earlier successes too.
+    const done = new Set([
+        ...(report.resumedFrom?.alreadySucceeded || []),
+        ...report.devices.filter((d) => d && d.ok && !d.skipped).map((d) => d.device),
+    ]);
+    const rollout = report.rollout || {};
+    return {
+        overrides,
+        done,
+        rollout: {
+            batchSize: rollout.batchSize,
+            failureThreshold: rollout.failureThreshold,
+            filters: rollout.filters || null,
+            group: rollout.group || null,
+            includeOffline: !!rollout.includeOffline,
+            // Reports written before waves existed leave these to the playbook.
+            waves: rollout.waves || null,
+            soak: rollout.soak ?? null,
+            approve: rollout.approve ?? null,
+        },
+    };
+}
@@ -1,17 +1,25 @@
 // @ts-check
 import { filterActiveDevices, getDevices } from '../devices.js';
-import { runPool } from '../concurrency.js';
-import { HANDLERS, CHECKERS, createActionContext } from './actions.js';
+import { createSemaphore, delay, runPool } from '../concurrency.js';
+import { HANDLERS, CHECKERS, createActionContext, hasExecGuards } from './actions.js';
 
 /** Actions whose effect isn't derivable from observable state, so
  * pre-checking before apply is either pointless or harmful (sleep
  * would always skip; exec/resource have unpredictable side effects
  * we must always trigger; pull writes to local disk — pre-check
- * would hash the remote just to overwrite the local file anyway). */
-const NON_IDEMPOTENT = new Set(['sleep', 'exec', 'resource', 'pull']);
+ * would hash the remote just to overwrite the local file anyway).
+ * An `exec` with `creates` / `removes` / `unless` / `check_command`
+ * guards is the exception — see {@link shouldPreCheck}. */
+const NON_IDEMPOTENT = new Set(['sleep', 'exec', 'resource', 'pull', 'reboot']);
+/** Actions whose failure does not change on a retry. */
+const NOT_RETRIED = new Set(['fail', 'assert']);
 import { ACTION_BY_NAME } from './schema.js';
-import { interpolate, resolveVarScope } from './vars.js';
+import { describeSource, interpolate, resolveVarScope } from './vars.js';
 import { evaluateCondition } from './expression.js';
+import { evaluateFiltered, toText } from './filters.js';
+import { gatherFacts, placeholderFacts } from './facts.js';
+import { createVarSourceResolver } from './var-sources.js';
+import { SECRET_MASK, createSecretVault, isSecretVar, loadSecretKey } from './secrets.js';
 
 function buildScope(pb, opts, extras) {
     if (opts && Object.hasOwn(opts, 'overrides')) {
@@ -50,7 +58,11 @@ export async function resolveTargets(pb, opts = {}) {
 
 /**
  * Static "what would happen" summary — does no remote calls. Returns
- * rows of `{ step, summary }` the caller can render as a plan.
+ * rows of `{ step, summary }` the caller can render as a plan. Looped
+ * steps expand to one row per item (sharing the step `index`) when the
+ * list resolves from vars alone. A block contributes a row of its own
+ * followed by its nested steps, tagged with `section` and `depth`;
+ * handlers come last with `section: 'handler'`.
  *
  * Pass `opts.overrides` to resolve variables with the new scope model
  * (declared defaults + validated overrides, throws on unknown / non-
@@ -62,18 +74,162 @@ export async function resolveTargets(pb, opts = {}) {
  */
 export function buildDryRunPlan(pb, opts) {
     /** @type {Record<string, unknown>} */
-    const scope = buildScope(pb, opts, { device: '<device>' });
-    return pb.steps.map((s, i) => {
+    const scope = buildScope(pb, opts, {
+        device: '<device>',
+        ...(pb.gather_facts ? { facts: placeholderFacts() } : {}),
+    });
+    // Vars sourced from properties / asset groups differ per device.
+    for (const d of pb.variables ?? []) {
+        if (d.source && !Object.hasOwn(opts?.overrides ?? {}, d.name)) scope[d.name] = `<${describeSource(d.source)}>`;
+        if (isSecretVar(d, scope[d.name])) scope[d.name] = SECRET_MASK;
+    }
+    const plan = [];
+    const addStep = (s, i, depth, section, stepScope) => {
         const spec = ACTION_BY_NAME[s.action];
-        const resolvedParams = interpolate(s.params, scope);
-        return {
-            index: i,
-            name: s.name,
-            action: s.action,
-            summary: spec ? spec.summary(resolvedParams) : s.action,
-            pause_after: s.pause_after,
+        const nesting = section ? { depth, section } : {};
+        const rolling = s.run_once ? { run_once: true } : s.serial ? { serial: s.serial } : {};
+        const row = (rowScope, name) => {
+            const resolvedParams = interpolate(s.params, rowScope);
+            return {
+                index: i,
+                name,
+                action: s.action,
+                summary: spec ? spec.summary(resolvedParams) : s.action,
+                pause_after: s.pause_after,
+                ...rolling,
+                ...nesting,
+            };
         };
-    });
+        if (s.action === 'block') {
+            const counts = ['block', 'rescue', 'always']
+                .filter((k) => s[k].length)
+                .map((k) => `${k} ${s[k].length}`);
+            plan.push({
+                index: i,
+                name: s.name,
+                action: 'block',
+                summary: s.include
+                    ? `include ${s.include.ref} (${s.block.length} step${s.block.length === 1 ? '' : 's'})`
+                    : counts.join(' · '),
+                pause_after: s.pause_after,
+                ...rolling,
+                ...nesting,
+            });
+            if (s.include) {
+                stepScope = { ...stepScope };
+                try {
+                    bindIncludeVars(stepScope, s.include);
+                } catch {
+                    // Parameters built from registered results resolve at run time.
+                }
+            }
+            const rescueScope = {
+                ...stepScope,
+                failed_step: { name: '<failed step>', error: '<error>' },
+            };
+            for (const child of s.block) addStep(child, i, depth + 1, 'block', stepScope);
+            for (const child of s.rescue) addStep(child, i, depth + 1, 'rescue', rescueScope);
+            for (const child of s.always) addStep(child, i, depth + 1, 'always', stepScope);
+            return;
+        }
+        if (s.loop === null || s.loop === undefined) {
+            plan.push(row(stepScope, s.name));
+            return;
+        }
+        let items;
+        try {
+            items = resolveLoopItems(s.loop, stepScope);
+        } catch {
+            // Loops over registered results only resolve at run time.
+            plan.push({
+                index: i,
+                name: `${s.name} (loop: ${s.loop}, resolved at run time)`,
+                action: s.action,
+                summary: spec ? spec.summary(s.params) : s.action,
+                pause_after: s.pause_after,
+                ...rolling,
+                ...nesting,
+            });
+            return;
+        }
+        items.forEach((item, k) => {
+            const entry = row({ ...stepScope, item, index: k }, `${s.name} (item=${itemLabel(item)})`);
+            plan.push({ ...entry, item, loopIndex: k });
+        });
+    };
+    pb.steps.forEach((s, i) => addStep(s, i, 0, null, scope));
+    (pb.handlers ?? []).forEach((h, k) => addStep(h, pb.steps.length + k, 1, 'handler', scope));
+    return plan;
+}
+
+/**
+ * Bind the parameters of an include block into `scope` and return a
+ * function restoring what was there before. Passed values are
+ * interpolated against the scope; declared defaults only fill names the
+ * scope has no value for.
+ *
+ * @param {Record<string, unknown>} scope
+ * @param {{ vars: Record<string, unknown>, defaults: Record<string, unknown> }} include
+ * @returns {() => void}
+ */
+export function bindIncludeVars(scope, include) {
+    /** @type {Record<string, unknown>} */
+    const values = interpolate(include.vars, scope);
+    for (const [name, value] of Object.entries(include.defaults)) {
+        if (!(name in scope) && !(name in values)) values[name] = value;
+    }
+    const saved = Object.keys(values).map((name) => ({ name, had: Object.hasOwn(scope, name), value: scope[name] }));
+    Object.assign(scope, values);
+    return () => {
+        for (const { name, had, value } of saved) {
+            if (had) scope[name] = value;
+            else delete scope[name];
+        }
+    };
+}
+
+function shouldPreCheck(action, params) {
+    if (action === 'exec') return hasExecGuards(params);
+    return !NON_IDEMPOTENT.has(action);
+}
+
+/**
+ * Resolve a step's `loop` to the concrete list of items. Inline lists
+ * are interpolated element-wise; a string is evaluated as an expression
+ * (filters allowed, optional `{{ }}` wrapper) and must yield a list.
+ *
+ * @param {unknown[] | string} loop
+ * @param {Record<string, unknown>} scope
+ * @returns {unknown[]}
+ */
+export function resolveLoopItems(loop, scope) {
+    if (Array.isArray(loop)) return interpolate(loop, scope);
+    const expr = loop.trim().replace(/^\{\{([\s\S]*)\}\}$/, '$1');
+    const items = evaluateFiltered(expr, scope);
+    if (items === undefined || items === null) return [];
+    if (!Array.isArray(items)) {
+        throw new Error(`\`loop\` must resolve to a list, got ${typeof items}`);
+    }
+    return items;
+}
+
+function itemLabel(item) {
+    const text = toText(item);
+    return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+/**
+ * The shared state behind `serial` and `run_once`: a semaphore and the
+ * pending single run per step. `runFleetPlaybook` creates one for the
+ * whole rollout and hands it to every batch via `opts.rolling`.
+ */
+export function createRollingState() {
+    return {
+        /** @type {Map<any, ReturnType<typeof createSemaphore>>} */
+        semaphores: new Map(),
+        /** @type {Map<any, Promise<{ deviceId: string, failed: boolean, skipped: boolean, outcome: unknown }>>} */
+        onceRuns: new Map(),
+    };
 }
 
 /**
@@ -82,6 +238,15 @@ export function buildDryRunPlan(pb, opts) {
  * the outcome per step. Handlers never throw past the runner — failures
  * are captured into the results table.
  *
+ * A step with `loop` runs once per item with `item` / `index` in scope
+ * and records one entry per iteration (same `index`, plus `item` and
+ * `loopIndex`). Its `register` holds `{ ok, results: [...], duration_ms }`
+ * with one outcome per executed iteration.
+ *
+ * A step whose verdict is `changed` notifies the handlers named in its
+ * `notify`; each notified handler runs once at the end of the device's
+ * run, unless the run stopped on a failure.
+ *
  * Set `checkMode: true` to route every step through CHECKERS instead
  * of HANDLERS. Actions without a checker are reported as `unknown`
  * and skipped without side effects.
@@ -90,6 +255,10 @@ export function buildDryRunPlan(pb, opts) {
  * (declared defaults + validated overrides). Omit it to fall back to
  * the legacy behaviour that just spreads `pb.vars` into scope.
  *
+ * Encrypted vars are decrypted per device with `opts.secretKey`
+ * (default: THINR_PLAYBOOK_SECRET). Secret values are masked in the
+ * hook arguments and in the returned results.
+ *
  * @param {Object} pb                 Parsed playbook.
  * @param {Object[]} devices          Device records from resolveTargets().
  * @param {{
@@ -100,6 +269,9 @@ export function buildDryRunPlan(pb, opts) {
  *   baseDir?: string,
  *   checkMode?: boolean,
  *   overrides?: Record<string, unknown>,
+ *   secretKey?: string | null,
+ *   rolling?: ReturnType<typeof createRollingState>,
+ *   signal?: AbortSignal,
  *   onStepStart?: (args: { deviceId: string, stepIndex: number, step: any }) => void,
  *   onStepEnd?:   (args: { deviceId: string, stepIndex: number, step: any, ok: boolean, summary: string, error?: string, durationMs: number, verdict?: 'applied' | 'changed' | 'unchanged' | 'unknown', stdout?: string, stderr?: string, exitCode?: number }) => void,
  * }} [opts]
@@ -114,169 +286,505 @@ export async function runPlaybook(pb, devices, opts = {}) {
 
     /** @type {boolean} */
     let aborted = false;
+    const resolveSourcedVars = createVarSourceResolver(pb, { user, overrides: opts.overrides });
+    const vault = createSecretVault(pb, opts.secretKey ?? loadSecretKey());
+    const onStepEnd =
+        opts.onStepEnd &&
+        ((args) => {
+            const { summary, error, stdout, stderr } = args;
+            opts.onStepEnd({ ...args, ...vault.mask({ summary, error, stdout, stderr }) });
+        });
+
+    // `serial` / `run_once` are enforced across every device of the run
+    // (and of every batch, when a fleet rollout passes its own state).
+    const { semaphores, onceRuns } = opts.rolling ?? createRollingState();
 
     const results = await runPool(devices, concurrency, async (device) => {
         const deviceId = device.device;
-        const ctx = createActionContext({ deviceId, user, baseDir });
         /** @type {Record<string, unknown>} */
         const scope = buildScope(pb, opts, { device: deviceId });
+        const ctx = createActionContext({ deviceId, user, baseDir, scope });
+        try {
+            Object.assign(scope, await resolveSourcedVars(device));
+            vault.reveal(scope);
+        } catch (err) {
+            if (failFast) aborted = true;
+            throw err;
+        }
+        // Facts are gathered once per device, before the first step, and
+        // shared by every step through the scope.
+        if (pb.gather_facts && !aborted) {
+            try {
+                scope.facts = await gatherFacts(ctx);
+            } catch (err) {
+                if (failFast) aborted = true;
+                throw new Error(`gather_facts: ${err instanceof Error ? err.message : String(err)}`, { cause: err });
+            }
+        }
         const steps = [];
         let deviceOk = true;
+        /** Names of handlers notified by a `changed` step so far. */
+        const notified = new Set();
 
-        for (let i = 0; i < pb.steps.length; i++) {
-            if (aborted) {
-                steps.push({ index: i, name: pb.steps[i].name, ok: false, skipped: true, summary: 'skipped (fail-fast)', durationMs: 0 });
-                continue;
+        /**
+         * `when` gate. Evaluated against the live scope (playbook vars +
+         * `device` + every `register`-ed step result so far, plus
+         * `item` / `index` inside a loop). A parse/eval error fails the
+         * step — less confusing than silently skipping and continuing.
+         * Returns null when the step should run, otherwise the result
+         * of the gated execution (entry already recorded).
+         */
+        function whenGate(step, i, base, stepScope) {
+            if (!step.when) return null;
+            let gate;
+            try {
+                gate = evaluateCondition(step.when, stepScope);
+            } catch (err) {
+                const durationMs = 0;
+                const msg = err instanceof Error ? err.message : String(err);
+                steps.push({
+                    ...base,
+                    ok: false,
+                    summary: `when-expression error: ${msg}`,
+                    error: msg,
+                    durationMs,
+                });
+                onStepEnd?.({ deviceId, stepIndex: i, step, ok: false, summary: msg, error: msg, durationMs });
+                return { failed: true, outcome: registeredOutcome({ ok: false, error: msg, durationMs }) };
             }
-            const step = pb.steps[i];
-
-            // `when` gate. Evaluated against the live scope (playbook
-            // vars + `device` + every `register`-ed step result so far).
-            // A parse/eval error fails the step — less confusing than
-            // silently skipping and continuing.
-            if (step.when) {
-                let gate;
-                try {
-                    gate = evaluateCondition(step.when, scope);
-                } catch (err) {
-                    const durationMs = 0;
-                    const msg = err instanceof Error ? err.message : String(err);
-                    steps.push({
-                        index: i,
-                        name: step.name,
-                        ok: false,
-                        summary: `when-expression error: ${msg}`,
-                        error: msg,
-                        durationMs,
+            if (!gate) {
+                steps.push({
+                    ...base,
+                    ok: true,
+                    skipped: true,
+                    summary: `skipped (when: ${step.when})`,
+                    durationMs: 0,
+                });
+                onStepEnd?.({ deviceId, stepIndex: i, step, ok: true, summary: 'skipped', durationMs: 0 });
+                return { failed: false, skipped: true, outcome: null };
+            }
+            return null;
+        }
+
+        function entryBase(step, i, section) {
+            /** @type {Record<string, any>} */
+            const base = { index: i, name: step.name };
+            if (section) base.section = section;
+            return base;
+        }
+
+        /**
+         * Run one execution of `step` (the whole step, or one loop
+         * iteration) against `stepScope`, retrying per `retries` /
+         * `until`. Pushes the result entry,
+         * fires the hooks, and returns the outcome to register plus
+         * whether the execution failed.
+         */
+        async function execute(step, i, section, stepScope, iteration) {
+            const base = entryBase(step, i, section);
+            if (iteration) {
+                base.name = `${step.name} (item=${itemLabel(iteration.item)})`;
+                base.item = iteration.item;
+                base.loopIndex = iteration.index;
+            }
+            const gated = whenGate(step, i, base, stepScope);
+            if (gated) return gated;
+
+            const stepCtx = stepScope === scope ? ctx : { ...ctx, scope: stepScope };
+            opts.onStepStart?.({ deviceId, stepIndex: i, step });
+
+            // Retries only apply to real runs; a check is a single read.
+            const maxAttempts = checkMode ? 1 : (step.retries ?? 0) + 1;
+            const attempts = [];
+            const t0 = Date.now();
+            let run;
+            for (let attempt = 1; ; attempt++) {
+                run = await attemptStep(step, stepCtx, stepScope);
+                if (run.ok && step.until && !checkMode) run = checkUntil(step, stepScope, run);
+                if (maxAttempts > 1) {
+                    attempts.push({
+                        attempt,
+                        ok: run.ok,
+                        summary: run.ok ? run.summary : run.error,
+                        durationMs: run.durationMs,
                     });
-                    opts.onStepEnd?.({ deviceId, stepIndex: i, step, ok: false, summary: msg, error: msg, durationMs });
-                    deviceOk = false;
-                    if (failFast) aborted = true;
-                    break;
                 }
-                if (!gate) {
-                    steps.push({
-                        index: i,
-                        name: step.name,
+                if (run.ok || run.fatal || attempt >= maxAttempts || opts.signal?.aborted) break;
+                if (step.delay > 0) await delay(step.delay * 1000, opts.signal);
+            }
+            const durationMs = Date.now() - t0;
+            const { stdout, stderr, exitCode } = run;
+            const retried = attempts.length > 1 ? ` (after ${attempts.length} attempts)` : '';
+
+            if (run.ok) {
+                const { verdict, value, diff } = run;
+                const summary = run.summary + retried;
+                /** @type {Record<string, any>} */
+                const entry = { ...base, ok: true, summary, durationMs, verdict };
+                if (stdout !== undefined) entry.stdout = stdout;
+                if (stderr !== undefined) entry.stderr = stderr;
+                if (exitCode !== undefined) entry.exitCode = exitCode;
+                if (diff) entry.diff = diff;
+                if (attempts.length) entry.attempts = attempts;
+                steps.push(entry);
+                if (verdict === 'changed') for (const name of step.notify ?? []) notified.add(name);
+                onStepEnd?.({
+                    deviceId,
+                    stepIndex: i,
+                    step,
+                    ok: true,
+                    summary,
+                    durationMs,
+                    verdict,
+                    stdout,
+                    stderr,
+                    exitCode,
+                });
+                return {
+                    failed: false,
+                    outcome: registeredOutcome({
                         ok: true,
-                        skipped: true,
-                        summary: `skipped (when: ${step.when})`,
-                        durationMs: 0,
-                    });
-                    opts.onStepEnd?.({ deviceId, stepIndex: i, step, ok: true, summary: 'skipped', durationMs: 0 });
-                    continue;
-                }
+                        summary,
+                        durationMs,
+                        verdict,
+                        stdout,
+                        stderr,
+                        exitCode,
+                        value,
+                        attempts: attempts.length || undefined,
+                    }),
+                };
             }
 
+            const msg = run.error + retried;
+            /** @type {Record<string, any>} */
+            const entry = { ...base, ok: false, summary: msg, error: msg, durationMs };
+            if (stdout !== undefined) entry.stdout = stdout;
+            if (stderr !== undefined) entry.stderr = stderr;
+            if (exitCode !== undefined) entry.exitCode = exitCode;
+            if (attempts.length) entry.attempts = attempts;
+            steps.push(entry);
+            onStepEnd?.({
+                deviceId,
+                stepIndex: i,
+                step,
+                ok: false,
+                summary: msg,
+                error: msg,
+                durationMs,
+                stdout,
+                stderr,
+                exitCode,
+            });
+            return {
+                failed: true,
+                outcome: registeredOutcome({
+                    ok: false,
+                    error: msg,
+                    durationMs,
+                    stdout,
+                    stderr,
+                    exitCode,
+                    attempts: attempts.length || undefined,
+                }),
+            };
+        }
+
+        /**
+         * One attempt at a step: interpolate, then check or apply. Never
+         * throws — a failure comes back as `{ ok: false, error }` with
+         * whatever output the handler attached to its error.
+         *
+         * @returns {Promise<Record<string, any>>}
+         */
+        async function attemptStep(step, stepCtx, stepScope) {
             const handler = HANDLERS[step.action];
             const checker = CHECKERS[step.action];
-            const resolvedParams = interpolate(step.params, scope);
-            opts.onStepStart?.({ deviceId, stepIndex: i, step });
-
             const t0 = Date.now();
+            let resolvedParams;
             try {
-                let summary;
-                let verdict;
-                let stdout;
-                let stderr;
-                let exitCode;
+                resolvedParams = interpolate(step.params, stepScope);
+            } catch (err) {
+                const msg = err instanceof Error ? err.message : String(err);
+                return { ok: false, fatal: true, error: msg, durationMs: Date.now() - t0 };
+            }
+            try {
+                /** @type {Record<string, any>} */
+                const run = { ok: true };
                 if (checkMode) {
                     if (checker) {
-                        const result = await checker(ctx, resolvedParams);
-                        verdict = result.status;
-                        summary = result.summary;
+                        const result = await checker(stepCtx, resolvedParams);
+                        run.verdict = result.status;
+                        run.summary = result.summary;
+                        run.diff = result.diff;
                     } else {
-                        verdict = 'unknown';
-                        summary = `check not supported for ${step.action}`;
+                        run.verdict = 'unknown';
+                        run.summary = `check not supported for ${step.action}`;
                     }
                 } else {
                     let preCheck = null;
-                    if (checker && !NON_IDEMPOTENT.has(step.action)) {
+                    if (checker && shouldPreCheck(step.action, resolvedParams)) {
                         try {
-                            preCheck = await checker(ctx, resolvedParams);
+                            preCheck = await checker(stepCtx, resolvedParams);
                         } catch {
                             preCheck = null;
                         }
                     }
                     if (preCheck && preCheck.status === 'unchanged') {
-                        verdict = 'unchanged';
-                        summary = preCheck.summary;
+                        run.verdict = 'unchanged';
+                        run.summary = preCheck.summary;
                     } else {
-                        const out = await handler(ctx, resolvedParams);
+                        const out = await handler(stepCtx, resolvedParams);
                         if (typeof out === 'string') {
-                            summary = out;
+                            run.summary = out;
                         } else {
-                            summary = out.summary;
-                            stdout = out.stdout;
-                            stderr = out.stderr;
-                            exitCode = out.exitCode;
+                            run.summary = out.summary;
+                            run.stdout = out.stdout;
+                            run.stderr = out.stderr;
+                            run.exitCode = out.exitCode;
+                            run.value = out.value;
                         }
-                        verdict = 'changed';
+                        run.verdict = 'changed';
                     }
                 }
-                const durationMs = Date.now() - t0;
-                const entry = { index: i, name: step.name, ok: true, summary, durationMs, verdict };
-                if (stdout !== undefined) entry.stdout = stdout;
-                if (stderr !== undefined) entry.stderr = stderr;
-                if (exitCode !== undefined) entry.exitCode = exitCode;
-                steps.push(entry);
-                if (step.register) {
-                    scope[step.register] = {
-                        ok: true,
-                        result: summary,
-                        duration_ms: durationMs,
-                    };
-                }
-                opts.onStepEnd?.({
-                    deviceId,
-                    stepIndex: i,
-                    step,
-                    ok: true,
-                    summary,
-                    durationMs,
-                    verdict,
-                    stdout,
-                    stderr,
-                    exitCode,
+                run.durationMs = Date.now() - t0;
+                return run;
+            } catch (err) {
+                const isObj = err && typeof err === 'object';
+                return {
+                    ok: false,
+                    // Bad params, `fail` and `assert` fail the same way on every attempt.
+                    fatal: err?.code === 'input_error' || NOT_RETRIED.has(step.action),
+                    error: err instanceof Error ? err.message : String(err),
+                    durationMs: Date.now() - t0,
+                    stdout: isObj ? err.stdout : undefined,
+                    stderr: isObj ? err.stderr : undefined,
+                    exitCode: isObj ? err.exitCode : undefined,
+                };
+            }
+        }
+
+        /**
+         * `until` check for a successful attempt, evaluated with the
+         * attempt's outcome bound to the step's `register` name. A falsy
+         * result makes the attempt a retryable failure; an expression
+         * error fails the step without further attempts.
+         *
+         * @returns {Record<string, any>}
+         */
+        function checkUntil(step, stepScope, run) {
+            let met;
+            try {
+                met = evaluateCondition(step.until, {
+                    ...stepScope,
+                    [step.register]: registeredOutcome(/** @type {any} */ (run)),
                 });
             } catch (err) {
-                const durationMs = Date.now() - t0;
                 const msg = err instanceof Error ? err.message : String(err);
-                const stdout = err && typeof err === 'object' ? err.stdout : undefined;
-                const stderr = err && typeof err === 'object' ? err.stderr : undefined;
-                const exitCode = err && typeof err === 'object' ? err.exitCode : undefined;
-                const entry = { index: i, name: step.name, ok: false, summary: msg, error: msg, durationMs };
-                if (stdout !== undefined) entry.stdout = stdout;
-                if (stderr !== undefined) entry.stderr = stderr;
-                if (exitCode !== undefined) entry.exitCode = exitCode;
+                return { ...run, ok: false, fatal: true, error: `until-expression error: ${msg}` };
+            }
+            return met ? run : { ...run, ok: false, error: `until not met: ${step.until}` };
+        }
+
+        /**
+         * Run `step` — a plain step, a looped step or a block — and
+         * register its outcome. Returns true when it failed.
+         */
+        async function runStep(step, i, section) {
+            if (step.run_once) return runOnce(step, i, section);
+            if (step.serial) {
+                if (!semaphores.has(step)) semaphores.set(step, createSemaphore(step.serial));
+                return semaphores.get(step).use(() => runStepHere(step, i, section));
+            }
+            return runStepHere(step, i, section);
+        }
+
+        /**
+         * `run_once`: the first device to reach the step runs it; the
+         * others wait for it, record the step as skipped with the same
+         * result, and register the same outcome. When `when` skipped the
+         * step there, the next waiting device evaluates it instead.
+         */
+        async function runOnce(step, i, section) {
+            for (;;) {
+                const pending = onceRuns.get(step);
+                if (!pending) {
+                    const first = steps.length;
+                    const run = runStepHere(step, i, section).then((failed) => {
+                        const own = steps.slice(first);
+                        return {
+                            deviceId,
+                            failed,
+                            skipped: own.length > 0 && own.every((e) => e.skipped),
+                            outcome: step.register ? scope[step.register] : undefined,
+                        };
+                    });
+                    onceRuns.set(step, run);
+                    return (await run).failed;
+                }
+                const ran = await pending;
+                if (ran.skipped) {
+                    if (onceRuns.get(step) === pending) onceRuns.delete(step);
+                    continue;
+                }
+                const summary = `ran once on ${ran.deviceId}${ran.failed ? ' (failed)' : ''}`;
+                /** @type {Record<string, any>} */
+                const entry = { ...entryBase(step, i, section), ok: !ran.failed, skipped: true, summary, durationMs: 0 };
+                if (ran.failed) entry.error = `run_once step failed on ${ran.deviceId}`;
                 steps.push(entry);
+                onStepEnd?.({ deviceId, stepIndex: i, step, ok: !ran.failed, summary, error: entry.error, durationMs: 0 });
+                if (step.register && ran.outcome !== undefined) scope[step.register] = ran.outcome;
+                return ran.failed;
+            }
+        }
+
+        async function runStepHere(step, i, section) {
+            if (step.action === 'block') return runBlock(step, i, section);
+
+            let failed = false;
+            if (step.loop === null) {
+                const run = await execute(step, i, section, scope, null);
+                failed = run.failed;
+                if (step.register && run.outcome) scope[step.register] = run.outcome;
+            } else {
+                let items;
+                try {
+                    items = resolveLoopItems(step.loop, scope);
+                } catch (err) {
+                    const msg = err instanceof Error ? err.message : String(err);
+                    steps.push({ ...entryBase(step, i, section), ok: false, summary: `loop error: ${msg}`, error: msg, durationMs: 0 });
+                    onStepEnd?.({ deviceId, stepIndex: i, step, ok: false, summary: msg, error: msg, durationMs: 0 });
+                    items = null;
+                    failed = true;
+                }
+                const outcomes = [];
+                for (let k = 0; items && k < items.length; k++) {
+                    const item = items[k];
+                    const run = await execute(step, i, section, { ...scope, item, index: k }, { item, index: k });
+                    if (run.outcome) outcomes.push({ ...run.outcome, item, index: k });
+                    if (run.failed) {
+                        failed = true;
+                        if (!continueOnError) break;
+                    }
+                }
                 if (step.register) {
                     scope[step.register] = {
-                        ok: false,
-                        error: msg,
-                        duration_ms: durationMs,
+                        ok: !failed,
+                        results: outcomes,
+                        duration_ms: outcomes.reduce((sum, o) => sum + (Number(o.duration_ms) || 0), 0),
                     };
                 }
-                opts.onStepEnd?.({
-                    deviceId,
-                    stepIndex: i,
-                    step,
-                    ok: false,
-                    summary: msg,
-                    error: msg,
-                    durationMs,
-                    stdout,
-                    stderr,
-                    exitCode,
-                });
+            }
+
+            if (!failed && step.pause_after > 0) {
+                await new Promise((r) => setTimeout(r, step.pause_after * 1000));
+            }
+            return failed;
+        }
+
+        /**
+         * Run the steps of one block section in order, stopping at the
+         * first failure. `always` sections keep going after a fail-fast
+         * abort so cleanup still happens. Returns the failed step, or
+         * null when the section completed.
+         */
+        async function runSection(list, i, section) {
+            for (const step of list) {
+                if (aborted && section !== 'always') {
+                    steps.push({ ...entryBase(step, i, section), ok: false, skipped: true, summary: 'skipped (fail-fast)', durationMs: 0 });
+                    continue;
+                }
+                if (await runStep(step, i, section)) return step;
+            }
+            return null;
+        }
+
+        /**
+         * `block` / `rescue` / `always`. A failure inside `block` runs
+         * `rescue` with `failed_step` ({ name, error }) in scope; if the
+         * rescue completes, the failure is marked `rescued` and the block
+         * counts as ok. `always` runs last regardless, and a failure
+         * there fails the block.
+         */
+        async function runBlock(block, i, section) {
+            const gated = whenGate(block, i, entryBase(block, i, section), scope);
+            if (gated) return gated.failed;
+
+            let unbind = null;
+            if (block.include) {
+                try {
+                    unbind = bindIncludeVars(scope, block.include);
+                } catch (err) {
+                    const msg = `include parameters: ${err instanceof Error ? err.message : String(err)}`;
+                    steps.push({ ...entryBase(block, i, section), ok: false, summary: msg, error: msg, durationMs: 0 });
+                    onStepEnd?.({ deviceId, stepIndex: i, step: block, ok: false, summary: msg, error: msg, durationMs: 0 });
+                    return true;
+                }
+            }
+
+            const start = steps.length;
+            const failedStep = await runSection(block.block, i, 'block');
+            let failed = failedStep !== null;
+            if (failed && block.rescue.length) {
+                const rescueStart = steps.length;
+                const failure = steps.slice(start).reverse().find((e) => !e.ok && !e.skipped);
+                scope.failed_step = { name: failedStep.name, error: failure?.error ?? null };
+                failed = (await runSection(block.rescue, i, 'rescue')) !== null;
+                delete scope.failed_step;
+                if (!failed) {
+                    for (const e of steps.slice(start, rescueStart)) {
+                        if (!e.ok && !e.skipped) e.rescued = true;
+                    }
+                }
+            }
+            if (block.always.length && (await runSection(block.always, i, 'always')) !== null) {
+                failed = true;
+            }
+            unbind?.();
+
+            if (!failed && block.pause_after > 0) {
+                await new Promise((r) => setTimeout(r, block.pause_after * 1000));
+            }
+            return failed;
+        }
+
+        let halted = false;
+        for (let i = 0; i < pb.steps.length; i++) {
+            if (aborted) {
+                steps.push({ index: i, name: pb.steps[i].name, ok: false, skipped: true, summary: 'skipped (fail-fast)', durationMs: 0 });
+                continue;
+            }
+            if (await runStep(pb.steps[i], i, null)) {
                 deviceOk = false;
                 if (failFast) aborted = true;
                 if (continueOnError) continue;
+                halted = true;
                 break;
             }
+        }
 
-            if (step.pause_after > 0) {
-                await new Promise((r) => setTimeout(r, step.pause_after * 1000));
+        // Notified handlers run once each, after every step, in the
+        // order they are declared. Their entries are indexed after the
+        // last step and tagged `section: 'handler'`.
+        const handlers = pb.handlers ?? [];
+        for (let h = 0; h < handlers.length; h++) {
+            const handler = handlers[h];
+            if (!notified.has(handler.name)) continue;
+            const index = pb.steps.length + h;
+            if (aborted || halted) {
+                steps.push({
+                    ...entryBase(handler, index, 'handler'),
+                    ok: false,
+                    skipped: true,
+                    summary: aborted ? 'skipped (fail-fast)' : 'skipped (run failed)',
+                    durationMs: 0,
+                });
+                continue;
+            }
+            if (await runStep(handler, index, 'handler')) {
+                deviceOk = false;
+                if (failFast) aborted = true;
+                if (!continueOnError) halted = true;
             }
         }
 
@@ -284,7 +792,7 @@ export async function runPlaybook(pb, devices, opts = {}) {
     });
 
     return results.map((r, i) => {
-        if (r && r.ok) return r.value;
+        if (r && r.ok) return vault.mask(r.value);
         let msg = 'unknown error';
         if (r && r.ok === false) {
             const err = r.error;
@@ -294,7 +802,51 @@ export async function runPlaybook(pb, devices, opts = {}) {
             device: devices[i].device,
             ok: false,
             steps: [],
-            error: msg,
+            error: vault.mask(msg),
         };
     });
 }
+
+/**
+ * Shape of a `register`-ed step outcome as later `when` expressions and
+ * interpolation see it. `result` / `error` and `duration_ms` are always
+ * present; the rest only when the step produced them:
+ *
+ *   - `verdict`   — 'changed' | 'unchanged' | 'unknown'
+ *   - `stdout`, `stderr`, `exit_code` — command output (exec)
+ *   - `json`      — `stdout` parsed, when it is a complete JSON document
+ *   - `value`     — raw data from the handler (resource response,
+ *                   property value, affected paths)
+ *   - `attempts`  — how many attempts a step with `retries` took
+ *
+ * @param {{ ok: boolean, summary?: string, error?: string, durationMs: number, verdict?: string, stdout?: string, stderr?: string, exitCode?: number, value?: unknown, attempts?: number }} outcome
+ */
+export function registeredOutcome(outcome) {
+    /** @type {Record<string, unknown>} */
+    const out = outcome.ok
+        ? { ok: true, result: outcome.summary }
+        : { ok: false, error: outcome.error };
+    out.duration_ms = outcome.durationMs;
+    if (outcome.verdict !== undefined) out.verdict = outcome.verdict;
+    if (outcome.stdout !== undefined) {
+        out.stdout = outcome.stdout;
+        const json = parseJsonOutput(outcome.stdout);
+        if (json !== undefined) out.json = json;
+    }
+    if (outcome.stderr !== undefined) out.stderr = outcome.stderr;
+    if (outcome.exitCode !== undefined) out.exit_code = outcome.exitCode;
+    if (outcome.value !== undefined) out.value = outcome.value;
+    if (outcome.attempts !== undefined) out.attempts = outcome.attempts;
+    return out;
+}
+
+function parseJsonOutput(text) {
+    if (typeof text !== 'string') return undefined;
+    const trimmed = text.trim();
+    if (!trimmed) return undefined;
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        return undefined;
+    }
+}
@@ -0,0 +1,149 @@
+// @ts-check
+
+/**
+ * Fleet run history: the reports rollouts leave under `playbooks/runs/`
+ * in the product storage, summarised for listing and compared device by
+ * device. A report's outcome is `aborted` when the rollout stopped early,
+ * `failed` when it finished with failed devices, `succeeded` otherwise.
+ */
+
+export const RUN_OUTCOMES = ['succeeded', 'failed', 'aborted'];
+
+/** @typedef {'ok' | 'failed' | 'skipped'} DeviceStatus */
+/** @typedef {{ device: string, before: DeviceStatus | null, after: DeviceStatus | null, error: string | null }} DeviceChange */
+
+/** @param {any} report */
+export function runOutcome(report) {
+    if (report?.aborted) return 'aborted';
+    if ((report?.summary?.failed ?? 0) > 0) return 'failed';
+    return 'succeeded';
+}
+
+/**
+ * The `devices` block of a run report: per device its outcome and step
+ * entries, with every retry attempt a step made.
+ *
+ * @param {any[]} results  Device results from `runPlaybook` / `runFleetPlaybook`.
+ */
+export function reportDevices(results) {
+    return results.map((r) => ({
+        device: r?.device,
+        ok: !!r?.ok,
+        skipped: !!r?.skipped,
+        error: r?.error || null,
+        steps: Array.isArray(r?.steps)
+            ? r.steps.map((s) => ({
+                  index: s.index,
+                  name: s.name,
+                  ok: !!s.ok,
+                  skipped: !!s.skipped,
+                  section: s.section || null,
+                  rescued: !!s.rescued,
+                  verdict: s.verdict || null,
+                  summary: s.summary,
+                  durationMs: s.durationMs,
+                  error: s.error || null,
+                  attempts: s.attempts || null,
+              }))
+            : [],
+    }));
+}
+
+/**
+ * The listing entry for one report. `id` is the file name, which is
+ * what `runs show` / `runs diff` (and `--resume`) take.
+ *
+ * @param {string} path
+ * @param {any} report
+ */
+export function summarizeRun(path, report) {
+    const summary = report?.summary || {};
+    return {
+        id: path.split('/').pop() || path,
+        path,
+        name: report?.name ?? null,
+        user: report?.user ?? null,
+        mode: report?.mode || 'apply',
+        startedAt: report?.startedAt ?? null,
+        durationMs: report?.durationMs ?? null,
+        outcome: runOutcome(report),
+        reason: report?.reason ?? null,
+        devices: Array.isArray(report?.devices) ? report.devices.length : 0,
+        attempted: summary.attempted ?? 0,
+        succeeded: summary.succeeded ?? 0,
+        failed: summary.failed ?? 0,
+    };
+}
+
+/**
+ * Whether a storage file could hold a report matching the playbook and
+ * user filters, judged from its default `<stamp>-<name>-<user>.json`
+ * name so the listing only downloads candidates. Names that don't follow
+ * that pattern are always candidates, and so are the `run` / `unknown`
+ * parts the writer puts in place of a name or user it can't use in a
+ * file name (an e-mail address, say).
+ *
+ * @param {string} fileName
+ * @param {{ name?: string | null, user?: string | null }} filters
+ */
+export function isRunReportCandidate(fileName, { name, user } = {}) {
+    const m = /^[0-9TZ]+-(.+)\.json$/.exec(fileName);
+    if (!m) return fileName.endsWith('.json');
+    if (name && !m[1].startsWith(`${name}-`) && !m[1].startsWith('run-')) return false;
+    if (user && !m[1].endsWith(`-${user}`) && !m[1].endsWith('-unknown')) return false;
+    return true;
+}
+
+/**
+ * @param {ReturnType<typeof summarizeRun>} run
+ * @param {{ name?: string | null, user?: string | null, outcome?: string | null }} filters
+ */
+export function matchesRunFilters(run, { name, user, outcome } = {}) {
+    return (!name || run.name === name) && (!user || run.user === user) && (!outcome || run.outcome === outcome);
+}
+
+/**
+ * Per-device status in a report. Devices a resumed rollout skipped
+ * because an earlier run already succeeded on them count as `ok`.
+ *
+ * @param {any} report
+ * @returns {Map<string, DeviceStatus>}
+ */
+function deviceStatuses(report) {
+    /** @type {Map<string, DeviceStatus>} */
+    const out = new Map();
+    for (const id of report?.resumedFrom?.alreadySucceeded || []) out.set(id, 'ok');
+    for (const d of report?.devices || []) {
+        if (!d?.device) continue;
+        out.set(d.device, d.skipped ? 'skipped' : d.ok ? 'ok' : 'failed');
+    }
+    return out;
+}
+
+/**
+ * Compare two run reports device by device. `regressed` went from ok
+ * to failed, `recovered` from failed to ok; any other difference
+ * (skipped, or only present in one run) lands in `changed`.
+ *
+ * @param {any} before
+ * @param {any} after
+ */
+export function diffRunReports(before, after) {
+    const a = deviceStatuses(before);
+    const b = deviceStatuses(after);
+    const errors = new Map((after?.devices || []).map((d) => [d?.device, d?.error || null]));
+    /** @type {{ regressed: DeviceChange[], recovered: DeviceChange[], stillFailing: DeviceChange[], changed: DeviceChange[], unchanged: number }} */
+    const diff = { regressed: [], recovered: [], stillFailing: [], changed: [], unchanged: 0 };
+    const devices = [...new Set([...a.keys(), ...b.keys()])].sort();
+    for (const device of devices) {
+        const was = a.get(device) ?? null;
+        const now = b.get(device) ?? null;
+        const change = { device, before: was, after: now, error: errors.get(device) ?? null };
+        if (was === 'ok' && now === 'failed') diff.regressed.push(change);
+        else if (was === 'failed' && now === 'ok') diff.recovered.push(change);
+        else if (was === 'failed' && now === 'failed') diff.stillFailing.push(change);
+        else if (was === now) diff.unchanged += 1;
+        else diff.changed.push(change);
+    }
+    return diff;
+}
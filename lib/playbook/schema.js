@@ -1,4 +1,6 @@
 // @ts-check
+import { FILTERS } from './filters.js';
+import { describeWait } from './wait-for.js';
 
 /**
  * Catalogue of playbook actions the runner knows how to execute.
@@ -18,10 +20,15 @@
 export const ACTIONS = [
     {
         name: 'exec',
-        description: 'Run a shell command on the device and fail the step on non-zero exit.',
+        description:
+            'Run a shell command on the device and fail the step on non-zero exit. Optional guards make it idempotent: they are evaluated by `--check` and before a real run, and the command is skipped (verdict unchanged) when there is nothing to do. Without guards `--check` reports unknown and the command always runs.',
         params: [
             { name: 'command', type: 'string', required: true, description: 'Shell command to run.' },
-            { name: 'timeout', type: 'number', description: 'Per-device timeout in seconds (default: 30).' },
+            { name: 'timeout', type: 'number', description: 'Per-device timeout in seconds (default: 30). Also applies to `unless` / `check_command`.' },
+            { name: 'creates', type: 'string', description: 'Skip when this path exists on the device.' },
+            { name: 'removes', type: 'string', description: 'Skip when this path does not exist on the device.' },
+            { name: 'unless', type: 'string', description: 'Guard command: skip when it exits 0.' },
+            { name: 'check_command', type: 'string', description: 'Verdict command: exit 0 = unchanged (skip), 1 = changed (run), anything else = unknown (run).' },
         ],
         summary: (p) => `exec: ${p.command}`,
     },
@@ -33,6 +40,48 @@ export const ACTIONS = [
         ],
         summary: (p) => `sleep ${p.seconds}s`,
     },
+    {
+        name: 'reboot',
+        description:
+            'Reboot the device and wait until its agent reconnects (a `device_state_change` → `connected` event, or the device record showing it back online). The step fails if the device is not back within `timeout`. Later steps run after the `grace` period.',
+        params: [
+            { name: 'timeout', type: 'number', description: 'Seconds to wait for the reconnect (default: 600).' },
+            { name: 'grace', type: 'number', description: 'Seconds to wait after the reconnect before the next step (default: 10).' },
+        ],
+        summary: (p) => `reboot (wait up to ${p.timeout ?? 600}s)`,
+    },
+    {
+        name: 'wait_for',
+        description:
+            'Poll the device until a condition holds: a TCP port is listening, a file exists (or matches `search_regex`), a process is running, or a command exits 0. `state: absent` waits for the opposite (port closed, file gone, process stopped). Fails the step when `timeout` elapses. Errors while polling (e.g. the device reconnecting) count as "not yet".',
+        params: [
+            { name: 'port', type: 'number', description: 'TCP port that must be listening on the device.' },
+            { name: 'path', type: 'string', description: 'Absolute path that must exist on the device.' },
+            { name: 'search_regex', type: 'string', description: 'With `path`: JavaScript regular expression the file content must match.' },
+            { name: 'process', type: 'string', description: 'Exact process name that must be running (as matched by `pgrep -x`).' },
+            { name: 'command', type: 'string', description: 'Shell command that must exit 0.' },
+            { name: 'state', type: 'string', description: '"present" (default) or "absent". Not used with `command`.' },
+            { name: 'timeout', type: 'number', description: 'Seconds to wait before failing (default: 300).' },
+            { name: 'interval', type: 'number', description: 'Seconds between polls (default: 5).' },
+        ],
+        summary: (p) => `wait_for ${describeWait(p)} (timeout ${p.timeout ?? 300}s, every ${p.interval ?? 5}s)`,
+    },
+    {
+        name: 'assert',
+        description:
+            'Check preconditions before touching anything: every `that` expression (same syntax as `when`, evaluated against vars, `device` and registered results) must be true, otherwise the step fails with `message` — and fail-fast stops the run. Also evaluated by `--check`.',
+        params: [
+            { name: 'that', type: 'string', required: true, description: 'Expression, or list of expressions, that must all be true (e.g. `device matches "^rpi-"`).' },
+            { name: 'message', type: 'string', description: 'Failure message shown when an expression is false.' },
+        ],
+        summary: (p) => `assert ${Array.isArray(p.that) ? p.that.join(' and ') : p.that}`,
+    },
+    {
+        name: 'fail',
+        description: 'Fail the step unconditionally — use with `when` to abort on a condition, e.g. `when: disk.json.free_mb < 200`.',
+        params: [{ name: 'message', type: 'string', description: 'Failure message (default: "failed by playbook").' }],
+        summary: (p) => `fail${p.message ? `: ${p.message}` : ''}`,
+    },
     {
         name: 'write',
         description: 'Write inline content to a file on the device. Use `push` to upload a local file instead.',
@@ -42,6 +91,16 @@ export const ACTIONS = [
         ],
         summary: (p) => `write ${p.path}`,
     },
+    {
+        name: 'template',
+        description:
+            'Render a local template file against the run scope (vars, `device`, registered results) and write the result to the device. Supports `{% for %}`, `{% if %}` and filters — see `template_syntax`.',
+        params: [
+            { name: 'source', type: 'string', required: true, description: 'Local template file (relative paths resolve against the playbook directory).' },
+            { name: 'destination', type: 'string', required: true, description: 'Absolute path on the device.' },
+        ],
+        summary: (p) => `template ${p.source} → ${p.destination}`,
+    },
     {
         name: 'push',
         description: 'Upload a local file to the device.',
@@ -87,6 +146,64 @@ export const ACTIONS = [
         ],
         summary: (p) => `mv ${p.source} → ${p.destination}`,
     },
+    {
+        name: 'package',
+        description:
+            'Install, upgrade or remove a system package. Detects apt, dnf, yum, apk or opkg on the device and only runs the package manager when the installed version differs, so `--check` reports real changed / unchanged verdicts. Use `label` for the step label, since `name` is the package.',
+        params: [
+            { name: 'name', type: 'string', required: true, description: 'Package name.' },
+            { name: 'state', type: 'string', description: '"present" (default), "absent" or "latest".' },
+            { name: 'version', type: 'string', description: 'Pin a version with state "present" (`1.2.3` also matches `1.2.3-1ubuntu1`). Not supported by opkg.' },
+            { name: 'manager', type: 'string', description: 'Force a package manager instead of detecting it: apt, dnf, yum, apk or opkg.' },
+            { name: 'timeout', type: 'number', description: 'Install / remove timeout in seconds (default: 300).' },
+        ],
+        summary: (p) => `package ${p.name}${p.version ? `=${p.version}` : ''} ${p.state || 'present'}`,
+    },
+    {
+        name: 'service',
+        description:
+            'Start, stop, restart or reload a service and enable or disable it at boot, on systemd or OpenRC. `started`, `stopped` and `enabled` only act when the current status differs, so `--check` reports real verdicts; `restarted` and `reloaded` always act. Use `label` for the step label, since `name` is the service.',
+        params: [
+            { name: 'name', type: 'string', required: true, description: 'Service / unit name (e.g. "nginx").' },
+            { name: 'state', type: 'string', description: '"started", "stopped", "restarted" or "reloaded".' },
+            { name: 'enabled', type: 'boolean', description: 'Start at boot (true) or not (false).' },
+            { name: 'timeout', type: 'number', description: 'Timeout in seconds for each start / stop / enable command (default: 120).' },
+        ],
+        summary: (p) =>
+            `service ${p.name}` +
+            (p.state ? ` ${p.state}` : '') +
+            (p.enabled === undefined ? '' : p.enabled ? ' enabled' : ' disabled'),
+    },
+    {
+        name: 'line_in_file',
+        description:
+            'Ensure a single line is present in (or absent from) a file on the device. With `regexp`, the last matching line is replaced by `line` (or every matching line removed for state "absent"); otherwise `line` is matched literally and appended when missing. The file is only written when the content changes; `--check` shows the line diff.',
+        params: [
+            { name: 'path', type: 'string', required: true, description: 'Absolute path on the device.' },
+            { name: 'line', type: 'string', description: 'Line to ensure (required unless state is "absent").' },
+            { name: 'regexp', type: 'string', description: 'JavaScript regular expression selecting the line to replace or remove.' },
+            { name: 'state', type: 'string', description: '"present" (default) or "absent".' },
+            { name: 'insert_after', type: 'string', description: 'For a new line: regex — insert after the last matching line — or "EOF" (default).' },
+            { name: 'insert_before', type: 'string', description: 'For a new line: regex — insert before the first matching line — or "BOF".' },
+            { name: 'create', type: 'boolean', description: 'Create the file when missing (default: false — a missing file fails the step).' },
+        ],
+        summary: (p) => `line_in_file ${p.path}: ${p.state === 'absent' ? `remove ${p.regexp ?? p.line}` : p.line}`,
+    },
+    {
+        name: 'block_in_file',
+        description:
+            'Ensure a multi-line block, delimited by marker lines, is present in (or absent from) a file on the device. An existing block between the markers is replaced; otherwise the block is inserted. The file is only written when the content changes; `--check` shows the line diff.',
+        params: [
+            { name: 'path', type: 'string', required: true, description: 'Absolute path on the device.' },
+            { name: 'block', type: 'string', description: 'Block content (required unless state is "absent").' },
+            { name: 'marker', type: 'string', description: 'Marker line template containing "{mark}", replaced by BEGIN / END (default: "# {mark} THINR MANAGED BLOCK").' },
+            { name: 'state', type: 'string', description: '"present" (default) or "absent".' },
+            { name: 'insert_after', type: 'string', description: 'For a new block: regex — insert after the last matching line — or "EOF" (default).' },
+            { name: 'insert_before', type: 'string', description: 'For a new block: regex — insert before the first matching line — or "BOF".' },
+            { name: 'create', type: 'boolean', description: 'Create the file when missing (default: false).' },
+        ],
+        summary: (p) => `block_in_file ${p.path}${p.state === 'absent' ? ' (remove)' : ''}`,
+    },
     {
         name: 'property_set',
         description: 'Create or overwrite a device property.',
@@ -156,13 +273,21 @@ export function playbookSchema() {
                 devices: 'Optional explicit list of device IDs.',
                 concurrency: 'Max parallel devices (default: 10).',
                 fail_fast: 'Abort the whole run on the first step failure (default: false).',
+                rollout:
+                    'Optional staged fleet rollout: `waves` (how far the rollout gets after each wave, as device counts or fleet percentages, e.g. `[1, "5%", "25%", "100%"]`; a final wave covers any devices left), `soak` (seconds to wait between waves) and `approve` (ask before each wave after the first). Replaces fixed batches; `batch_size` still caps parallel devices per wave. Also `gates`: health checks after each batch, the last one included (after the soak), each either `{ monitoring: <field, e.g. cpu.usage>, min?, max?, agg?: max|min|avg }` (the batch\'s devices since the batch started) or `{ alarms: <severity> }` (no new alarm instance at that severity or above on those devices); a failing gate aborts with reason `health-gate`. Fleet runs only; the CLI and MCP tool can override `waves`, `soak` and `approve`.',
             },
             vars: 'Mapping of variable name → value (plain form) or name → metadata object (extended form — see `vars_extended`). Referenced in step params with `{{ var }}`.',
             steps: 'Ordered list of steps, executed sequentially on each device.',
+            handlers:
+                'Optional list of steps addressed by `name` from a step\'s `notify`. A notified handler runs once per device after all steps, in declaration order, and only when the run did not stop on a failure.',
+            import_playbook:
+                'Optional playbook reference, or list of them, run before `steps` (which becomes optional). Each entry is a name / path as for `include`, or `{ playbook, vars }` to pass parameters. The imported playbook\'s `target` is ignored.',
+            gather_facts:
+                'Optional boolean (default: false). When true, each device reports its facts once before the first step, exposed as `facts`: `hostname`, `kernel`, `arch`, `os.{id, name, version, pretty_name}`, `memory.total_mb`, `disk.{total_mb, free_mb}` (root filesystem), `agent.version`, `product`, `asset_group`. Unknown values are null. A device whose facts cannot be gathered fails without running any step.',
         },
         vars_extended: {
             description:
-                'Extended form for a single `vars` entry. Use it when a variable needs a description, an explicit type for override validation, or must be marked non-overridable or required.',
+                'Extended form for a single `vars` entry. Use it when a variable needs a description, an explicit type for override validation, must be marked non-overridable or required, or takes a per-device value from a property or the asset group. Explicit overrides win over per-device values.',
             fields: {
                 default: 'Default value. Optional when `required: true`. Must match the declared `type`.',
                 description: 'Optional human-readable text shown in the dashboard form.',
@@ -171,11 +296,21 @@ export function playbookSchema() {
                     'Whether CLI / MCP / dashboard callers may override the value at run time. Defaults to `true`. Set `false` for internal variables.',
                 required:
                     'Whether a value is mandatory at run time. Defaults to `false`. If `true` and no default is set, an override must be provided.',
+                from_property:
+                    'Resolve the value per device from a device property: the property name, optionally followed by a dotted path into its JSON value (`site_config.ntp_server`). Falls back to `default` when the property or path is missing.',
+                from_product_property:
+                    'Same as `from_property`, read from a property of the device\'s product.',
+                by_group: 'Mapping of asset group → value, picked per device. Devices in other groups get `default`.',
+                secret:
+                    'Mark a string var as secret (default: false). Its value is masked as "********" in dry-run plans, run output, reports and MCP responses. Only the value itself is masked: a secret transformed by a filter (e.g. `{{ password | b64encode }}`) or shorter than 4 characters shows in clear. Values of the form `enc:v1:…` (from `thinr playbook encrypt`) are always secret and are decrypted at run time with the passphrase from `--secret-key-file` or THINR_PLAYBOOK_SECRET.',
             },
             example: {
                 port: { default: 8080, description: 'Service listening port.', type: 'number' },
                 internal_token: { default: 'fixed', overridable: false },
                 release: { type: 'string', required: true, description: 'Release tag to deploy.' },
+                ntp_server: { from_property: 'site_config.ntp_server', default: 'pool.ntp.org' },
+                region_endpoint: { by_group: { 'eu-west': 'https://eu.example.com', 'us-east': 'https://us.example.com' } },
+                db_password: { secret: true, default: 'enc:v1:…' },
             },
         },
         step: {
@@ -183,16 +318,69 @@ export function playbookSchema() {
             action: 'Action name — one of the actions below.',
             pause_after: 'Optional seconds to wait after this step completes.',
             when: 'Optional boolean expression. When present and falsy the step is skipped. See `when_expression` below for supported syntax.',
-            register: 'Optional identifier. When set, the step outcome is exposed under that name to later `when` expressions and string interpolation as `{ ok, result | error, duration_ms }`.',
+            register:
+                'Optional identifier. When set, the step outcome is exposed under that name to later `when` expressions and string interpolation as `{ ok, result | error, duration_ms, verdict }`, plus `stdout`, `stderr`, `exit_code` and `json` (stdout parsed when it is valid JSON) for commands, and `value` with the raw data of the step (resource response, property value, affected path and size).',
+            loop: 'Optional list of items, or an expression string resolving to one (`"{{ packages }}"`, `"status.json.units"`). The step runs once per item with `item` and `index` in scope; a failing iteration stops the loop unless continue-on-error is set. With `register`, the outcome is `{ ok, results: [...], duration_ms }` holding one entry (plus `item`, `index`) per iteration. `with_items` is accepted as an alias.',
+            notify: 'Optional handler name or list of names. The handlers are queued when this step reports `changed` (in check mode: would change), so an unchanged config push does not restart the service.',
+            retries:
+                'Optional number of extra attempts when the step fails (or `until` is not met). Defaults to 0, or 3 when `until` is set. Every attempt is listed in the step result and the run report; check mode never retries, nor do failures that would repeat (undefined variables, invalid params, `fail` and `assert`).',
+            delay: 'Optional seconds to wait between attempts (default 5).',
+            until: 'Optional boolean expression, evaluated after each successful attempt with the attempt\'s outcome bound to the step\'s `register` name (required). The step succeeds once it is truthy, e.g. `until: "health.json.status == \'ok\'"`.',
+            serial: 'Optional positive integer: at most this many devices run the step at the same time across the whole run (e.g. `serial: 1` for a rolling restart); the other steps stay parallel.',
+            run_once:
+                'Optional boolean. The step runs on the first device that reaches it; the other devices wait for it, record it as skipped with the same result and get the same `register` outcome. A failure there fails every device; if its `when` skips it there, the next device evaluates it. Not combinable with `serial`.',
             '...': 'Additional fields are the action parameters (see `actions` below).',
         },
+        block: {
+            description:
+                'A step with `block:` instead of `action:` groups steps for error handling. The block steps run in order; the first failure skips the rest and runs `rescue`. If the rescue steps all succeed, the failure is marked rescued and the run continues as if the block had passed. `always` runs last whatever happened (also after a fail-fast abort) and fails the block if one of its steps fails. Sections may nest further blocks.',
+            fields: {
+                name: 'Optional label.',
+                block: 'Required non-empty list of steps.',
+                rescue: 'Optional list of steps run after a failure in `block`. `failed_step` (`{ name, error }`) is in scope.',
+                always: 'Optional list of steps run after `block` / `rescue`.',
+                when: 'Optional gate for the whole block.',
+                pause_after: 'Optional seconds to wait after a successful block.',
+                serial: 'Optional limit on devices running the whole block at once, as for a step (e.g. drain, restart and wait on one node at a time).',
+                run_once: 'Optional boolean: run the whole block on one device only, as for a step.',
+            },
+            example: {
+                name: 'deploy',
+                block: [{ action: 'exec', command: 'deploy.sh' }],
+                rescue: [{ action: 'exec', command: 'restore.sh' }],
+                always: [{ action: 'rm', path: '/tmp/deploy' }],
+            },
+        },
+        include: {
+            description:
+                'A step with `include:` instead of `action:` runs the steps of another document in place, as a block. The reference is the name of another playbook on the same product, or a local file path (containing `/` or ending in .yaml / .yml) relative to the including file. The included document needs `steps`; its `vars` declare the parameters it takes and its `handlers` join the playbook\'s. Includes nest; cycles are rejected.',
+            fields: {
+                include: 'Required playbook name or file path.',
+                vars: 'Optional mapping of parameter → value (may use `{{ }}`). Parameters must be declared in the included document\'s `vars`; a declared default applies only when the run has no value of that name. Bound while the included steps run.',
+                name: 'Optional label (default: `include <ref>`).',
+                when: 'Optional gate for the whole include.',
+                pause_after: 'Optional seconds to wait after the included steps succeed.',
+            },
+            example: { name: 'stop and back up', include: 'stop-and-backup', vars: { service: 'nginx' } },
+        },
         when_expression: {
             syntax:
-                'Minimal boolean mini-language: `==`, `!=`, `>`, `<`, `>=`, `<=`, `and`, `or`, `not`, parentheses; literals for strings (single or double quoted), numbers, `true`, `false`, `null`; dotted identifier paths resolve against the current scope.',
+                'Small expression language: `==`, `!=`, `>`, `<`, `>=`, `<=`, `and`, `or`, `not`, parentheses; literals for strings (single or double quoted), numbers, `true`, `false`, `null` and lists (`["a", "b"]`); dotted identifier paths resolve against the current scope, with indexing (`result.data[0]`, `cfg["key"]`, `list[-1]`).',
+            membership:
+                '`x in list` / `x not in list` (also substring and mapping-key tests), `stdout contains "active"`, `name matches "^rpi"` (JavaScript regular expression).',
+            versions:
+                'Version literals `v"1.6.2"` make a comparison semantic: `agent.version >= v"1.6.2"` orders 1.10.0 after 1.6.2 and ignores git-describe suffixes. Unparseable versions compare as older.',
+            arithmetic: '`+`, `-`, `*`, `/`, `%`, unary `-`. `+` concatenates when either side is a string.',
+            functions: '`length(x)` — length of a list or string, or number of keys of a mapping.',
             examples: [
                 'env == "prod"',
                 'check.ok and agent.version != "1.6.0"',
                 'not dry_run',
+                'agent.version >= v"1.6.2"',
+                'env in ["prod", "staging"]',
+                'status.stdout contains "active"',
+                'device matches "^rpi-"',
+                'length(result.data) > 0 and result.data[0].state == "up"',
             ],
         },
         actions: ACTIONS.map((a) => ({
@@ -200,10 +388,40 @@ export function playbookSchema() {
             description: a.description,
             params: a.params,
         })),
+        template_syntax: {
+            description:
+                'Syntax of files rendered by the `template` action. Expressions use the `when_expression` language; the scope is the same as for step interpolation.',
+            output: '`{{ expr }}`, optionally piped through filters: `{{ port | default(8080) }}`.',
+            conditionals: '`{% if expr %} … {% elif expr %} … {% else %} … {% endif %}`',
+            loops: '`{% for x in list %} … {% else %} … {% endfor %}` or `{% for key, value in mapping %}`. `loop.index`, `loop.index0`, `loop.first`, `loop.last`, `loop.length` are available in the body.',
+            comments: '`{# … #}`',
+            whitespace:
+                'The newline right after a `{% … %}` tag is dropped. `{%-` / `-%}` (and `{{-` / `-}}`) strip all whitespace on that side.',
+            filters: Object.keys(FILTERS),
+        },
         variable_interpolation: {
-            syntax: '{{ name }}',
-            scope: 'Anything from the top-level `vars` block, plus the implicit `device` (current device ID).',
-            applies_to: 'String parameter values. Non-string values are passed through verbatim.',
+            syntax: '{{ name }}, {{ path.to.value }}, or either piped through filters: {{ name | default(\'x\') | upper }}',
+            scope: 'Anything from the top-level `vars` block, plus the implicit `device` (current device ID), `facts` with `gather_facts: true`, and every `register`-ed step result.',
+            applies_to: 'String parameter values. Non-string values are passed through verbatim; composite results render as JSON.',
+            undefined:
+                'Referencing an undefined variable fails the step. Pipe through `default(value)` to make it optional.',
+            filters: {
+                default: 'Fallback when the value is undefined or null: `{{ port | default(8080) }}`.',
+                upper: 'Uppercase.',
+                lower: 'Lowercase.',
+                trim: 'Strip surrounding whitespace.',
+                json: 'JSON-encode (optional indent argument).',
+                join: 'Join a list with a separator: `{{ hosts | join(",") }}`.',
+                length: 'Length of a string, list or mapping.',
+                replace: 'Replace every occurrence: `{{ v | replace("a", "b") }}`.',
+                indent: 'Indent every line but the first by N spaces (default 4).',
+                int: 'Parse as an integer (0 when not numeric).',
+                string: 'Render as text.',
+                b64encode: 'Base64-encode the UTF-8 text.',
+                quote: 'Single-quote for POSIX shells. Use it for every var pasted into an `exec` command.',
+            },
+            verbatim:
+                '`{{` not followed by a variable name (e.g. Go/Docker `{{.Names}}`) is left untouched.',
         },
     };
 }
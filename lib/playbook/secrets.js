@@ -0,0 +1,190 @@
+// @ts-check
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { readFileSync } from 'fs';
+
+/**
+ * Secret playbook variables. A var declared with `secret: true`, or
+ * whose value is an encrypted string, never shows up in clear outside
+ * the device calls that use it: dry-run plans, run output, hooks,
+ * reports and MCP responses all get {@link SECRET_MASK} instead.
+ *
+ * Encrypted values look like
+ *
+ *   enc:v1:<salt>:<iv>:<ciphertext+tag>      (base64 parts)
+ *
+ * AES-256-GCM with a key derived from a passphrase by scrypt. Produce
+ * them with `thinr playbook encrypt`; the passphrase comes from
+ * `--secret-key-file` or the THINR_PLAYBOOK_SECRET environment variable.
+ */
+
+export const SECRET_PREFIX = 'enc:v1:';
+export const SECRET_MASK = '********';
+export const SECRET_ENV = 'THINR_PLAYBOOK_SECRET';
+
+// Masking shorter values would blank unrelated output (every "on" or "1").
+const MIN_MASKED_LENGTH = 4;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+export function isEncryptedSecret(value) {
+    return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
+
+/**
+ * @param {string} plaintext
+ * @param {string} passphrase
+ */
+export function encryptSecret(plaintext, passphrase) {
+    const salt = randomBytes(SALT_BYTES);
+    const iv = randomBytes(IV_BYTES);
+    const cipher = createCipheriv('aes-256-gcm', scryptSync(passphrase, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    return SECRET_PREFIX + [salt, iv, data].map((b) => b.toString('base64')).join(':');
+}
+
+/**
+ * @param {string} value  An `enc:v1:` string.
+ * @param {string} passphrase
+ */
+export function decryptSecret(value, passphrase) {
+    const parts = isEncryptedSecret(value) ? value.slice(SECRET_PREFIX.length).split(':') : [];
+    const [salt, iv, data] = parts.map((p) => Buffer.from(p, 'base64'));
+    if (parts.length !== 3 || iv.length !== IV_BYTES || data.length < TAG_BYTES) {
+        throw new Error('malformed encrypted value');
+    }
+    try {
+        const decipher = createDecipheriv('aes-256-gcm', scryptSync(passphrase, salt, 32), iv);
+        decipher.setAuthTag(data.subarray(data.length - TAG_BYTES));
+        return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_BYTES)), decipher.final()]).toString(
+            'utf8',
+        );
+    } catch (err) {
+        throw new Error('cannot decrypt (wrong passphrase or corrupted value)', { cause: err });
+    }
+}
+
+/**
+ * The passphrase for a run: the first line of `keyFile` when given,
+ * otherwise THINR_PLAYBOOK_SECRET. Null when neither is set.
+ *
+ * @param {{ keyFile?: string | null }} [opts]
+ * @returns {string | null}
+ */
+export function loadSecretKey({ keyFile } = {}) {
+    if (keyFile) {
+        const key = readFileSync(keyFile, 'utf8').split('\n')[0].trim();
+        if (!key) throw new Error(`Secret key file ${keyFile} is empty.`);
+        return key;
+    }
+    return process.env[SECRET_ENV] || null;
+}
+
+/**
+ * @param {{ secret?: boolean } | undefined} def
+ * @param {unknown} value
+ */
+export function isSecretVar(def, value) {
+    return !!def?.secret || isEncryptedSecret(value);
+}
+
+/**
+ * Copy of a var map with every secret value replaced by the mask. For
+ * the `vars` block of plans, reports and MCP responses.
+ *
+ * @param {any} pb
+ * @param {object | null | undefined} vars
+ */
+export function maskSecretVars(pb, vars) {
+    if (!vars) return vars;
+    const defs = new Map((pb?.variables || []).map((d) => [d.name, d]));
+    /** @type {Record<string, unknown>} */
+    const out = {};
+    for (const [name, value] of Object.entries(vars)) {
+        out[name] = isSecretVar(defs.get(name), value) ? SECRET_MASK : value;
+    }
+    return out;
+}
+
+/**
+ * Replace every occurrence of the `secrets` strings inside `value`
+ * (deeply, strings only) with the mask. This is plain substring
+ * matching: a secret transformed by a filter (`{{ password | b64encode }}`)
+ * is not recognised, and secrets shorter than four characters are left
+ * alone.
+ *
+ * @template T
+ * @param {T} value
+ * @param {Iterable<string>} secrets
+ * @returns {T}
+ */
+export function maskSecrets(value, secrets) {
+    const list = [...secrets].filter((s) => s && s.length >= MIN_MASKED_LENGTH).sort((a, b) => b.length - a.length);
+    if (!list.length) return value;
+    const walk = (v) => {
+        if (typeof v === 'string') return list.reduce((s, secret) => s.split(secret).join(SECRET_MASK), v);
+        if (Array.isArray(v)) return v.map(walk);
+        if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+        return v;
+    };
+    return walk(value);
+}
+
+/**
+ * Per-run secret handling for `runPlaybook`. `reveal(scope)` decrypts
+ * the encrypted vars of one device's scope in place and remembers every
+ * secret plaintext it saw; `mask(value)` hides them again in anything
+ * that leaves the runner.
+ *
+ * @param {any} pb
+ * @param {string | null} key
+ */
+export function createSecretVault(pb, key) {
+    const defs = pb?.variables || [];
+    /** @type {Set<string>} */
+    const plaintexts = new Set();
+    /** @type {Map<string, string>} */
+    const decrypted = new Map();
+
+    return {
+        /** @param {Record<string, unknown>} scope */
+        reveal(scope) {
+            for (const d of defs) {
+                const value = scope[d.name];
+                if (!isSecretVar(d, value)) continue;
+                let plain = value;
+                if (isEncryptedSecret(value)) {
+                    if (!key) {
+                        throw new Error(
+                            `Playbook variable "${d.name}" is encrypted; pass --secret-key-file or set ${SECRET_ENV}.`,
+                        );
+                    }
+                    if (!decrypted.has(value)) {
+                        try {
+                            decrypted.set(value, decryptSecret(value, key));
+                        } catch (err) {
+                            throw new Error(`Playbook variable "${d.name}": ${err.message}`, { cause: err });
+                        }
+                    }
+                    plain = decrypted.get(value);
+                    scope[d.name] = plain;
+                }
+                if (typeof plain === 'string') plaintexts.add(plain);
+                else if (plain !== undefined && plain !== null) plaintexts.add(JSON.stringify(plain));
+            }
+        },
+        /**
+         * @template T
+         * @param {T} value
+         * @returns {T}
+         */
+        mask(value) {
+            return maskSecrets(value, plaintexts);
+        },
+    };
+}
@@ -0,0 +1,140 @@
+// @ts-check
+import { inputError } from '../errors.js';
+
+/**
+ * Init-system support for the `service` action. Each init system knows
+ * how to read whether a service is running and enabled at boot, and
+ * how to build the commands that change either; actions.js runs them
+ * through the device API.
+ */
+
+/**
+ * @typedef {{ active: boolean, enabled: boolean | null }} ServiceStatus
+ *   `enabled: null` means the unit cannot be toggled (systemd static,
+ *   indirect or generated units).
+ *
+ * @typedef {{
+ *   name: string,
+ *   isActive: (svc: string) => string,
+ *   parseActive: (res: { stdout: string, retcode: number }) => boolean,
+ *   isEnabled: (svc: string) => string,
+ *   parseEnabled: (res: { stdout: string, retcode: number }, svc: string) => boolean | null,
+ *   commands: Record<ServiceOp, (svc: string) => string>,
+ * }} InitSystem
+ *
+ * @typedef {'start' | 'stop' | 'restart' | 'reload' | 'enable' | 'disable'} ServiceOp
+ */
+
+const SERVICE_NAME_RE = /^[A-Za-z0-9@][A-Za-z0-9@._:-]*$/;
+
+export const SERVICE_STATES = ['started', 'stopped', 'restarted', 'reloaded'];
+
+const SYSTEMD_ENABLED = new Set(['enabled', 'enabled-runtime', 'alias']);
+const SYSTEMD_DISABLED = new Set(['disabled', 'masked', 'masked-runtime']);
+
+/** @type {Record<string, InitSystem>} */
+export const INIT_SYSTEMS = {
+    systemd: {
+        name: 'systemd',
+        isActive: (svc) => `systemctl is-active ${svc}`,
+        parseActive: (res) => res.stdout.trim() === 'active',
+        isEnabled: (svc) => `systemctl is-enabled ${svc} 2>/dev/null`,
+        parseEnabled: (res) => {
+            const state = res.stdout.trim().split('\n')[0];
+            if (SYSTEMD_ENABLED.has(state)) return true;
+            if (SYSTEMD_DISABLED.has(state) || !state) return false;
+            return null;
+        },
+        commands: {
+            start: (svc) => `systemctl start ${svc}`,
+            stop: (svc) => `systemctl stop ${svc}`,
+            restart: (svc) => `systemctl restart ${svc}`,
+            reload: (svc) => `systemctl reload ${svc}`,
+            enable: (svc) => `systemctl enable ${svc}`,
+            disable: (svc) => `systemctl disable ${svc}`,
+        },
+    },
+    openrc: {
+        name: 'openrc',
+        isActive: (svc) => `rc-service ${svc} status`,
+        parseActive: (res) => res.retcode === 0,
+        isEnabled: () => 'rc-update show default',
+        parseEnabled: (res, svc) => res.stdout.split('\n').some((line) => line.split('|')[0].trim() === svc),
+        commands: {
+            start: (svc) => `rc-service ${svc} start`,
+            stop: (svc) => `rc-service ${svc} stop`,
+            restart: (svc) => `rc-service ${svc} restart`,
+            reload: (svc) => `rc-service ${svc} reload`,
+            enable: (svc) => `rc-update add ${svc} default`,
+            disable: (svc) => `rc-update del ${svc} default`,
+        },
+    },
+};
+
+/**
+ * Shell snippet printing the init system the device booted with.
+ * systemd is only trusted when it is actually PID 1 (`/run/systemd/system`
+ * exists), since containers often ship `systemctl` without it.
+ */
+export const DETECT_INIT_COMMAND =
+    'if [ -d /run/systemd/system ] && command -v systemctl >/dev/null 2>&1; then echo systemd; ' +
+    'elif command -v rc-service >/dev/null 2>&1; then echo openrc; fi';
+
+/**
+ * @param {string} out  Output of {@link DETECT_INIT_COMMAND}.
+ * @returns {InitSystem | null}
+ */
+export function initSystemFromDetect(out) {
+    const name = String(out ?? '').trim();
+    return INIT_SYSTEMS[name] || null;
+}
+
+/**
+ * Validate `service` params before the name is pasted into a command.
+ *
+ * @param {{ name?: unknown, state?: unknown, enabled?: unknown }} params
+ */
+export function checkServiceParams(params) {
+    if (typeof params.name !== 'string' || !SERVICE_NAME_RE.test(params.name)) {
+        throw inputError(`invalid service name "${params.name}"`);
+    }
+    if (params.state !== undefined && !SERVICE_STATES.includes(/** @type {string} */ (params.state))) {
+        throw inputError(`\`state\` must be one of ${SERVICE_STATES.join(', ')}`);
+    }
+    if (params.enabled !== undefined && typeof params.enabled !== 'boolean') {
+        throw inputError('`enabled` must be true or false');
+    }
+    if (params.state === undefined && params.enabled === undefined) {
+        throw inputError('`state` or `enabled` is required');
+    }
+}
+
+/**
+ * Work out which operations bring the service to the wanted state.
+ * `restarted` / `reloaded` always act; `started` / `stopped` and
+ * `enabled` only when the current status differs.
+ *
+ * @param {{ name: string, state?: string, enabled?: boolean }} want
+ * @param {ServiceStatus} current
+ * @returns {{ ops: ServiceOp[], summary: string }}
+ */
+export function planService(want, current) {
+    /** @type {ServiceOp[]} */
+    const ops = [];
+    const notes = [];
+    if (want.enabled === true && current.enabled === false) ops.push('enable');
+    else if (want.enabled === false && current.enabled === true) ops.push('disable');
+    else if (want.enabled !== undefined && current.enabled === null) notes.push('cannot be enabled or disabled');
+
+    if (want.state === 'started' && !current.active) ops.push('start');
+    else if (want.state === 'stopped' && current.active) ops.push('stop');
+    else if (want.state === 'restarted') ops.push('restart');
+    else if (want.state === 'reloaded') ops.push('reload');
+
+    if (!ops.length) {
+        const status = [current.active ? 'running' : 'stopped'];
+        if (current.enabled !== null) status.push(current.enabled ? 'enabled' : 'disabled');
+        return { ops, summary: `${want.name} already ${status.join(', ')}${notes.length ? ` (${notes[0]})` : ''}` };
+    }
+    return { ops, summary: `${ops.join(' + ')} ${want.name}` };
+}
@@ -0,0 +1,273 @@
+// @ts-check
+import { evaluateFiltered, toText } from './filters.js';
+
+/**
+ * Render a template against the playbook run scope. Backs the
+ * `template` action so one playbook can produce per-device config
+ * files (nginx sites, systemd units, …) from a single source.
+ *
+ * Supported syntax, a deliberate Jinja-flavoured subset:
+ *
+ *   - `{{ expr }}` and `{{ expr | filter | filter(arg) }}` — output
+ *   - `{% if expr %} … {% elif expr %} … {% else %} … {% endif %}`
+ *   - `{% for x in expr %} … {% else %} … {% endfor %}` (the `else`
+ *     body renders when the list is empty); `{% for k, v in map %}`
+ *     iterates object entries. Inside the body `loop.index`,
+ *     `loop.index0`, `loop.first`, `loop.last` and `loop.length` are
+ *     in scope.
+ *   - `{# comment #}`
+ *   - `{%-` / `-%}` (and the `{{-` / `-}}` forms) strip whitespace on
+ *     that side of the tag.
+ *
+ * Expressions use the same evaluator as `when:` clauses, so undefined
+ * variables throw instead of rendering as empty — pipe through
+ * `default(…)` to make a variable optional. Like Ansible, the first
+ * newline after a block tag (`{% … %}`) is dropped, so control lines
+ * don't leave blank lines behind in the rendered file.
+ *
+ * @param {string} source
+ * @param {Record<string, unknown>} scope
+ * @returns {string}
+ */
+export function renderTemplate(source, scope) {
+    const nodes = parseTemplate(source);
+    return renderNodes(nodes, scope);
+}
+
+// ── Lexer ───────────────────────────────────────────────────────────
+
+const TAG_RE = /\{\{(-?)([\s\S]*?)(-?)\}\}|\{%(-?)([\s\S]*?)(-?)%\}|\{#([\s\S]*?)#\}/g;
+
+/**
+ * @typedef {{ type: 'text', value: string }
+ *   | { type: 'output', expr: string, line: number }
+ *   | { type: 'block', body: string, line: number }} Chunk
+ */
+
+/**
+ * @param {string} source
+ * @returns {Chunk[]}
+ */
+function lex(source) {
+    /** @type {Chunk[]} */
+    const chunks = [];
+    let last = 0;
+    let trimNext = false;
+    let dropNewline = false;
+    TAG_RE.lastIndex = 0;
+    let m;
+    while ((m = TAG_RE.exec(source))) {
+        let text = source.slice(last, m.index);
+        if (trimNext) text = text.replace(/^\s+/, '');
+        else if (dropNewline) text = text.replace(/^\r?\n/, '');
+        const trimPrev = m[1] === '-' || m[4] === '-';
+        if (trimPrev) text = text.replace(/\s+$/, '');
+        if (text) chunks.push({ type: 'text', value: text });
+
+        const line = lineAt(source, m.index);
+        if (m[2] !== undefined) {
+            chunks.push({ type: 'output', expr: m[2], line });
+            trimNext = m[3] === '-';
+            dropNewline = false;
+        } else if (m[5] !== undefined) {
+            chunks.push({ type: 'block', body: m[5].trim(), line });
+            trimNext = m[6] === '-';
+            dropNewline = true;
+        } else {
+            trimNext = false;
+            dropNewline = true;
+        }
+        last = TAG_RE.lastIndex;
+    }
+    let tail = source.slice(last);
+    if (trimNext) tail = tail.replace(/^\s+/, '');
+    else if (dropNewline) tail = tail.replace(/^\r?\n/, '');
+    if (tail) chunks.push({ type: 'text', value: tail });
+    return chunks;
+}
+
+function lineAt(source, index) {
+    let line = 1;
+    for (let i = 0; i < index; i++) if (source[i] === '\n') line++;
+    return line;
+}
+
+// ── Parser ──────────────────────────────────────────────────────────
+
+const FOR_RE = /^for\s+([A-Za-z_][A-Za-z0-9_]*)(?:\s*,\s*([A-Za-z_][A-Za-z0-9_]*))?\s+in\s+([\s\S]+)$/;
+
+/**
+ * Turn the chunk stream into a tree of text / output / if / for nodes.
+ *
+ * @param {string} source
+ */
+function parseTemplate(source) {
+    const chunks = lex(source);
+    let pos = 0;
+
+    /**
+     * Parse nodes until one of `stops` (a block keyword) is reached.
+     * Returns the nodes plus the stopping chunk, or null at EOF.
+     *
+     * @param {string[]} stops
+     */
+    function parseUntil(stops) {
+        const nodes = [];
+        while (pos < chunks.length) {
+            const c = chunks[pos];
+            if (c.type !== 'block') {
+                nodes.push(c);
+                pos++;
+                continue;
+            }
+            const keyword = c.body.split(/\s+/, 1)[0];
+            if (stops.includes(keyword)) return { nodes, stop: c, keyword };
+            pos++;
+            if (keyword === 'if') nodes.push(parseIf(c));
+            else if (keyword === 'for') nodes.push(parseFor(c));
+            else throw new Error(`line ${c.line}: unexpected tag {% ${c.body} %}`);
+        }
+        return { nodes, stop: null, keyword: null };
+    }
+
+    function parseIf(open) {
+        const branches = [];
+        let cond = open.body.slice(2).trim();
+        let line = open.line;
+        if (!cond) throw new Error(`line ${open.line}: {% if %} needs a condition`);
+        let elseBody = null;
+        for (;;) {
+            const { nodes, stop, keyword } = parseUntil(['elif', 'else', 'endif']);
+            if (!stop) throw new Error(`line ${open.line}: {% if %} is never closed with {% endif %}`);
+            pos++;
+            if (elseBody) {
+                if (keyword !== 'endif') {
+                    throw new Error(`line ${stop.line}: {% ${keyword} %} after {% else %}`);
+                }
+                elseBody.push(...nodes);
+                break;
+            }
+            branches.push({ cond, body: nodes, line });
+            if (keyword === 'endif') break;
+            if (keyword === 'else') {
+                elseBody = [];
+                continue;
+            }
+            cond = stop.body.slice(4).trim();
+            line = stop.line;
+            if (!cond) throw new Error(`line ${stop.line}: {% elif %} needs a condition`);
+        }
+        return { type: 'if', branches, elseBody };
+    }
+
+    function parseFor(open) {
+        const m = FOR_RE.exec(open.body);
+        if (!m) {
+            throw new Error(
+                `line ${open.line}: expected {% for x in list %} or {% for k, v in map %}, got {% ${open.body} %}`,
+            );
+        }
+        const first = parseUntil(['else', 'endfor']);
+        if (!first.stop) throw new Error(`line ${open.line}: {% for %} is never closed with {% endfor %}`);
+        pos++;
+        let elseBody = null;
+        if (first.keyword === 'else') {
+            const rest = parseUntil(['endfor']);
+            if (!rest.stop) throw new Error(`line ${open.line}: {% for %} is never closed with {% endfor %}`);
+            pos++;
+            elseBody = rest.nodes;
+        }
+        return {
+            type: 'for',
+            names: m[2] ? [m[1], m[2]] : [m[1]],
+            iterable: m[3],
+            body: first.nodes,
+            elseBody,
+            line: open.line,
+        };
+    }
+
+    const { nodes, stop } = parseUntil([]);
+    if (stop) throw new Error(`line ${stop.line}: unexpected tag {% ${stop.body} %}`);
+    return nodes;
+}
+
+// ── Renderer ────────────────────────────────────────────────────────
+
+function renderNodes(nodes, scope) {
+    let out = '';
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                out += node.value;
+                break;
+            case 'output':
+                out += toText(evaluateAt(node.expr, scope, node.line));
+                break;
+            case 'if': {
+                const branch = node.branches.find((b) => isTruthy(evaluateAt(b.cond, scope, b.line)));
+                if (branch) out += renderNodes(branch.body, scope);
+                else if (node.elseBody) out += renderNodes(node.elseBody, scope);
+                break;
+            }
+            case 'for':
+                out += renderFor(node, scope);
+                break;
+        }
+    }
+    return out;
+}
+
+function renderFor(node, scope) {
+    const collection = evaluateAt(node.iterable, scope, node.line);
+    let entries;
+    if (Array.isArray(collection)) {
+        entries = node.names.length === 2 ? collection.map((v, i) => [i, v]) : collection;
+    } else if (collection && typeof collection === 'object') {
+        entries = node.names.length === 2 ? Object.entries(collection) : Object.keys(collection);
+    } else if (collection === undefined || collection === null) {
+        entries = [];
+    } else {
+        throw new Error(`line ${node.line}: cannot iterate over ${typeof collection}`);
+    }
+
+    if (entries.length === 0) {
+        return node.elseBody ? renderNodes(node.elseBody, scope) : '';
+    }
+    let out = '';
+    entries.forEach((entry, i) => {
+        const inner = {
+            ...scope,
+            loop: {
+                index: i + 1,
+                index0: i,
+                first: i === 0,
+                last: i === entries.length - 1,
+                length: entries.length,
+            },
+        };
+        if (node.names.length === 2) {
+            inner[node.names[0]] = entry[0];
+            inner[node.names[1]] = entry[1];
+        } else {
+            inner[node.names[0]] = entry;
+        }
+        out += renderNodes(node.body, inner);
+    });
+    return out;
+}
+
+function evaluateAt(expr, scope, line) {
+    try {
+        return evaluateFiltered(expr, scope);
+    } catch (err) {
+        throw new Error(`line ${line}: ${err.message}`, { cause: err });
+    }
+}
+
+/** Jinja-style truthiness: empty lists and mappings are false too. */
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return !!value;
+}
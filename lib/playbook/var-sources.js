@@ -0,0 +1,98 @@
+// @ts-check
+import { getDeviceProperty } from '../property.js';
+import { getProductProperty } from '../product.js';
+import { checkVarType, describeSource } from './vars.js';
+
+/**
+ * Per-device values for playbook vars declared with a source instead of
+ * (or on top of) a default:
+ *
+ *   from_property: site_config.ntp_server          device property
+ *   from_product_property: defaults.ntp_server     the device's product
+ *   by_group: { eu-west: a, us-east: b }           keyed by asset group
+ *
+ * The first dotted segment of a property reference is the property
+ * name; the rest walks into its JSON value. A value that can't be found
+ * falls back to the var's `default`. Explicit overrides (CLI, MCP,
+ * dashboard) always win over the source.
+ */
+
+/**
+ * Build the resolver `runPlaybook` calls once per device. Product
+ * properties are fetched once per product for the whole run; device
+ * properties once per device.
+ *
+ * @param {any} pb
+ * @param {{
+ *   user?: string | null,
+ *   overrides?: Record<string, unknown>,
+ *   fetchDeviceProperty?: (deviceId: string, property: string) => Promise<unknown>,
+ *   fetchProductProperty?: (productId: string, property: string, user?: string | null) => Promise<unknown>,
+ * }} [opts]
+ * @returns {(device: { device: string, product?: string, asset_group?: string }) => Promise<Record<string, unknown>>}
+ */
+export function createVarSourceResolver(pb, opts = {}) {
+    const {
+        user = null,
+        overrides = {},
+        fetchDeviceProperty = getDeviceProperty,
+        fetchProductProperty = getProductProperty,
+    } = opts;
+    const defs = (pb?.variables || []).filter((d) => d.source && !Object.hasOwn(overrides || {}, d.name));
+    /** @type {Map<string, Promise<unknown>>} */
+    const productCache = new Map();
+
+    const orMissing = (promise) =>
+        promise.catch((err) => {
+            if (err?.status === 404) return undefined;
+            throw err;
+        });
+
+    return async (device) => {
+        /** @type {Record<string, unknown>} */
+        const values = {};
+        /** @type {Map<string, Promise<unknown>>} */
+        const deviceCache = new Map();
+        for (const d of defs) {
+            const src = d.source;
+            let value;
+            if (src.kind === 'group') {
+                value = device.asset_group && Object.hasOwn(src.groups, device.asset_group)
+                    ? src.groups[device.asset_group]
+                    : undefined;
+            } else if (src.kind === 'device') {
+                if (!deviceCache.has(src.property)) {
+                    deviceCache.set(src.property, orMissing(fetchDeviceProperty(device.device, src.property)));
+                }
+                value = walk(await deviceCache.get(src.property), src.path);
+            } else if (device.product) {
+                const key = `${device.product}\u0000${src.property}`;
+                if (!productCache.has(key)) {
+                    productCache.set(key, orMissing(fetchProductProperty(device.product, src.property, user)));
+                }
+                value = walk(await productCache.get(key), src.path);
+            }
+
+            if (value === undefined || value === null) {
+                if (d.required && !d.hasDefault) {
+                    throw new Error(`Required playbook variable "${d.name}" has no value (${describeSource(src)} not set).`);
+                }
+                continue;
+            }
+            if (d.typeDeclared && !checkVarType(value, d.type)) {
+                throw new Error(`Playbook variable "${d.name}" expects type ${d.type} from ${describeSource(src)}.`);
+            }
+            values[d.name] = value;
+        }
+        return values;
+    };
+}
+
+function walk(value, path) {
+    let cur = value;
+    for (const key of path) {
+        if (cur === null || typeof cur !== 'object') return undefined;
+        cur = cur[key];
+    }
+    return cur;
+}
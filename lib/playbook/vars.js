@@ -1,15 +1,24 @@
 // @ts-check
+import { evaluateFiltered, toText } from './filters.js';
+import { SECRET_MASK, isSecretVar } from './secrets.js';
 
 /**
- * Very small `{{ name }}` substitution over string values only. We
- * intentionally don't recreate Jinja2 — conditionals and filters belong
- * in a future iteration with a proper templating library. For now the
- * only syntax supported is a bare variable reference, optionally wrapped
- * in whitespace.
+ * `{{ … }}` substitution over string values only. A reference is a
+ * variable or path (`{{ check.result }}`, `{{ hosts[0] }}`), optionally piped
+ * through filters from ./filters.js:
+ *
+ *   {{ name | default('x') }}   {{ env | upper }}   {{ cfg | json }}
+ *   {{ path | quote }}          {{ blob | b64encode }}
+ *
+ * Use `quote` whenever a variable lands in an `exec` command — it
+ * single-quotes the value for POSIX shells so spaces, `;` or `$(…)`
+ * in a var can't change the command.
  *
  * `scope` is a flat map of variable names to values. Anything referenced
  * but missing from the scope raises a hard error so typos don't silently
- * produce empty strings.
+ * produce empty strings; `default(…)` is the explicit opt-out. Braces
+ * that don't start with a variable reference (Go templates such as
+ * `docker ps --format '{{.Names}}'`) are left verbatim.
  *
  * @param {any} value
  * @param {any} scope
@@ -26,16 +35,13 @@ export function interpolate(value, scope) {
     return value;
 }
 
-const TEMPLATE_RE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+// The filter chain skips over quoted strings, so `default('}')` stays
+// inside the reference.
+const TEMPLATE_RE =
+    /\{\{(\s*[A-Za-z_][A-Za-z0-9_.]*(?:\[[^\]]*\][A-Za-z0-9_.]*)*\s*(?:\|(?:[^}'"]|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")*)?)\}\}/g;
 
 function interpolateString(s, scope) {
-    return s.replace(TEMPLATE_RE, (_match, name) => {
-        if (!(name in scope)) {
-            throw new Error(`Undefined playbook variable: ${name}`);
-        }
-        const v = scope[name];
-        return v == null ? '' : String(v);
-    });
+    return s.replace(TEMPLATE_RE, (_match, expr) => toText(evaluateFiltered(expr, scope)));
 }
 
 /** Allowed variable types in the extended `vars` form. */
@@ -83,10 +89,22 @@ function describeValueType(value) {
     return typeof value;
 }
 
+/**
+ * Short label for a var source, e.g. `device property site_config.ntp_server`.
+ *
+ * @param {{ kind: string, property?: string, path?: string[] }} src
+ */
+export function describeSource(src) {
+    if (src.kind === 'group') return 'asset group map';
+    const ref = [src.property, ...(src.path || [])].join('.');
+    return `${src.kind} property ${ref}`;
+}
+
 /**
  * Public view of a playbook's declared variables. Consumed by CLI, MCP
  * and the dashboard to render forms and validate overrides. `default`
- * is omitted entirely when the variable was declared without one.
+ * is omitted entirely when the variable was declared without one and
+ * masked for secret vars; `source` labels vars resolved per device.
  *
  * @param {{ variables?: Array<{
  *   name: string,
@@ -96,6 +114,8 @@ function describeValueType(value) {
  *   hasDefault: boolean,
  *   overridable: boolean,
  *   required: boolean,
+ *   source?: any,
+ *   secret?: boolean,
  * }> }} pb
  */
 export function listVariables(pb) {
@@ -108,7 +128,10 @@ export function listVariables(pb) {
             overridable: d.overridable,
             required: d.required,
         };
-        if (d.hasDefault) out.default = d.default;
+        const secret = isSecretVar(d, d.default);
+        if (d.hasDefault) out.default = secret ? SECRET_MASK : d.default;
+        if (d.source) out.source = describeSource(d.source);
+        if (secret) out.secret = true;
         return out;
     });
 }
@@ -195,8 +218,9 @@ export function resolveVarScope(pb, overrides = {}, extras = {}) {
         scope[name] = value;
     }
 
+    // Sourced vars resolve per device later (see var-sources.js).
     for (const d of defs) {
-        if (d.required && !(d.name in scope)) {
+        if (d.required && !d.source && !(d.name in scope)) {
             throw new Error(`Required playbook variable "${d.name}" has no value.`);
         }
     }
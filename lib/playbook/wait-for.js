@@ -0,0 +1,104 @@
+// @ts-check
+import { inputError } from '../errors.js';
+
+/**
+ * Conditions behind the `wait_for` action. A step names exactly one
+ * thing to wait for — a listening TCP port, a file (optionally matching
+ * a regex), a running process or a command exiting 0 — and actions.js
+ * polls the device until it holds or the timeout runs out.
+ */
+
+export const WAIT_TARGETS = ['port', 'path', 'process', 'command'];
+export const WAIT_STATES = ['present', 'absent'];
+
+/** Default seconds between two polls. */
+export const DEFAULT_WAIT_INTERVAL_SECONDS = 5;
+
+const PROCESS_NAME_RE = /^[A-Za-z0-9._@:+-]+$/;
+
+/**
+ * Lists listening TCP sockets. `ss` first; busybox images often only
+ * ship `netstat`.
+ */
+export const LISTENING_COMMAND = 'ss -ltn 2>/dev/null || netstat -ltn 2>/dev/null';
+
+/**
+ * Validate `wait_for` params before anything is sent to the device.
+ *
+ * @param {Record<string, unknown>} params
+ */
+export function checkWaitParams(params) {
+    const targets = WAIT_TARGETS.filter((t) => params[t] !== undefined);
+    if (targets.length !== 1) {
+        throw inputError(`exactly one of ${WAIT_TARGETS.map((t) => `\`${t}\``).join(', ')} is required`);
+    }
+    const port = params.port;
+    if (port !== undefined && (!Number.isInteger(port) || Number(port) < 1 || Number(port) > 65535)) {
+        throw inputError('`port` must be an integer between 1 and 65535');
+    }
+    if (params.process !== undefined && (typeof params.process !== 'string' || !PROCESS_NAME_RE.test(params.process))) {
+        throw inputError(`invalid process name "${params.process}"`);
+    }
+    if (params.search_regex !== undefined) {
+        if (params.path === undefined) throw inputError('`search_regex` only applies to `path`');
+        try {
+            new RegExp(String(params.search_regex), 'm');
+        } catch (err) {
+            throw inputError(`invalid \`search_regex\` regular expression: ${err.message}`);
+        }
+    }
+    if (params.state !== undefined) {
+        if (!WAIT_STATES.includes(/** @type {string} */ (params.state))) {
+            throw inputError(`\`state\` must be one of ${WAIT_STATES.join(', ')}`);
+        }
+        if (params.command !== undefined) throw inputError('`state` does not apply to `command`');
+    }
+    for (const key of ['timeout', 'interval']) {
+        const v = params[key];
+        if (v !== undefined && (typeof v !== 'number' || !(v > 0))) {
+            throw inputError(`\`${key}\` must be a positive number of seconds`);
+        }
+    }
+}
+
+/**
+ * Human description of the awaited condition, used for the dry-run
+ * label and the step summary. Tolerates unresolved params.
+ *
+ * @param {Record<string, unknown>} p
+ */
+export function describeWait(p) {
+    const absent = p.state === 'absent';
+    if (p.port !== undefined) return `port ${p.port} ${absent ? 'closed' : 'listening'}`;
+    if (p.path !== undefined) {
+        if (absent) return `${p.path} absent`;
+        return p.search_regex !== undefined ? `${p.path} matching /${p.search_regex}/` : `${p.path} present`;
+    }
+    if (p.process !== undefined) return `process ${p.process} ${absent ? 'stopped' : 'running'}`;
+    if (p.command !== undefined) return `\`${p.command}\` to succeed`;
+    return 'condition';
+}
+
+/**
+ * Whether the output of {@link LISTENING_COMMAND} shows a socket
+ * listening on `port` (any local address).
+ *
+ * @param {string} output
+ * @param {number} port
+ */
+export function portListening(output, port) {
+    const suffix = `:${port}`;
+    return String(output ?? '')
+        .split('\n')
+        .some((line) => /LISTEN/.test(line) && line.trim().split(/\s+/).some((col) => col.endsWith(suffix)));
+}
+
+/**
+ * Command exiting 0 while a process with exactly this name runs.
+ * Matching the name (not `-f`) keeps the probe's own shell out of it.
+ *
+ * @param {string} name
+ */
+export function processCommand(name) {
+    return `pgrep -x ${name} >/dev/null`;
+}
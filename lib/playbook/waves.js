@@ -0,0 +1,80 @@
+// @ts-check
+
+/**
+ * Staged fleet rollouts. A wave list such as `[1, "5%", "25%", "100%"]`
+ * gives how far the rollout has got after each wave: a plain number is
+ * a device count, a percentage is a share of the fleet. Waves that add
+ * no device on a small fleet are dropped, and a final wave covering
+ * the rest is added when the list stops short of the whole fleet.
+ *
+ * The strategy comes from the playbook's `target.rollout` block
+ * (`waves`, `soak` seconds between waves, `approve` before each wave
+ * after the first) and can be overridden per run.
+ */
+
+/** @typedef {number | string} WaveMark */
+/** @typedef {{ waves: WaveMark[] | null, soak: number, approve: boolean, gates: import('./gates.js').HealthGate[] }} RolloutStrategy */
+
+/**
+ * Normalise a wave list from YAML (a list) or the CLI (comma-separated).
+ * Counts become numbers, percentages strings like `"25%"`.
+ *
+ * @param {unknown} value
+ * @returns {WaveMark[]}
+ */
+export function parseWaves(value) {
+    const list = typeof value === 'string' ? value.split(',').map((s) => s.trim()) : value;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('waves must be a non-empty list of device counts or percentages');
+    }
+    return list.map((entry) => {
+        if (typeof entry === 'number' && Number.isInteger(entry) && entry > 0) return entry;
+        if (typeof entry === 'string') {
+            const m = /^(\d+(?:\.\d+)?)%$/.exec(entry);
+            if (m && Number(m[1]) > 0 && Number(m[1]) <= 100) return `${Number(m[1])}%`;
+            if (/^\d+$/.test(entry) && Number(entry) > 0) return Number(entry);
+        }
+        throw new Error(`invalid wave ${JSON.stringify(entry)} (expected a device count or a percentage up to 100%)`);
+    });
+}
+
+/**
+ * Split `total` devices into waves.
+ *
+ * @param {WaveMark[]} waves
+ * @param {number} total
+ * @returns {Array<{ label: string, size: number }>}
+ */
+export function planWaves(waves, total) {
+    const out = [];
+    let reached = 0;
+    for (const mark of waves) {
+        const upTo =
+            typeof mark === 'number'
+                ? Math.min(mark, total)
+                : Math.min(Math.ceil((total * parseFloat(mark)) / 100), total);
+        if (upTo <= reached) continue;
+        out.push({ label: String(mark), size: upTo - reached });
+        reached = upTo;
+    }
+    if (reached < total) out.push({ label: '100%', size: total - reached });
+    return out;
+}
+
+/**
+ * The strategy for one run: `target.rollout` with any per-run
+ * overrides on top. Health gates are only declared in the playbook.
+ *
+ * @param {any} pb
+ * @param {{ waves?: WaveMark[] | null, soak?: number | null, approve?: boolean | null }} [overrides]
+ * @returns {RolloutStrategy}
+ */
+export function resolveRolloutStrategy(pb, overrides = {}) {
+    const declared = pb?.target?.rollout || {};
+    return {
+        waves: overrides.waves ?? declared.waves ?? null,
+        soak: overrides.soak ?? declared.soak ?? 0,
+        approve: overrides.approve ?? declared.approve ?? false,
+        gates: declared.gates || [],
+    };
+}
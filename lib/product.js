@@ -12,6 +12,8 @@ import {
     deleteStorageFile,
 } from './storage.js';
 import { parsePlaybook } from './playbook/loader.js';
+import { prefetchIncludes } from './playbook/includes.js';
+import { RUN_OUTCOMES, isRunReportCandidate, matchesRunFilters, summarizeRun } from './playbook/runs.js';
 
 /**
  * Helpers for ThinRemote products and the product-script workflow.
@@ -697,6 +699,25 @@ export async function readProductPlaybook(productId, name, user) {
     return readStorageFile(productId, path, user);
 }
 
+/**
+ * Parse a product playbook's YAML, fetching the other playbooks of the
+ * product it includes or imports first.
+ *
+ * @param {string} productId
+ * @param {string} name
+ * @param {string} content
+ * @param {string} [user]
+ */
+export async function parseProductPlaybook(productId, name, content, user) {
+    let index = null;
+    const playbooks = await prefetchIncludes(content, async (ref) => {
+        index ??= await loadPlaybookIndex(productId, user);
+        const entry = index.find((e) => e.name === ref);
+        return entry ? readStorageFile(productId, entry.path || playbookStoragePath(ref), user) : null;
+    });
+    return parsePlaybook(content, { sourcePath: `${name}.yaml`, playbooks });
+}
+
 /**
  * Upload a playbook YAML to a product. Validates the name, optionally
  * validates the YAML against the playbook schema, ensures the storage
@@ -727,7 +748,7 @@ export async function uploadProductPlaybook({
 
     let parsedDescription = null;
     if (!skipValidation) {
-        const pb = parsePlaybook(content, { sourcePath: `${name}.yaml` });
+        const pb = await parseProductPlaybook(product, name, content, user);
         parsedDescription = pb.description;
     }
 
@@ -825,7 +846,77 @@ export async function uploadFleetRunReport({ product, report, user, filename } =
     }
 }
 
-function defaultRunReportFilename(report) {
+/**
+ * Read a fleet-run report back from the product's file storage. `ref`
+ * is the report path as printed after a run (`playbooks/runs/….json`)
+ * or just its file name.
+ *
+ * @param {string} product
+ * @param {string} ref
+ * @param {string | null} [user]
+ */
+export async function readFleetRunReport(product, ref, user) {
+    if (!product) throw inputError('product is required');
+    if (!ref || typeof ref !== 'string') throw inputError('report path is required');
+    const path = ref.includes('/') ? ref.replace(/^\/+/, '') : `playbooks/runs/${ref}`;
+    if (!path.startsWith('playbooks/runs/') || path.includes('..')) {
+        throw inputError(`Not a run report path: ${ref} (expected playbooks/runs/<file>.json)`);
+    }
+    const text = await readStorageFile(product, path, user);
+    try {
+        const report = typeof text === 'string' ? JSON.parse(text) : text;
+        if (!report || typeof report !== 'object' || !Array.isArray(report.devices)) throw new Error('no devices list');
+        return { path, report };
+    } catch (err) {
+        throw inputError(`Run report ${path} is not valid: ${err.message}`);
+    }
+}
+
+/**
+ * List fleet-run reports on a product, newest first, as
+ * `summarizeRun` entries. Filters by playbook `name`, the `runUser`
+ * recorded in the report and `outcome`; `limit` caps how many matches
+ * are returned (each one is a download). Reports that can't be read
+ * are returned by path in `invalid` rather than failing the listing.
+ *
+ * @param {string} product
+ * @param {string | null} [user]
+ * @param {{ name?: string | null, runUser?: string | null, outcome?: string | null, limit?: number }} [filters]
+ */
+export async function listFleetRunReports(product, user, { name, runUser, outcome, limit = 20 } = {}) {
+    if (!product) throw inputError('product is required');
+    if (outcome && !RUN_OUTCOMES.includes(outcome)) {
+        throw inputError(`Unknown outcome "${outcome}" (expected one of: ${RUN_OUTCOMES.join(', ')})`);
+    }
+    const files = (await listStorageFiles(product, user))
+        .filter((f) => f.type === 'file' && f.path.startsWith('playbooks/runs/'))
+        .filter((f) => isRunReportCandidate(f.name, { name, user: runUser }))
+        .sort((x, y) => (x.name < y.name ? 1 : x.name > y.name ? -1 : 0));
+
+    const runs = [];
+    const invalid = [];
+    for (const f of files) {
+        if (runs.length >= limit) break;
+        let report;
+        try {
+            ({ report } = await readFleetRunReport(product, f.path, user));
+        } catch {
+            invalid.push(f.path);
+            continue;
+        }
+        const run = summarizeRun(f.path, report);
+        if (matchesRunFilters(run, { name, user: runUser, outcome })) runs.push(run);
+    }
+    return { runs, invalid };
+}
+
+/**
+ * `<stamp>-<name>-<user>.json`, with `run` / `unknown` standing in for a
+ * playbook name or user that isn't safe in a file name.
+ *
+ * @param {any} report
+ */
+export function defaultRunReportFilename(report) {
     const name = typeof report.name === 'string' && PLAYBOOK_NAME_RE.test(report.name)
         ? report.name
         : 'run';
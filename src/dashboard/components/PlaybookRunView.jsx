@@ -285,7 +285,9 @@ function FleetRunBody({ state }) {
                             <Text color={(b.failed || 0) > 0 ? theme.red : theme.fgFaint}>
                                 {b.failed || 0} failed
                             </Text>
-                            <Text color={theme.fgFaint}>  ({b.size} device(s))</Text>
+                            <Text color={theme.fgFaint}>
+                                {'  '}({b.size} device(s){b.wave ? ` · wave ${b.wave}` : ''})
+                            </Text>
                         </Box>
                     ))}
                 </Box>
@@ -1,6 +1,7 @@
 import React, { useMemo, useState } from 'react';
 import { Box, Text, useInput } from 'ink';
 import { theme } from '../theme.js';
+import { SECRET_MASK, isSecretVar } from '../../../lib/playbook/secrets.js';
 
 const MIN_BATCH = 1;
 const MAX_BATCH = 50;
@@ -8,8 +9,9 @@ const MAX_BATCH = 50;
 // A single text input line with cursor + keyboard editing. The caller
 // drives focus and value — we keep the implementation local so each var
 // field can share exactly the same behaviour without pulling in a UI lib.
-function TextField({ value, focused, onChange }) {
-    const display = value ?? '';
+// `masked` hides what is typed into a secret var.
+function TextField({ value, focused, onChange, masked = false }) {
+    const display = masked ? '*'.repeat((value ?? '').length) : (value ?? '');
     if (focused) {
         return (
             <Text>
@@ -83,18 +85,24 @@ export function PlaybookVarsModal({
 }) {
     // Strings to match what the user actually types. We coerce back to
     // the declared type only at submit time.
+    // Secret vars start empty (= keep the default) so their value is
+    // never drawn.
     const initialFields = useMemo(
         () =>
-            (variables || []).map((v) => ({
-                name: v.name,
-                description: v.description,
-                type: v.type,
-                overridable: v.overridable,
-                required: v.required,
-                hasDefault: v.hasDefault,
-                original: v.default,
-                text: serializeDefault(v.default, v.type),
-            })),
+            (variables || []).map((v) => {
+                const secret = isSecretVar(v, v.default);
+                return {
+                    name: v.name,
+                    description: v.description,
+                    type: v.type,
+                    overridable: v.overridable,
+                    required: v.required,
+                    hasDefault: v.hasDefault,
+                    secret,
+                    original: v.default,
+                    text: secret ? '' : serializeDefault(v.default, v.type),
+                };
+            }),
         [variables],
     );
 
@@ -305,12 +313,15 @@ export function PlaybookVarsModal({
                                     <Box flexGrow={1}>
                                         {readOnly ? (
                                             <Text color={theme.fgFaint}>
-                                                {f.text || '(not overridable)'}
+                                                {f.secret && f.hasDefault
+                                                    ? SECRET_MASK
+                                                    : f.text || '(not overridable)'}
                                             </Text>
                                         ) : (
                                             <TextField
                                                 value={f.text}
                                                 focused={isFocused}
+                                                masked={f.secret}
                                                 onChange={() => {}}
                                             />
                                         )}
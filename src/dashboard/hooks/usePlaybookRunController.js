@@ -3,6 +3,10 @@ import { runPlaybook } from '../../../lib/playbook/runner.js';
 import { DEFAULT_FAILURE_THRESHOLD, runFleetPlaybook } from '../../../lib/playbook/fleet.js';
 import { uploadFleetRunReport } from '../../../lib/product.js';
 import { readConfig } from '../../../lib/config.js';
+import { maskSecretVars } from '../../../lib/playbook/secrets.js';
+import { resolveRolloutStrategy } from '../../../lib/playbook/waves.js';
+import { createHealthCheck } from '../../../lib/playbook/gates.js';
+import { reportDevices } from '../../../lib/playbook/runs.js';
 
 const DEFAULT_BATCH_SIZE = 5;
 
@@ -180,11 +184,23 @@ export function usePlaybookRunController() {
             const controller = new AbortController();
             abortRef.current = controller;
 
+            // Waves, soak and health gates come from `target.rollout`; the
+            // dashboard has no approval gate, so playbooks that ask for one
+            // run from the CLI.
+            const strategy = resolveRolloutStrategy(parsed);
             let outcome;
             try {
+                if (strategy.approve) {
+                    throw new Error(
+                        'This playbook asks for approval between waves; roll it out with `thinr product playbook run --fleet`.',
+                    );
+                }
                 outcome = await runFleetPlaybook(pb, devices, {
                     batchSize,
                     failureThreshold,
+                    waves: strategy.waves,
+                    soakSeconds: strategy.soak,
+                    checkHealth: strategy.gates.length ? createHealthCheck(strategy.gates) : undefined,
                     overrides,
                     signal: controller.signal,
                     onBatchStart: (info) => {
@@ -202,14 +218,14 @@ export function usePlaybookRunController() {
                             };
                         });
                     },
-                    onBatchEnd: ({ index, size, firstIndex, deviceIds, results, cumulative }) => {
+                    onBatchEnd: ({ index, size, firstIndex, deviceIds, wave, results, cumulative }) => {
                         setState((prev) => {
                             if (prev.phase !== 'running' || prev.mode !== 'fleet') return prev;
                             const ok = results.filter((r) => r?.ok).length;
                             const failed = results.length - ok;
                             const batches = [
                                 ...prev.batches,
-                                { index, size, firstIndex, deviceIds, ok, failed },
+                                { index, size, firstIndex, deviceIds, wave, ok, failed },
                             ];
                             return {
                                 ...prev,
@@ -362,6 +378,7 @@ function buildRunReport({
             name: parsed?.name || null,
             description: parsed?.description || null,
             steps: parsed?.steps?.length || 0,
+            hash: parsed?.hash || null,
         },
         rollout: {
             batchSize,
@@ -369,9 +386,12 @@ function buildRunReport({
             filters: null,
             group: null,
             includeOffline: !!includeOffline,
+            waves: parsed?.target?.rollout?.waves || null,
+            soak: parsed?.target?.rollout?.soak || 0,
+            approve: false,
             source: 'dashboard',
         },
-        vars: resolvedVars,
+        vars: maskSecretVars(parsed, resolvedVars),
         summary: {
             attempted: outcome.attempted,
             succeeded: outcome.succeeded,
@@ -382,23 +402,6 @@ function buildRunReport({
         aborted: !!outcome.aborted,
         reason: outcome.reason || null,
         batches: outcome.batches,
-        devices: outcome.results.map((r) => ({
-            device: r?.device,
-            ok: !!r?.ok,
-            skipped: !!r?.skipped,
-            error: r?.error || null,
-            steps: Array.isArray(r?.steps)
-                ? r.steps.map((s) => ({
-                      index: s.index,
-                      name: s.name,
-                      ok: !!s.ok,
-                      skipped: !!s.skipped,
-                      verdict: s.verdict || null,
-                      summary: s.summary,
-                      durationMs: s.durationMs,
-                      error: s.error || null,
-                  }))
-                : [],
-        })),
+        devices: reportDevices(outcome.results),
     };
 }
@@ -2,13 +2,13 @@ import { useCallback, useEffect, useRef, useState } from 'react';
 import {
     deleteProductPlaybook,
     listProductPlaybooks,
+    parseProductPlaybook,
     readProductPlaybook,
 } from '../../../lib/product.js';
 import {
     listStorageFiles,
     readStorageFile,
 } from '../../../lib/storage.js';
-import { parsePlaybook } from '../../../lib/playbook/loader.js';
 import { debugCount, debugLog } from '../../../lib/debug-log.js';
 
 const RUNS_PREFIX = 'playbooks/runs/';
@@ -98,7 +98,7 @@ export function useProductPlaybooks(productId) {
             let parsed = null;
             let parseError = null;
             try {
-                parsed = parsePlaybook(yaml, { sourcePath: `${name}.yaml` });
+                parsed = await parseProductPlaybook(productId, name, yaml);
             } catch (err) {
                 parseError = err?.message || String(err);
             }
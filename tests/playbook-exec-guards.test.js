@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHECKERS, hasExecGuards } from '../lib/playbook/actions.js';
+
+/** Fake device API: `paths` exist, `exits` maps a command to its exit code. */
+function fakeCtx({ paths = [], exits = {} } = {}) {
+    const commands = [];
+    const api = {
+        async info(path) {
+            if (paths.includes(path)) return { type: 'file' };
+            const err = new Error('not found');
+            err.response = { status: 404 };
+            throw err;
+        },
+        async exec(command) {
+            commands.push(command);
+            return { stdout: '', stderr: '', retcode: exits[command] ?? 0 };
+        },
+    };
+    return { commands, ctx: { api } };
+}
+
+const check = (params, env) => CHECKERS.exec(fakeCtx(env).ctx, { command: 'install.sh', ...params });
+
+describe('exec guards', () => {
+    it('detects guarded steps', () => {
+        assert.equal(hasExecGuards({ command: 'x' }), false);
+        assert.equal(hasExecGuards({ command: 'x', unless: 'true' }), true);
+    });
+
+    it('reports unknown without guards', async () => {
+        assert.equal((await check({})).status, 'unknown');
+    });
+
+    it('creates / removes test paths on the device', async () => {
+        assert.equal((await check({ creates: '/opt/app' }, { paths: ['/opt/app'] })).status, 'unchanged');
+        assert.equal((await check({ creates: '/opt/app' })).status, 'changed');
+        assert.equal((await check({ removes: '/tmp/lock' })).status, 'unchanged');
+        assert.equal((await check({ removes: '/tmp/lock' }, { paths: ['/tmp/lock'] })).status, 'changed');
+    });
+
+    it('skips when unless succeeds', async () => {
+        assert.equal((await check({ unless: 'id app' })).status, 'unchanged');
+        assert.equal((await check({ unless: 'id app' }, { exits: { 'id app': 1 } })).status, 'changed');
+    });
+
+    it('maps check_command exit codes to verdicts', async () => {
+        const cmd = 'test "$(cat /etc/tz)" = UTC';
+        assert.equal((await check({ check_command: cmd })).status, 'unchanged');
+        assert.equal((await check({ check_command: cmd }, { exits: { [cmd]: 1 } })).status, 'changed');
+        assert.equal((await check({ check_command: cmd }, { exits: { [cmd]: 127 } })).status, 'unknown');
+    });
+
+    it('never runs the command itself', async () => {
+        const { ctx, commands } = fakeCtx({ exits: { 'false': 1 } });
+        await CHECKERS.exec(ctx, { command: 'install.sh', unless: 'false' });
+        assert.deepEqual(commands, ['false']);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderResultsReport } from '../lib/playbook/export.js';
+import { reportOptionsError } from '../commands/_shared.js';
+
+const results = [
+    {
+        device: 'd1',
+        ok: false,
+        steps: [
+            { index: 0, name: 'Install <pkg>', ok: true, summary: 'installed', durationMs: 1200, verdict: 'changed' },
+            {
+                index: 1,
+                name: 'Migrate',
+                ok: false,
+                summary: 'exit 1',
+                error: 'exit 1',
+                durationMs: 30,
+                stdout: 'a & b\n',
+                stderr: 'boom\n',
+            },
+            { index: 2, name: 'Later', ok: true, skipped: true, summary: 'skipped (when: x)', durationMs: 0 },
+            { index: 3, name: 'restart', section: 'handler', ok: true, summary: 'restarted', durationMs: 5 },
+        ],
+    },
+    { device: 'd2', ok: false, steps: [], error: 'device offline' },
+    { device: 'd3', ok: false, skipped: true, steps: [], error: 'aborted (failure threshold reached)' },
+];
+
+describe('renderResultsReport', () => {
+    it('writes one JUnit test suite per device and one case per step', () => {
+        const xml = renderResultsReport('junit', results, { name: 'deploy' });
+        assert.match(xml, /<testsuites name="deploy" tests="6" failures="2" skipped="2" time="1\.235">/);
+        assert.match(xml, /<testsuite name="d1" tests="4" failures="1" errors="0" skipped="1"/);
+        assert.match(xml, /<testcase name="1\. Install &lt;pkg&gt;" classname="d1" time="1\.200"\/>/);
+        assert.match(
+            xml,
+            /<failure message="exit 1" type="StepFailed">exit 1<\/failure>\n\s+<system-out>a &amp; b\n<\/system-out>\n\s+<system-err>boom\n<\/system-err>/,
+        );
+        assert.match(xml, /<testcase name="handler: restart"/);
+        assert.match(xml, /<testcase name="run" classname="d2"[^>]*>\n\s+<failure message="device offline"/);
+        assert.match(xml, /<testcase name="not attempted" classname="d3"[^>]*>\n\s+<skipped message="aborted/);
+    });
+
+    it('writes TAP subtests with YAML diagnostics for failures', () => {
+        const tap = renderResultsReport('tap', results);
+        const lines = tap.split('\n');
+        assert.deepEqual(lines.slice(0, 5), [
+            'TAP version 14',
+            '1..3',
+            '# Subtest: d1',
+            '    1..4',
+            '    ok 1 - 1. Install <pkg>',
+        ]);
+        assert.ok(lines.includes('    not ok 2 - 2. Migrate'));
+        assert.ok(lines.includes('      message: exit 1'));
+        assert.ok(lines.includes('      stderr: |'));
+        assert.ok(lines.includes('    ok 3 - 3. Later # SKIP skipped (when: x)'));
+        assert.ok(lines.includes('not ok 1 - d1'));
+        assert.ok(lines.includes('ok 3 - d3'));
+    });
+
+    it('writes a Markdown summary with the output of failed steps', () => {
+        const md = renderResultsReport('markdown', results, { name: 'deploy', mode: 'check' });
+        assert.match(md, /^# deploy \(check\)\n\n3 device\(s\) · 0 ok · 2 failed · 1 not attempted\n/);
+        assert.match(md, /\| 1\. Install &lt;pkg> \| changed \| 1200ms \| installed \|/);
+        assert.match(md, /<details><summary>2\. Migrate output<\/summary>\n\nstdout:\n\n```\na & b\n```/);
+        assert.match(md, /## · d3/);
+    });
+});
+
+describe('reportOptionsError', () => {
+    it('needs both flags and a real run', () => {
+        assert.equal(reportOptionsError({ report: 'junit', reportFile: 'out.xml' }), null);
+        assert.equal(reportOptionsError({}), null);
+        assert.match(reportOptionsError({ report: 'tap' }), /--report needs --report-file/);
+        assert.match(reportOptionsError({ reportFile: 'x' }), /--report-file needs --report/);
+        assert.match(reportOptionsError({ report: 'tap', reportFile: 'x', dryRun: true }), /--dry-run/);
+    });
+});
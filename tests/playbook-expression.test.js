@@ -103,6 +103,99 @@ describe('expression real-world patterns', () => {
     });
 });
 
+describe('expression indexing', () => {
+    const scope = { result: { data: [{ name: 'a' }, { name: 'b' }], 'x-y': 1 }, i: 1 };
+
+    it('indexes lists and chains member access', () => {
+        assert.equal(evaluateExpression('result.data[0].name', scope), 'a');
+        assert.equal(evaluateExpression('result.data[i].name', scope), 'b');
+        assert.equal(evaluateExpression('result.data[-1].name', scope), 'b');
+    });
+
+    it('indexes mappings with string keys', () => {
+        assert.equal(evaluateExpression('result["x-y"]', scope), 1);
+    });
+
+    it('returns undefined past the end or through null', () => {
+        assert.equal(evaluateExpression('result.data[5].name', scope), undefined);
+    });
+});
+
+describe('expression membership and matching', () => {
+    it('tests list membership with in / not in', () => {
+        assert.equal(evaluateCondition('env in ["prod", "staging"]', { env: 'prod' }), true);
+        assert.equal(evaluateCondition('env not in ["prod", "staging"]', { env: 'dev' }), true);
+        assert.equal(evaluateCondition('2 in [1, 2]', {}), true);
+    });
+
+    it('tests substrings and mapping keys', () => {
+        assert.equal(evaluateCondition('"act" in "active"', {}), true);
+        assert.equal(evaluateCondition('"k" in cfg', { cfg: { k: 1 } }), true);
+    });
+
+    it('supports contains as the reverse of in', () => {
+        assert.equal(evaluateCondition('stdout contains "active"', { stdout: 'inactive' }), true);
+        assert.equal(evaluateCondition('tags contains "edge"', { tags: ['core'] }), false);
+    });
+
+    it('matches regular expressions', () => {
+        assert.equal(evaluateCondition('name matches "^rpi"', { name: 'rpi-04' }), true);
+        assert.equal(evaluateCondition('name matches "^rpi"', { name: 'x-rpi' }), false);
+        assert.throws(() => evaluateCondition('name matches "("', { name: 'x' }), /Invalid regular expression/);
+    });
+});
+
+describe('expression version comparison', () => {
+    it('compares semantically against a version literal', () => {
+        assert.equal(evaluateCondition('agent.version >= v"1.6.2"', { agent: { version: '1.10.0' } }), true);
+        assert.equal(evaluateCondition('agent.version >= v"1.6.2"', { agent: { version: 'v1.6.1' } }), false);
+        assert.equal(evaluateCondition('agent.version < v"1.6.2"', { agent: { version: '1.6.1' } }), true);
+    });
+
+    it('ignores git-describe suffixes for equality', () => {
+        assert.equal(evaluateCondition('v == v"1.6.5"', { v: 'v1.6.5-2-g7c3d192' }), true);
+    });
+
+    it('treats an unparseable version as older', () => {
+        assert.equal(evaluateCondition('v >= v"1.0.0"', { v: null }), false);
+    });
+
+    it('rejects malformed version literals', () => {
+        assert.throws(() => evaluateCondition('x == v"latest"', { x: 1 }), /Invalid version literal/);
+    });
+});
+
+describe('expression arithmetic and functions', () => {
+    it('applies arithmetic with the usual precedence', () => {
+        assert.equal(evaluateExpression('1 + 2 * 3', {}), 7);
+        assert.equal(evaluateExpression('(1 + 2) * 3', {}), 9);
+        assert.equal(evaluateExpression('10 % 4 - 1', {}), 1);
+        assert.equal(evaluateExpression('-free', { free: 5 }), -5);
+    });
+
+    it('compares arithmetic results', () => {
+        assert.equal(evaluateCondition('disk.free / 1024 > 512', { disk: { free: 1048576 } }), true);
+    });
+
+    it('concatenates strings with +', () => {
+        assert.equal(evaluateExpression('"v" + ver', { ver: 2 }), 'v2');
+    });
+
+    it('rejects division by zero', () => {
+        assert.throws(() => evaluateExpression('1 / 0', {}), /Division by zero/);
+    });
+
+    it('computes length() of lists, strings and mappings', () => {
+        assert.equal(evaluateExpression('length(xs)', { xs: [1, 2, 3] }), 3);
+        assert.equal(evaluateExpression('length("abc")', {}), 3);
+        assert.equal(evaluateCondition('length(cfg) == 0', { cfg: {} }), true);
+    });
+
+    it('rejects unknown functions', () => {
+        assert.throws(() => evaluateExpression('size(xs)', { xs: [] }), /Unknown function 'size\(\)'/);
+    });
+});
+
 describe('expression parse errors', () => {
     it('rejects unbalanced parentheses', () => {
         assert.throws(() => evaluateCondition('(1 == 1', {}), /parenthesis|token/i);
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FACTS_COMMAND, gatherFacts, parseFacts } from '../lib/playbook/facts.js';
+import { parsePlaybook } from '../lib/playbook/loader.js';
+import { buildDryRunPlan } from '../lib/playbook/runner.js';
+
+const OUTPUT = `hostname=edge-01
+kernel=6.1.0-rpi7-rpi-v8
+arch=aarch64
+os_PRETTY_NAME="Debian GNU/Linux 12 (bookworm)"
+os_NAME="Debian GNU/Linux"
+os_VERSION_ID="12"
+os_ID=debian
+mem_total_kb=3884096
+disk_total_kb=30358348
+disk_free_kb=24012340
+`;
+
+describe('parseFacts', () => {
+    it('reads the facts command output', () => {
+        assert.deepEqual(parseFacts(OUTPUT), {
+            hostname: 'edge-01',
+            kernel: '6.1.0-rpi7-rpi-v8',
+            arch: 'aarch64',
+            os: { id: 'debian', name: 'Debian GNU/Linux', version: '12', pretty_name: 'Debian GNU/Linux 12 (bookworm)' },
+            memory: { total_mb: 3793 },
+            disk: { total_mb: 29646, free_mb: 23449 },
+        });
+    });
+
+    it('leaves missing facts null', () => {
+        const facts = parseFacts('hostname=x\n');
+        assert.equal(facts.os.id, null);
+        assert.equal(facts.memory.total_mb, null);
+    });
+});
+
+describe('gatherFacts', () => {
+    it('combines the device output, server record and agent version', async () => {
+        const commands = [];
+        const api = {
+            async exec(command) {
+                commands.push(command);
+                return { stdout: OUTPUT, stderr: '', retcode: 0 };
+            },
+            async getResource() {
+                return { agent: { version: 'v1.7.2' } };
+            },
+        };
+        const fetchDevice = async () => ({ device: 'd1', product: 'gateway', asset_group: 'eu-west' });
+        const facts = await gatherFacts({ deviceId: 'd1', api }, { fetchDevice });
+        assert.deepEqual(commands, [FACTS_COMMAND]);
+        assert.equal(facts.arch, 'aarch64');
+        assert.equal(facts.agent.version, 'v1.7.2');
+        assert.equal(facts.product, 'gateway');
+        assert.equal(facts.asset_group, 'eu-west');
+    });
+});
+
+describe('gather_facts playbooks', () => {
+    const PB = `
+target:
+  product: demo
+gather_facts: true
+steps:
+  - action: exec
+    command: "echo {{ facts.arch }}"
+    when: facts.os.id == "debian"
+`;
+
+    it('validates the flag and the facts name', () => {
+        assert.equal(parsePlaybook(PB).gather_facts, true);
+        assert.throws(() => parsePlaybook(PB.replace('true', 'yes please')), /`gather_facts` must be a boolean/);
+        assert.throws(() => parsePlaybook(`${PB}vars:\n  facts: 1\n`), /`vars.facts` clashes/);
+    });
+
+    it('shows placeholder facts in the dry-run plan', () => {
+        assert.equal(buildDryRunPlan(parsePlaybook(PB))[0].summary, 'exec: echo <facts.arch>');
+    });
+});
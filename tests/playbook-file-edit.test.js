@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { editBlock, editLine, lineDiff } from '../lib/playbook/file-edit.js';
+import { CHECKERS, HANDLERS } from '../lib/playbook/actions.js';
+
+const SSHD = 'Port 22\n#PermitRootLogin yes\nPasswordAuthentication yes\n';
+
+describe('editLine', () => {
+    it('replaces the last line matching regexp', () => {
+        const out = editLine(SSHD, { regexp: '^#?PermitRootLogin', line: 'PermitRootLogin no' });
+        assert.equal(out, 'Port 22\nPermitRootLogin no\nPasswordAuthentication yes\n');
+    });
+
+    it('is a no-op when the line is already there', () => {
+        assert.equal(editLine(SSHD, { line: 'Port 22' }), SSHD);
+        assert.equal(editLine(SSHD, { regexp: '^Port ', line: 'Port 22' }), SSHD);
+    });
+
+    it('appends a missing line, adding the final newline if needed', () => {
+        assert.equal(editLine('a\nb', { line: 'c' }), 'a\nb\nc\n');
+        assert.equal(editLine('', { line: 'c' }), 'c\n');
+    });
+
+    it('inserts relative to a pattern', () => {
+        assert.equal(editLine('a\nb\n', { line: 'x', insert_after: '^a' }), 'a\nx\nb\n');
+        assert.equal(editLine('a\nb\n', { line: 'x', insert_before: '^b' }), 'a\nx\nb\n');
+        assert.equal(editLine('a\nb\n', { line: 'x', insert_before: 'BOF' }), 'x\na\nb\n');
+    });
+
+    it('removes every matching line for state absent', () => {
+        assert.equal(editLine('a\nx=1\nb\nx=2\n', { regexp: '^x=', state: 'absent' }), 'a\nb\n');
+    });
+
+    it('rejects bad input', () => {
+        assert.throws(() => editLine('', { regexp: '(' }), /invalid `regexp` regular expression/);
+        assert.throws(() => editLine('', { line: 'a\nb' }), /single line/);
+    });
+});
+
+describe('editBlock', () => {
+    const block = 'server 10.0.0.1\nserver 10.0.0.2';
+
+    it('inserts a marked block and then keeps it stable', () => {
+        const once = editBlock('pool x\n', { block });
+        assert.equal(
+            once,
+            'pool x\n# BEGIN THINR MANAGED BLOCK\nserver 10.0.0.1\nserver 10.0.0.2\n# END THINR MANAGED BLOCK\n',
+        );
+        assert.equal(editBlock(once, { block }), once);
+    });
+
+    it('replaces the content between existing markers', () => {
+        const text = 'a\n## BEGIN ntp\nold\n## END ntp\nz\n';
+        assert.equal(editBlock(text, { block: 'new', marker: '## {mark} ntp' }), 'a\n## BEGIN ntp\nnew\n## END ntp\nz\n');
+        assert.equal(editBlock(text, { marker: '## {mark} ntp', state: 'absent' }), 'a\nz\n');
+    });
+
+    it('requires {mark} in the marker', () => {
+        assert.throws(() => editBlock('', { block: 'x', marker: '# managed' }), /must contain "\{mark\}"/);
+    });
+});
+
+describe('lineDiff', () => {
+    it('shows only the lines that differ', () => {
+        assert.deepEqual(lineDiff('a\nb\nc\n', 'a\nB\nc\n'), ['-b', '+B']);
+        assert.deepEqual(lineDiff('a\n', 'a\n'), []);
+    });
+});
+
+describe('line_in_file action', () => {
+    function fakeFile(content) {
+        const state = { content, writes: 0 };
+        const api = {
+            async readFile() {
+                if (state.content === null) {
+                    const err = new Error('not found');
+                    err.response = { status: 404 };
+                    throw err;
+                }
+                return Buffer.from(state.content, 'utf8');
+            },
+            async writeFile(_path, buf) {
+                state.writes += 1;
+                state.content = buf.toString('utf8');
+            },
+        };
+        return { state, ctx: { api } };
+    }
+
+    const params = { path: '/etc/ssh/sshd_config', regexp: '^#?PermitRootLogin', line: 'PermitRootLogin no' };
+
+    it('reports the diff in check mode without writing', async () => {
+        const { state, ctx } = fakeFile(SSHD);
+        const verdict = await CHECKERS.line_in_file(ctx, params);
+        assert.equal(verdict.status, 'changed');
+        assert.deepEqual(verdict.diff, ['-#PermitRootLogin yes', '+PermitRootLogin no']);
+        assert.equal(state.writes, 0);
+    });
+
+    it('writes once and is unchanged afterwards', async () => {
+        const { state, ctx } = fakeFile(SSHD);
+        const out = await HANDLERS.line_in_file(ctx, params);
+        assert.equal(out.value.changed, true);
+        assert.equal((await CHECKERS.line_in_file(ctx, params)).status, 'unchanged');
+        await HANDLERS.line_in_file(ctx, params);
+        assert.equal(state.writes, 1);
+    });
+
+    it('fails on a missing file unless create is set', async () => {
+        await assert.rejects(HANDLERS.line_in_file(fakeFile(null).ctx, params), /does not exist/);
+        const { state, ctx } = fakeFile(null);
+        await HANDLERS.block_in_file(ctx, { path: '/etc/x.conf', block: 'k=v', create: true });
+        assert.equal(state.content, '# BEGIN THINR MANAGED BLOCK\nk=v\n# END THINR MANAGED BLOCK\n');
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHealthCheck, describeGate, parseGates } from '../lib/playbook/gates.js';
+import { runFleetPlaybook } from '../lib/playbook/fleet.js';
+import { parsePlaybook } from '../lib/playbook/loader.js';
+
+const STARTED = Date.parse('2026-10-01T12:00:00Z');
+
+describe('parseGates', () => {
+    it('normalises monitoring and alarm gates', () => {
+        const gates = parseGates([{ monitoring: 'cpu.usage', max: 90 }, { alarms: 'HIGH' }]);
+        assert.deepEqual(gates, [{ monitoring: 'cpu.usage', max: 90, agg: 'max' }, { alarms: 'high' }]);
+        assert.deepEqual(gates.map(describeGate), ['max cpu.usage ≤ 90', 'no new alarms ≥ high']);
+    });
+
+    it('rejects incomplete or unknown gates', () => {
+        assert.throws(() => parseGates([{ monitoring: 'cpu.usage' }]), /gates\[0\] needs min and\/or max/);
+        assert.throws(() => parseGates([{ monitoring: 'x', max: 1, agg: 'p99' }]), /gates\[0\]\.agg must be one of/);
+        assert.throws(() => parseGates([{ alarms: 'loud' }]), /gates\[0\]\.alarms must be a severity/);
+        assert.throws(() => parseGates([{ cpu: 90 }]), /must have a `monitoring` field/);
+    });
+
+    it('is validated as part of target.rollout', () => {
+        assert.throws(
+            () => parsePlaybook('target:\n  product: demo\n  rollout:\n    gates: [{ alarms: loud }]\nsteps: []\n'),
+            /`target\.rollout`: gates\[0\]\.alarms must be a severity/,
+        );
+    });
+});
+
+describe('createHealthCheck', () => {
+    it('flags batch devices over a monitoring threshold', async () => {
+        let query;
+        const check = createHealthCheck([{ monitoring: 'cpu.usage', max: 90, agg: 'max' }], {
+            now: () => STARTED + 60_000,
+            fetchMonitoring: async (q) => {
+                query = q;
+                return [
+                    { device: 'a', cpu: { usage: 97 } },
+                    { device: 'b', cpu: { usage: 40 } },
+                    { device: 'c' },
+                    { device: 'other', cpu: { usage: 100 } },
+                ];
+            },
+        });
+        const health = await check({ deviceIds: ['a', 'b', 'c'], startedAt: STARTED });
+        assert.equal(query.min_ts, STARTED);
+        assert.equal(query.agg_type, 'max');
+        assert.equal(query.group_by, 'device');
+        assert.equal(health.ok, false);
+        assert.deepEqual(health.results, [{ gate: 'max cpu.usage ≤ 90', ok: false, detail: 'a: cpu.usage = 97' }]);
+    });
+
+    it('only counts alarms raised on the batch devices since it started', async () => {
+        const check = createHealthCheck([{ alarms: 'high' }], {
+            fetchAlarms: async ({ severity }) => {
+                assert.deepEqual(severity, [3, 4]);
+                return [
+                    { instance: 'old', severity: 4, origin: { id: 'a' }, created: STARTED - 1000 },
+                    { instance: 'elsewhere', severity: 4, origin: { id: 'z' }, created: STARTED + 1000 },
+                    { instance: 'new', severity: 3, origin: { id: 'a' }, created: { $date: STARTED + 5000 } },
+                ];
+            },
+        });
+        const health = await check({ deviceIds: ['a'], startedAt: STARTED });
+        assert.deepEqual(health.results, [{ gate: 'no new alarms ≥ high', ok: false, detail: 'a: high alarm new' }]);
+    });
+
+    it('fails closed when a gate cannot be checked', async () => {
+        const check = createHealthCheck([{ alarms: 'critical' }], {
+            fetchAlarms: async () => {
+                throw new Error('503');
+            },
+        });
+        const health = await check({ deviceIds: ['a'], startedAt: STARTED });
+        assert.equal(health.ok, false);
+        assert.match(health.results[0].detail, /could not be checked: 503/);
+    });
+});
+
+describe('runFleetPlaybook — health gates', () => {
+    const devices = Array.from({ length: 6 }, (_, i) => ({ device: `d${i + 1}` }));
+    const allOk = async (_pb, devs) => devs.map((d) => ({ device: d.device, ok: true, steps: [] }));
+
+    it('checks the previous batch before starting the next one', async () => {
+        const checked = [];
+        const result = await runFleetPlaybook({ steps: [] }, devices, {
+            batchSize: 2,
+            runBatch: allOk,
+            checkHealth: async ({ index, deviceIds }) => {
+                checked.push([index, deviceIds]);
+                return { ok: index < 1, results: [{ gate: 'g', ok: index < 1, detail: 'x' }] };
+            },
+        });
+        assert.deepEqual(checked, [
+            [0, ['d1', 'd2']],
+            [1, ['d3', 'd4']],
+        ]);
+        assert.equal(result.reason, 'health-gate');
+        assert.equal(result.attempted, 4);
+        assert.deepEqual(result.batches[1].gates, [{ gate: 'g', ok: false, detail: 'x' }]);
+        assert.equal(result.results[5].error, 'aborted (health gate failed)');
+    });
+
+    it('checks the last batch too, so a single batch is gated', async () => {
+        const checked = [];
+        const result = await runFleetPlaybook({ steps: [] }, devices.slice(0, 2), {
+            batchSize: 2,
+            runBatch: allOk,
+            checkHealth: async ({ index }) => {
+                checked.push(index);
+                return { ok: false, results: [{ gate: 'g', ok: false, detail: 'x' }] };
+            },
+        });
+        assert.deepEqual(checked, [0]);
+        assert.equal(result.aborted, true);
+        assert.equal(result.reason, 'health-gate');
+        assert.equal(result.attempted, 2);
+        assert.deepEqual(result.batches[0].gates, [{ gate: 'g', ok: false, detail: 'x' }]);
+    });
+
+    it('passes a rollout whose every batch is healthy', async () => {
+        const checked = [];
+        const result = await runFleetPlaybook({ steps: [] }, devices, {
+            batchSize: 3,
+            runBatch: allOk,
+            checkHealth: async ({ index }) => {
+                checked.push(index);
+                return { ok: true, results: [] };
+            },
+        });
+        assert.deepEqual(checked, [0, 1]);
+        assert.equal(result.aborted, false);
+    });
+});
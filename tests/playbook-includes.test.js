@@ -0,0 +1,180 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadPlaybookFile, parsePlaybook } from '../lib/playbook/loader.js';
+import { collectIncludeRefs, prefetchIncludes } from '../lib/playbook/includes.js';
+import { buildDryRunPlan } from '../lib/playbook/runner.js';
+
+const PREAMBLE = `
+vars:
+  service: { type: string, required: true }
+  backup_dir: /var/backups
+steps:
+  - action: service
+    name: "{{ service }}"
+    state: stopped
+  - action: exec
+    command: "tar czf {{ backup_dir }}/{{ service }}.tgz /etc/{{ service }}"
+handlers:
+  - name: restart
+    action: exec
+    command: "systemctl restart {{ service }}"
+`;
+
+const playbooks = (entries) => new Map(Object.entries(entries));
+
+describe('include steps', () => {
+    it('expands a product playbook into a block with its parameters', () => {
+        const pb = parsePlaybook(
+            `
+target: { product: demo }
+steps:
+  - include: preamble
+    vars: { service: nginx }
+  - action: exec
+    command: deploy
+    notify: restart
+`,
+            { sourcePath: 'deploy.yaml', playbooks: playbooks({ preamble: PREAMBLE }) },
+        );
+        const [inc] = pb.steps;
+        assert.equal(inc.action, 'block');
+        assert.equal(inc.name, 'include preamble');
+        assert.equal(inc.block.length, 2);
+        assert.deepEqual(inc.include, { ref: 'preamble', vars: { service: 'nginx' }, defaults: { backup_dir: '/var/backups' } });
+        assert.deepEqual(pb.handlers.map((h) => h.name), ['restart']);
+    });
+
+    it('shows the expanded steps in the dry-run plan', () => {
+        const pb = parsePlaybook(
+            `
+target: { product: demo }
+vars: { app: nginx }
+steps:
+  - include: preamble
+    vars: { service: "{{ app }}" }
+`,
+            { sourcePath: 'deploy.yaml', playbooks: playbooks({ preamble: PREAMBLE }) },
+        );
+        const plan = buildDryRunPlan(pb, { overrides: {} });
+        assert.deepEqual(
+            plan.map((r) => [r.depth ?? 0, r.summary]),
+            [
+                [0, 'include preamble (2 steps)'],
+                [1, 'service nginx stopped'],
+                [1, 'exec: tar czf /var/backups/nginx.tgz /etc/nginx'],
+                [1, 'include preamble (1 step)'],
+                [2, 'exec: systemctl restart nginx'],
+            ],
+        );
+    });
+
+    it('validates parameters against the included vars', () => {
+        const parse = (vars) =>
+            parsePlaybook(`target: { product: demo }\nsteps:\n  - include: preamble\n    vars: ${vars}\n`, {
+                playbooks: playbooks({ preamble: PREAMBLE }),
+            });
+        assert.throws(() => parse('{}'), /include "preamble": missing required parameter "service"/);
+        assert.throws(() => parse('{ service: x, port: 1 }'), /unknown parameter "port"/);
+        assert.throws(() => parse('{ service: 42 }'), /parameter "service" does not match declared type string/);
+    });
+
+    it('reports unknown playbooks and product includes outside a product', () => {
+        assert.throws(
+            () => parsePlaybook('target: { product: demo }\nsteps:\n  - include: nope\n', { playbooks: playbooks({}) }),
+            /step\[0\]: include "nope": no playbook "nope" on the product/,
+        );
+        assert.throws(
+            () => parsePlaybook('target: { product: demo }\nsteps:\n  - include: preamble\n'),
+            /can only be included from a playbook stored on the product/,
+        );
+    });
+
+    it('detects include cycles', () => {
+        const lib = playbooks({
+            a: 'steps:\n  - include: b\n',
+            b: 'steps:\n  - include: a\n',
+        });
+        assert.throws(
+            () => parsePlaybook('target: { product: demo }\nsteps:\n  - include: a\n', { sourcePath: 'main.yaml', playbooks: lib }),
+            /include cycle: main → a → b → a/,
+        );
+        assert.throws(
+            () => parsePlaybook('target: { product: demo }\nsteps:\n  - include: main\n', { sourcePath: 'main.yaml', playbooks: playbooks({ main: '' }) }),
+            /include cycle: main → main/,
+        );
+    });
+});
+
+describe('import_playbook', () => {
+    it('runs imported playbooks before the own steps', () => {
+        const pb = parsePlaybook(
+            `
+target: { product: demo }
+import_playbook:
+  - common
+  - { playbook: preamble, vars: { service: mosquitto } }
+steps:
+  - action: exec
+    command: deploy
+`,
+            {
+                playbooks: playbooks({
+                    common: 'target: { product: other }\nsteps:\n  - action: exec\n    command: apt-get update\n',
+                    preamble: PREAMBLE,
+                }),
+            },
+        );
+        assert.deepEqual(
+            pb.steps.map((s) => s.name),
+            ['import common', 'import preamble', 'exec: deploy'],
+        );
+        assert.equal(pb.target.product, 'demo');
+    });
+
+    it('makes steps optional when something is imported', () => {
+        const pb = parsePlaybook('target: { product: demo }\nimport_playbook: common\n', {
+            playbooks: playbooks({ common: 'steps:\n  - action: sleep\n    seconds: 1\n' }),
+        });
+        assert.equal(pb.steps.length, 1);
+    });
+});
+
+describe('local includes', () => {
+    it('resolves files relative to the including file', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'thinr-include-'));
+        mkdirSync(join(dir, 'lib'));
+        writeFileSync(join(dir, 'lib', 'stop.yaml'), 'steps:\n  - include: ./backup.yml\n');
+        writeFileSync(join(dir, 'lib', 'backup.yml'), 'steps:\n  - action: exec\n    command: backup\n');
+        writeFileSync(join(dir, 'site.yaml'), 'target: { product: demo }\nsteps:\n  - include: lib/stop.yaml\n');
+        const pb = loadPlaybookFile(join(dir, 'site.yaml'));
+        assert.equal(pb.steps[0].block[0].block[0].params.command, 'backup');
+    });
+
+    it('needs a playbook file to resolve against', () => {
+        assert.throws(
+            () => parsePlaybook('target: { product: demo }\nsteps:\n  - include: ./x.yaml\n'),
+            /local files can only be included from a playbook file/,
+        );
+    });
+});
+
+describe('prefetchIncludes', () => {
+    it('fetches nested product includes once each', async () => {
+        const store = {
+            a: 'steps:\n  - include: b\n  - block:\n      - include: c\n',
+            b: 'steps:\n  - include: a\n',
+            c: 'import_playbook: [./local.yaml]\nsteps:\n  - action: sleep\n    seconds: 1\n',
+        };
+        const reads = [];
+        const found = await prefetchIncludes('steps:\n  - include: a\n  - include: missing\n', async (name) => {
+            reads.push(name);
+            return store[name] ?? null;
+        });
+        assert.deepEqual(reads.sort(), ['a', 'b', 'c', 'missing']);
+        assert.deepEqual([...found.keys()].sort(), ['a', 'b', 'c']);
+        assert.deepEqual(collectIncludeRefs({ import_playbook: 'x', handlers: [{ include: 'y' }] }), ['x', 'y']);
+    });
+});
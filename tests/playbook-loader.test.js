@@ -214,4 +214,162 @@ steps:
             assert.match(err.message, /unknown action "fake"/);
         }
     });
+
+    it('accepts loop as a list or expression and with_items as an alias', () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: "echo {{ item }}"
+    loop: [a, b]
+  - action: exec
+    command: "echo {{ item }}"
+    with_items: "{{ packages }}"
+  - action: exec
+    command: hostname
+`);
+        assert.deepEqual(pb.steps[0].loop, ['a', 'b']);
+        assert.equal(pb.steps[1].loop, '{{ packages }}');
+        assert.equal(pb.steps[2].loop, null);
+    });
+
+    it('rejects malformed loops', () => {
+        assert.throws(
+            () =>
+                parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: x
+    loop: [a]
+    with_items: [b]
+`),
+            /either `loop` or `with_items`/,
+        );
+        assert.throws(
+            () =>
+                parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: x
+    loop: 3
+`),
+            /`loop` must be a list or an expression string/,
+        );
+    });
+
+    it('normalises block / rescue / always steps', () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - name: deploy
+    block:
+      - action: exec
+        command: deploy.sh
+    rescue:
+      - action: exec
+        command: restore.sh
+`);
+        const [block] = pb.steps;
+        assert.equal(block.action, 'block');
+        assert.equal(block.name, 'deploy');
+        assert.equal(block.block[0].action, 'exec');
+        assert.equal(block.rescue[0].params.command, 'restore.sh');
+        assert.deepEqual(block.always, []);
+    });
+
+    it('validates nested block sections with their path', () => {
+        assert.throws(
+            () =>
+                parsePlaybook(`
+target:
+  product: demo
+steps:
+  - block:
+      - action: exec
+    rescue: []
+    register: out
+`),
+            /step\[0\]: unexpected field\(s\) `register` on a block/,
+        );
+        assert.throws(
+            () =>
+                parsePlaybook(`
+target:
+  product: demo
+steps:
+  - block:
+      - action: exec
+    rescue: []
+`),
+            (err) =>
+                /step\[0\]\.block\[0\]: `command` is required/.test(err.message) &&
+                /step\[0\]: `rescue` must be a non-empty list/.test(err.message),
+        );
+    });
+
+    it('parses handlers and normalises notify to a list', () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: write
+    path: /etc/app.conf
+    content: x
+    notify: restart app
+handlers:
+  - name: restart app
+    action: exec
+    command: systemctl restart app
+`);
+        assert.deepEqual(pb.steps[0].notify, ['restart app']);
+        assert.equal(pb.handlers[0].name, 'restart app');
+        assert.deepEqual(parsePlaybook(minimal).handlers, []);
+    });
+
+    it('rejects notify targets that are not declared handlers', () => {
+        assert.throws(
+            () =>
+                parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: x
+    notify: [reload]
+handlers:
+  - name: restart
+    action: exec
+    command: y
+  - name: restart
+    action: exec
+    command: z
+`),
+            (err) =>
+                /references unknown handler "reload"/.test(err.message) &&
+                /duplicate handler name "restart"/.test(err.message),
+        );
+    });
+
+    it('validates retries, delay and until', () => {
+        const step = (extra) => `
+target:
+  product: demo
+steps:
+  - action: exec
+    command: x
+${extra}`;
+        assert.throws(() => parsePlaybook(step('    retries: -1')), /`retries` must be a non-negative integer/);
+        assert.throws(() => parsePlaybook(step('    delay: soon')), /`delay` must be a non-negative number/);
+        assert.throws(() => parsePlaybook(step('    until: x.ok')), /`until` needs `register`/);
+        const [s] = parsePlaybook(step('    retries: 2')).steps;
+        assert.equal(s.retries, 2);
+        assert.equal(s.delay, 5);
+        assert.equal(s.until, null);
+    });
 });
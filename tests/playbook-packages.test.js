@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PACKAGE_MANAGERS,
+    checkPackageParams,
+    managerFromDetect,
+    planPackage,
+} from '../lib/playbook/packages.js';
+import { CHECKERS, HANDLERS } from '../lib/playbook/actions.js';
+
+/**
+ * Fake device API answering `exec` from a list of [pattern, result]
+ * pairs; the first pattern contained in the command wins.
+ */
+function fakeCtx(answers) {
+    const commands = [];
+    return {
+        commands,
+        ctx: {
+            deviceId: 'd1',
+            api: {
+                async exec(command) {
+                    commands.push(command);
+                    for (const [pattern, res] of answers) {
+                        if (command.includes(pattern)) return { stdout: '', stderr: '', retcode: 0, ...res };
+                    }
+                    return { stdout: '', stderr: '', retcode: 1 };
+                },
+            },
+        },
+    };
+}
+
+describe('package managers — output parsing', () => {
+    it('reads dpkg status and apt candidates', () => {
+        const apt = PACKAGE_MANAGERS.apt;
+        assert.equal(apt.parseInstalled('install ok installed|7.81.0-1ubuntu1.15', 'curl'), '7.81.0-1ubuntu1.15');
+        assert.equal(apt.parseInstalled('deinstall ok config-files|7.81.0', 'curl'), null);
+        const policy = 'curl:\n  Installed: 7.81.0-1\n  Candidate: 7.81.0-2\n';
+        assert.equal(apt.parseCandidate(policy, 'curl'), '7.81.0-2');
+        assert.equal(apt.parseCandidate('  Candidate: (none)\n', 'curl'), null);
+    });
+
+    it('reads apk and opkg listings for the exact package', () => {
+        const apkOut = 'curl-dev-8.5.0-r0 x86_64 {curl}\ncurl-8.5.0-r0 x86_64 {curl} (MIT) [installed]\n';
+        assert.equal(PACKAGE_MANAGERS.apk.parseInstalled(apkOut, 'curl'), '8.5.0-r0');
+        assert.equal(PACKAGE_MANAGERS.opkg.parseInstalled('curl - 8.4.0-1\n', 'curl'), '8.4.0-1');
+        assert.equal(PACKAGE_MANAGERS.opkg.parseInstalled('', 'curl'), null);
+    });
+
+    it('maps the detected binary to a manager', () => {
+        assert.equal(managerFromDetect('apt-get\n')?.name, 'apt');
+        assert.equal(managerFromDetect('opkg\n')?.name, 'opkg');
+        assert.equal(managerFromDetect(''), null);
+    });
+
+    it('refuses a pinned version on opkg', () => {
+        assert.throws(() => PACKAGE_MANAGERS.opkg.install('curl', '1.0'), /pinned `version`/);
+    });
+});
+
+describe('checkPackageParams', () => {
+    it('defaults state to present', () => {
+        assert.equal(checkPackageParams({ name: 'nginx' }), 'present');
+    });
+
+    it('rejects names and versions that are not plain tokens', () => {
+        assert.throws(() => checkPackageParams({ name: 'curl; reboot' }), /invalid package name/);
+        assert.throws(() => checkPackageParams({ name: 'curl', version: '$(id)' }), /invalid package version/);
+        assert.throws(() => checkPackageParams({ name: 'curl', state: 'latest', version: '1' }), /only applies/);
+        assert.throws(() => checkPackageParams({ name: 'curl', state: 'gone' }), /`state` must be/);
+    });
+});
+
+describe('planPackage', () => {
+    it('installs missing packages and leaves installed ones alone', () => {
+        assert.equal(planPackage({ name: 'jq', state: 'present' }, null).op, 'install');
+        assert.equal(planPackage({ name: 'jq', state: 'present' }, '1.6-2').op, null);
+    });
+
+    it('matches a pinned version against the upstream part', () => {
+        assert.equal(planPackage({ name: 'jq', state: 'present', version: '1.6' }, '1.6-2').op, null);
+        assert.equal(planPackage({ name: 'jq', state: 'present', version: '1.7' }, '1.6-2').op, 'install');
+    });
+
+    it('upgrades to latest only when the candidate differs', () => {
+        assert.equal(planPackage({ name: 'jq', state: 'latest' }, '1.6', '1.6').op, null);
+        assert.equal(planPackage({ name: 'jq', state: 'latest' }, '1.6', '1.7').op, 'upgrade');
+        const unknown = planPackage({ name: 'jq', state: 'latest' }, '1.6', null);
+        assert.equal(unknown.op, 'upgrade');
+        assert.equal(unknown.certain, false);
+    });
+
+    it('removes only installed packages', () => {
+        assert.equal(planPackage({ name: 'jq', state: 'absent' }, '1.6').op, 'remove');
+        assert.equal(planPackage({ name: 'jq', state: 'absent' }, null).op, null);
+    });
+});
+
+describe('package action', () => {
+    it('reports unchanged in check mode when the package is installed', async () => {
+        const { ctx } = fakeCtx([
+            ['command -v', { stdout: 'apt-get\n' }],
+            ['dpkg-query', { stdout: 'install ok installed|1.6-2' }],
+        ]);
+        const verdict = await CHECKERS.package(ctx, { name: 'jq' });
+        assert.equal(verdict.status, 'unchanged');
+    });
+
+    it('reports changed when a newer candidate exists', async () => {
+        const { ctx } = fakeCtx([
+            ['command -v', { stdout: 'dnf\n' }],
+            ['rpm -q', { stdout: '1.6-2' }],
+            ['repoquery', { stdout: '1.7-1\n' }],
+        ]);
+        const verdict = await CHECKERS.package(ctx, { name: 'jq', state: 'latest' });
+        assert.deepEqual(verdict, { status: 'changed', summary: 'would jq 1.6-2 → 1.7-1' });
+    });
+
+    it('installs with the detected manager and reports the new version', async () => {
+        let installed = false;
+        const commands = [];
+        const ctx = {
+            api: {
+                async exec(command) {
+                    commands.push(command);
+                    if (command.includes('command -v')) return { stdout: 'apk\n', retcode: 0 };
+                    if (command.startsWith('apk list --installed')) {
+                        return { stdout: installed ? 'jq-1.7.1-r0 x86_64 {jq} (MIT) [installed]\n' : '', retcode: 0 };
+                    }
+                    if (command === 'apk add jq') {
+                        installed = true;
+                        return { stdout: '', retcode: 0 };
+                    }
+                    return { stdout: '', retcode: 1 };
+                },
+            },
+        };
+        const out = await HANDLERS.package(ctx, { name: 'jq' });
+        assert.ok(commands.includes('apk add jq'));
+        assert.deepEqual(out.value, { name: 'jq', manager: 'apk', version: '1.7.1-r0' });
+    });
+
+    it('fails the step with the package manager error', async () => {
+        const { ctx } = fakeCtx([
+            ['dpkg-query', { retcode: 1 }],
+            ['apt-get install', { retcode: 100, stderr: 'Reading package lists...\nE: Unable to locate package nope\n' }],
+        ]);
+        await assert.rejects(
+            HANDLERS.package(ctx, { name: 'nope', manager: 'apt' }),
+            /apt: E: Unable to locate package nope/,
+        );
+    });
+});
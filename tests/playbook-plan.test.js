@@ -134,4 +134,96 @@ steps:
             /Required playbook variable "release" has no value/,
         );
     });
+
+    it('expands looped steps into one row per item', () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+vars:
+  packages: [curl, jq]
+steps:
+  - name: install
+    action: exec
+    command: "apt-get install -y {{ item }}"
+    loop: "{{ packages }}"
+`);
+        const plan = buildDryRunPlan(pb);
+        assert.equal(plan.length, 2);
+        assert.deepEqual(
+            plan.map((r) => [r.index, r.name, r.summary]),
+            [
+                [0, 'install (item=curl)', 'exec: apt-get install -y curl'],
+                [0, 'install (item=jq)', 'exec: apt-get install -y jq'],
+            ],
+        );
+    });
+
+    it('keeps a single row when the loop depends on run-time results', () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: list-units
+    register: units
+  - name: restart
+    action: exec
+    command: "systemctl restart {{ item }}"
+    loop: units.json
+`);
+        const plan = buildDryRunPlan(pb);
+        assert.equal(plan.length, 2);
+        assert.match(plan[1].name, /restart \(loop: units\.json, resolved at run time\)/);
+    });
+
+    it('lists block sections under the block row', () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - name: deploy
+    block:
+      - action: exec
+        command: deploy.sh
+    rescue:
+      - action: exec
+        command: "echo {{ failed_step.name }} failed"
+    always:
+      - action: rm
+        path: /tmp/stage
+`);
+        const plan = buildDryRunPlan(pb);
+        assert.deepEqual(
+            plan.map((r) => [r.index, r.section ?? null, r.action]),
+            [
+                [0, null, 'block'],
+                [0, 'block', 'exec'],
+                [0, 'rescue', 'exec'],
+                [0, 'always', 'rm'],
+            ],
+        );
+        assert.equal(plan[0].summary, 'block 1 · rescue 1 · always 1');
+        assert.equal(plan[1].depth, 1);
+    });
+
+    it('appends handlers after the steps', () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: reconfigure
+    notify: restart
+handlers:
+  - name: restart
+    action: exec
+    command: systemctl restart app
+`);
+        const plan = buildDryRunPlan(pb);
+        assert.equal(plan.length, 2);
+        assert.equal(plan[1].index, 1);
+        assert.equal(plan[1].section, 'handler');
+        assert.equal(plan[1].name, 'restart');
+    });
 });
+
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { awaitReconnect } from '../lib/playbook/reboot.js';
+
+/** In-memory stand-in for the shared event stream. */
+function fakeStream() {
+    const handlers = new Set();
+    const stream = {
+        refs: 0,
+        subscriptions: [],
+        on(_event, h) {
+            handlers.add(h);
+            return () => handlers.delete(h);
+        },
+        subscribe(msg) {
+            stream.subscriptions.push(msg);
+        },
+        connect() {
+            stream.refs += 1;
+        },
+        disconnect() {
+            stream.refs -= 1;
+        },
+        emit(frame) {
+            for (const h of [...handlers]) h({ event: 'device_state_change', ...frame });
+        },
+        listeners: () => handlers.size,
+    };
+    return stream;
+}
+
+const neverOnline = async () => ({ connection: { active: false } });
+
+describe('awaitReconnect', () => {
+    it('resolves on the connected event for the device', async () => {
+        const stream = fakeStream();
+        const done = awaitReconnect({ deviceId: 'd1', timeout: 5, stream, fetchDevice: neverOnline }, async () => {
+            stream.emit({ device: 'd2', state: 'connected' });
+            setTimeout(() => stream.emit({ device: 'd1', state: 'connected' }), 10);
+        });
+        assert.equal(await done, 'event');
+        assert.deepEqual(stream.subscriptions, [{ event: 'device_state_change' }]);
+        assert.equal(stream.refs, 0);
+        assert.equal(stream.listeners(), 0);
+    });
+
+    it('falls back to polling once the device went offline and came back', async () => {
+        const states = [true, false, true];
+        const fetchDevice = async () => ({ connection: { active: states.length > 1 ? states.shift() : states[0] } });
+        const via = await awaitReconnect(
+            { deviceId: 'd1', timeout: 5, pollInterval: 0.01, stream: fakeStream(), fetchDevice },
+            async () => {},
+        );
+        assert.equal(via, 'poll');
+    });
+
+    it('fails when the device stays away past the timeout', async () => {
+        await assert.rejects(
+            awaitReconnect(
+                { deviceId: 'd1', timeout: 0.05, pollInterval: 0.01, stream: fakeStream(), fetchDevice: neverOnline },
+                async () => {},
+            ),
+            /did not reconnect within 0\.05s/,
+        );
+    });
+
+    it('stops listening when the reboot cannot be issued', async () => {
+        const stream = fakeStream();
+        await assert.rejects(
+            awaitReconnect({ deviceId: 'd1', timeout: 5, stream }, async () => {
+                throw new Error('reboot: permission denied');
+            }),
+            /permission denied/,
+        );
+        assert.equal(stream.refs, 0);
+        assert.equal(stream.listeners(), 0);
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlaybook } from '../lib/playbook/loader.js';
+import { planResume } from '../lib/playbook/resume.js';
+import { SECRET_MASK } from '../lib/playbook/secrets.js';
+
+const SOURCE = `
+target: { product: demo }
+vars:
+  version: { type: string, default: "1.0" }
+  region: eu
+  token: { secret: true, default: abc }
+  build: { default: 7, overridable: false }
+steps:
+  - include: preamble
+  - action: exec
+    command: "deploy {{ version }}"
+`;
+const playbooks = (preamble) => new Map([['preamble', preamble]]);
+const load = (preamble = 'steps:\n  - action: sleep\n    seconds: 1\n') =>
+    parsePlaybook(SOURCE, { playbooks: playbooks(preamble) });
+
+function reportFor(pb, extra = {}) {
+    return {
+        product: 'demo',
+        name: 'deploy',
+        mode: 'apply',
+        playbook: { name: null, steps: pb.steps.length, hash: pb.hash },
+        rollout: { batchSize: 10, failureThreshold: 5, filters: null, group: 'eu', includeOffline: false },
+        vars: { version: '2.0', region: 'eu', token: SECRET_MASK, build: 7 },
+        devices: [
+            { device: 'a', ok: true, skipped: false },
+            { device: 'b', ok: false, skipped: false },
+            { device: 'c', ok: false, skipped: true },
+        ],
+        ...extra,
+    };
+}
+
+const current = (pb) => ({ pb, productId: 'demo', name: 'deploy', mode: /** @type {'apply'} */ ('apply') });
+
+describe('planResume', () => {
+    it('reuses changed vars and rollout options and skips succeeded devices', () => {
+        const pb = load();
+        const plan = planResume(reportFor(pb), current(pb));
+        assert.deepEqual(plan.overrides, { version: '2.0' });
+        assert.deepEqual([...plan.done], ['a']);
+        assert.deepEqual(plan.rollout, {
+            batchSize: 10,
+            failureThreshold: 5,
+            filters: null,
+            group: 'eu',
+            includeOffline: false,
+            waves: null,
+            soak: null,
+            approve: null,
+        });
+    });
+
+    it('reuses the wave plan, soak time and approval of the report', () => {
+        const pb = load();
+        const report = reportFor(pb);
+        report.rollout = { ...report.rollout, waves: [1, '50%', '100%'], soak: 30, approve: false };
+        const plan = planResume(report, current(pb));
+        assert.deepEqual(plan.rollout.waves, [1, '50%', '100%']);
+        assert.equal(plan.rollout.soak, 30);
+        assert.equal(plan.rollout.approve, false);
+    });
+
+    it('carries earlier successes of a resumed report forward', () => {
+        const pb = load();
+        const plan = planResume(reportFor(pb, { resumedFrom: { path: 'x', alreadySucceeded: ['z'] } }), current(pb));
+        assert.deepEqual([...plan.done].sort(), ['a', 'z']);
+    });
+
+    it('refuses when an included playbook changed', () => {
+        const report = reportFor(load());
+        const changed = load('steps:\n  - action: sleep\n    seconds: 2\n');
+        assert.notEqual(changed.hash, report.playbook.hash);
+        assert.throws(() => planResume(report, current(changed)), /Playbook changed since the report was written/);
+    });
+
+    it('refuses reports of another playbook, mode or without a hash', () => {
+        const pb = load();
+        assert.throws(() => planResume(reportFor(pb, { name: 'other' }), current(pb)), /Report is for playbook "other"/);
+        assert.throws(() => planResume(reportFor(pb, { mode: 'check' }), current(pb)), /from a check run/);
+        assert.throws(
+            () => planResume(reportFor(pb, { playbook: { steps: 2 } }), current(pb)),
+            /has no playbook hash/,
+        );
+    });
+});
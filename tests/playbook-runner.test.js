@@ -0,0 +1,834 @@
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parsePlaybook } from '../lib/playbook/loader.js';
+import { registeredOutcome, runPlaybook } from '../lib/playbook/runner.js';
+import { runFleetPlaybook } from '../lib/playbook/fleet.js';
+import { CHECKERS, HANDLERS } from '../lib/playbook/actions.js';
+import { encryptSecret } from '../lib/playbook/secrets.js';
+
+// The runner builds a device API client per device, which needs a
+// configured profile. Point HOME at a throwaway config so nothing
+// touches the real one; handlers are stubbed so no request goes out.
+before(() => {
+    const home = mkdtempSync(join(tmpdir(), 'thinr-runner-'));
+    mkdirSync(join(home, '.config', 'thinr-cli'), { recursive: true });
+    writeFileSync(
+        join(home, '.config', 'thinr-cli', 'config.json'),
+        JSON.stringify({
+            default: 'test',
+            profiles: { test: { server: 'example.invalid', username: 'admin', token: 't' } },
+        }),
+    );
+    process.env.HOME = home;
+});
+
+const originalHandlers = { ...HANDLERS };
+const originalCheckers = { ...CHECKERS };
+
+afterEach(() => {
+    Object.assign(HANDLERS, originalHandlers);
+    for (const k of Object.keys(CHECKERS)) delete CHECKERS[k];
+    Object.assign(CHECKERS, originalCheckers);
+});
+
+const DEVICES = [{ device: 'd1', connection: { active: true } }];
+
+describe('registeredOutcome', () => {
+    it('keeps the summary and duration for a successful step', () => {
+        assert.deepEqual(registeredOutcome({ ok: true, summary: 'done', durationMs: 5 }), {
+            ok: true,
+            result: 'done',
+            duration_ms: 5,
+        });
+    });
+
+    it('exposes command output and parses JSON stdout', () => {
+        const out = registeredOutcome({
+            ok: true,
+            summary: 'exit=0',
+            durationMs: 1,
+            verdict: 'changed',
+            stdout: '{"state":"up"}\n',
+            stderr: '',
+            exitCode: 0,
+        });
+        assert.equal(out.verdict, 'changed');
+        assert.equal(out.exit_code, 0);
+        assert.equal(out.stderr, '');
+        assert.deepEqual(out.json, { state: 'up' });
+    });
+
+    it('omits json when stdout is not a JSON document', () => {
+        const out = registeredOutcome({ ok: true, summary: 'x', durationMs: 1, stdout: 'active\n' });
+        assert.equal(out.stdout, 'active\n');
+        assert.equal('json' in out, false);
+    });
+
+    it('records the error and output of a failed step', () => {
+        const out = registeredOutcome({
+            ok: false,
+            error: 'exit=3',
+            durationMs: 2,
+            stdout: 'inactive',
+            exitCode: 3,
+        });
+        assert.equal(out.ok, false);
+        assert.equal(out.error, 'exit=3');
+        assert.equal(out.exit_code, 3);
+    });
+});
+
+describe('runPlaybook — register', () => {
+    it('lets a later step read and branch on a registered exec result', async () => {
+        const commands = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            if (params.command === 'read-version') {
+                return { summary: 'exit=0', stdout: '{"version":"1.7.0"}', stderr: '', exitCode: 0 };
+            }
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: read-version
+    register: current
+  - action: exec
+    command: "echo {{ current.json.version }}"
+    when: current.exit_code == 0 and current.json.version >= v"1.6.0"
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.deepEqual(commands, ['read-version', 'echo 1.7.0']);
+    });
+
+    it('exposes the raw resource value, not the truncated summary', async () => {
+        const big = { items: Array.from({ length: 20 }, (_, i) => `item-${i}`) };
+        HANDLERS.resource = async (_ctx, params) => ({
+            summary: `resource ${params.resource} → ${JSON.stringify(big).slice(0, 40)}`,
+            value: big,
+        });
+        const seen = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            seen.push(params.command);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: resource
+    resource: inventory
+    register: inv
+  - action: exec
+    command: "echo {{ inv.value.items[-1] }}"
+`);
+        await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.deepEqual(seen, ['echo item-19']);
+    });
+});
+
+describe('runPlaybook — loop', () => {
+    it('runs the step once per item with item and index in scope', async () => {
+        const commands = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+vars:
+  packages: [curl, jq]
+steps:
+  - name: install
+    action: exec
+    command: "install {{ index }}:{{ item }}"
+    loop: "{{ packages }}"
+    register: installed
+  - action: exec
+    command: "echo {{ installed.results | length }} {{ installed.results[1].item }}"
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.deepEqual(commands, ['install 0:curl', 'install 1:jq', 'echo 2 jq']);
+        assert.deepEqual(
+            result.steps.map((s) => [s.index, s.name]).slice(0, 2),
+            [
+                [0, 'install (item=curl)'],
+                [0, 'install (item=jq)'],
+            ],
+        );
+        assert.equal(result.steps[2].index, 1);
+    });
+
+    it('evaluates when per item', async () => {
+        const commands = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: "rm {{ item.path }}"
+    loop:
+      - { path: /tmp/a, keep: false }
+      - { path: /tmp/b, keep: true }
+    when: not item.keep
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.deepEqual(commands, ['rm /tmp/a']);
+        assert.equal(result.steps[1].skipped, true);
+    });
+
+    it('stops at the first failing item and fails the step', async () => {
+        const commands = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            if (params.command === 'b') throw new Error('boom');
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: "{{ item }}"
+    loop: [a, b, c]
+  - action: exec
+    command: after
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.ok, false);
+        assert.deepEqual(commands, ['a', 'b']);
+    });
+
+    it('fails the step when the loop does not resolve to a list', async () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+vars:
+  packages: curl
+steps:
+  - action: exec
+    command: "{{ item }}"
+    loop: packages
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.ok, false);
+        assert.match(result.steps[0].summary, /loop error: `loop` must resolve to a list/);
+    });
+});
+
+describe('runPlaybook — block / rescue / always', () => {
+    const BLOCK = `
+target:
+  product: demo
+steps:
+  - name: deploy
+    block:
+      - action: exec
+        command: backup
+      - action: exec
+        command: deploy
+      - action: exec
+        command: verify
+    rescue:
+      - action: exec
+        command: "restore {{ failed_step.name }}: {{ failed_step.error }}"
+    always:
+      - action: exec
+        command: cleanup
+  - action: exec
+    command: after
+`;
+
+    function stubExec(failing) {
+        const commands = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            if (failing.includes(params.command)) throw new Error(`${params.command} failed`);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        return commands;
+    }
+
+    it('skips rescue when the block succeeds and always runs always', async () => {
+        const commands = stubExec([]);
+        const [result] = await runPlaybook(parsePlaybook(BLOCK), DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.deepEqual(commands, ['backup', 'deploy', 'verify', 'cleanup', 'after']);
+    });
+
+    it('runs rescue after a failure and marks the failure rescued', async () => {
+        const commands = stubExec(['deploy']);
+        const [result] = await runPlaybook(parsePlaybook(BLOCK), DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.deepEqual(commands, [
+            'backup',
+            'deploy',
+            'restore exec: deploy: deploy failed',
+            'cleanup',
+            'after',
+        ]);
+        const failed = result.steps.find((s) => !s.ok);
+        assert.equal(failed.section, 'block');
+        assert.equal(failed.rescued, true);
+        assert.deepEqual(
+            result.steps.map((s) => s.section),
+            ['block', 'block', 'rescue', 'always', undefined],
+        );
+    });
+
+    it('fails the block when rescue fails, still running always', async () => {
+        const commands = stubExec(['verify', 'restore exec: verify: verify failed']);
+        const [result] = await runPlaybook(parsePlaybook(BLOCK), DEVICES, { overrides: {} });
+        assert.equal(result.ok, false);
+        assert.deepEqual(commands.slice(-2), ['restore exec: verify: verify failed', 'cleanup']);
+        assert.equal(result.steps.some((s) => s.rescued), false);
+    });
+
+    it('fails the block when always fails', async () => {
+        const commands = stubExec(['cleanup']);
+        const [result] = await runPlaybook(parsePlaybook(BLOCK), DEVICES, { overrides: {} });
+        assert.equal(result.ok, false);
+        assert.equal(commands.includes('after'), false);
+    });
+
+    it('skips the whole block when its when gate is false', async () => {
+        const commands = stubExec([]);
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - name: optional
+    when: "false"
+    block:
+      - action: exec
+        command: never
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.deepEqual(commands, []);
+        assert.equal(result.steps[0].skipped, true);
+    });
+});
+
+describe('runPlaybook — handlers', () => {
+    const PB = `
+target:
+  product: demo
+steps:
+  - action: write
+    path: /etc/a.conf
+    content: a
+    notify: restart app
+  - action: write
+    path: /etc/b.conf
+    content: b
+    notify: [restart app]
+handlers:
+  - name: restart app
+    action: exec
+    command: systemctl restart app
+  - name: never
+    action: exec
+    command: never
+`;
+
+    function stub({ unchanged = [], failing = [] } = {}) {
+        const commands = [];
+        CHECKERS.write = async (_ctx, params) => ({
+            status: unchanged.includes(params.path) ? 'unchanged' : 'changed',
+            summary: params.path,
+        });
+        HANDLERS.write = async (_ctx, params) => {
+            if (failing.includes(params.path)) throw new Error('disk full');
+            return { summary: `write ${params.path}` };
+        };
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        return commands;
+    }
+
+    it('runs a notified handler once after all steps', async () => {
+        const commands = stub();
+        const [result] = await runPlaybook(parsePlaybook(PB), DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.deepEqual(commands, ['systemctl restart app']);
+        const last = result.steps.at(-1);
+        assert.equal(last.section, 'handler');
+        assert.equal(last.index, 2);
+    });
+
+    it('does not run handlers when nothing changed', async () => {
+        const commands = stub({ unchanged: ['/etc/a.conf', '/etc/b.conf'] });
+        const [result] = await runPlaybook(parsePlaybook(PB), DEVICES, { overrides: {} });
+        assert.deepEqual(commands, []);
+        assert.equal(result.steps.length, 2);
+    });
+
+    it('skips notified handlers when the run stops on a failure', async () => {
+        const commands = stub({ failing: ['/etc/b.conf'] });
+        const [result] = await runPlaybook(parsePlaybook(PB), DEVICES, { overrides: {} });
+        assert.equal(result.ok, false);
+        assert.deepEqual(commands, []);
+        assert.equal(result.steps.at(-1).summary, 'skipped (run failed)');
+    });
+});
+
+describe('runPlaybook — exec guards', () => {
+    it('pre-checks guarded exec steps and skips them when unchanged', async () => {
+        const checked = [];
+        CHECKERS.exec = async (_ctx, params) => {
+            checked.push(params.command);
+            return { status: 'unchanged', summary: `${params.creates} exists` };
+        };
+        const ran = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            ran.push(params.command);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: tar xf app.tgz -C /opt
+    creates: /opt/app
+  - action: exec
+    command: date
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.deepEqual(checked, ['tar xf app.tgz -C /opt']);
+        assert.deepEqual(ran, ['date']);
+        assert.equal(result.steps[0].verdict, 'unchanged');
+        assert.equal(result.steps[0].summary, '/opt/app exists');
+    });
+});
+
+
+describe('runPlaybook — retries / until', () => {
+    it('retries a failing step and records every attempt', async () => {
+        let calls = 0;
+        HANDLERS.exec = async () => {
+            calls += 1;
+            if (calls < 3) throw new Error('connection reset');
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: fetch
+    retries: 3
+    delay: 0
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.equal(calls, 3);
+        assert.equal(result.steps[0].summary, 'exit=0 (after 3 attempts)');
+        assert.deepEqual(
+            result.steps[0].attempts.map((a) => [a.attempt, a.ok, a.summary]),
+            [
+                [1, false, 'connection reset'],
+                [2, false, 'connection reset'],
+                [3, true, 'exit=0'],
+            ],
+        );
+    });
+
+    it('polls until the registered result matches', async () => {
+        const states = ['starting', 'starting', 'ok'];
+        HANDLERS.exec = async () => {
+            const status = states.shift();
+            return { summary: 'exit=0', stdout: JSON.stringify({ status }), stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: health
+    register: health
+    until: health.json.status == "ok"
+    delay: 0
+`);
+        assert.equal(pb.steps[0].retries, 3);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.equal(result.steps[0].attempts.length, 3);
+        assert.equal(result.steps[0].attempts[0].summary, 'until not met: health.json.status == "ok"');
+    });
+
+    it('fails once the attempts run out', async () => {
+        HANDLERS.exec = async () => ({ summary: 'exit=0', stdout: 'down', stderr: '', exitCode: 0 });
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: health
+    register: health
+    until: health.stdout == "up"
+    retries: 1
+    delay: 0
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.ok, false);
+        assert.equal(result.steps[0].error, 'until not met: health.stdout == "up" (after 2 attempts)');
+    });
+});
+
+describe('runPlaybook — retries of deterministic failures', () => {
+    it('does not retry interpolation, param or `fail` errors', async () => {
+        let calls = 0;
+        HANDLERS.exec = async () => {
+            calls += 1;
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: "echo {{ missing }}"
+    retries: 3
+    delay: 30
+  - action: package
+    name: "bad name"
+    retries: 3
+    delay: 30
+  - action: fail
+    message: stop
+    retries: 3
+    delay: 30
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {}, continueOnError: true });
+        assert.equal(calls, 0);
+        assert.deepEqual(
+            result.steps.map((s) => [s.ok, s.attempts?.length]),
+            [
+                [false, 1],
+                [false, 1],
+                [false, 1],
+            ],
+        );
+        assert.match(result.steps[0].error, /Undefined playbook variable: missing/);
+    });
+
+    it('stops waiting between attempts once the signal aborts', async () => {
+        HANDLERS.exec = async () => {
+            throw new Error('connection reset');
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: fetch
+    retries: 3
+    delay: 30
+`);
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        const t0 = Date.now();
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {}, signal: controller.signal });
+        assert.ok(Date.now() - t0 < 5000);
+        assert.equal(result.ok, false);
+        assert.equal(result.steps[0].attempts.length, 2);
+    });
+});
+
+describe('runPlaybook — assert / fail', () => {
+    const PB = `
+target:
+  product: demo
+  fail_fast: true
+vars:
+  min_free_mb: 200
+steps:
+  - action: exec
+    command: df
+    register: disk
+  - action: assert
+    that:
+      - device matches "^d"
+      - disk.json.free_mb >= min_free_mb
+    message: not enough free disk
+  - action: exec
+    command: install
+`;
+
+    function stub(freeMb) {
+        const commands = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            return { summary: 'exit=0', stdout: JSON.stringify({ free_mb: freeMb }), stderr: '', exitCode: 0 };
+        };
+        return commands;
+    }
+
+    it('passes when every expression holds', async () => {
+        const commands = stub(512);
+        const [result] = await runPlaybook(parsePlaybook(PB), DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.equal(result.steps[1].summary, '2 conditions passed');
+        assert.deepEqual(commands, ['df', 'install']);
+    });
+
+    it('fails the step with the message and stops the run', async () => {
+        const commands = stub(50);
+        const [result] = await runPlaybook(parsePlaybook(PB), DEVICES, { overrides: {} });
+        assert.equal(result.ok, false);
+        assert.equal(result.steps[1].error, 'not enough free disk (failed: disk.json.free_mb >= min_free_mb)');
+        assert.deepEqual(commands, ['df']);
+    });
+
+    it('fails unconditionally under a when gate', async () => {
+        stub(50);
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: fail
+    message: "unsupported device {{ device }}"
+    when: device == "d1"
+`);
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.steps[0].error, 'unsupported device d1');
+    });
+});
+
+describe('runPlaybook — secret vars', () => {
+    const PASSPHRASE = 'correct horse';
+
+    function playbook(password) {
+        return parsePlaybook(`
+target:
+  product: demo
+vars:
+  db_password:
+    secret: true
+    default: ${JSON.stringify(password)}
+steps:
+  - action: exec
+    command: "mysql -p{{ db_password }}"
+`);
+    }
+
+    function stub() {
+        const commands = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            return { summary: `ran ${params.command}`, stdout: params.command, stderr: '', exitCode: 0 };
+        };
+        return commands;
+    }
+
+    it('decrypts for the device and masks results and hooks', async () => {
+        const commands = stub();
+        const ended = [];
+        const pb = playbook(encryptSecret('s3cr3t', PASSPHRASE));
+        const [result] = await runPlaybook(pb, DEVICES, {
+            overrides: {},
+            secretKey: PASSPHRASE,
+            onStepEnd: (e) => ended.push(e),
+        });
+        assert.deepEqual(commands, ['mysql -ps3cr3t']);
+        assert.equal(result.steps[0].summary, 'ran mysql -p********');
+        assert.equal(result.steps[0].stdout, 'mysql -p********');
+        assert.equal(ended[0].summary, 'ran mysql -p********');
+    });
+
+    it('masks plain secret values too', async () => {
+        stub();
+        const [result] = await runPlaybook(playbook('hunter2'), DEVICES, { overrides: {} });
+        assert.equal(result.steps[0].summary, 'ran mysql -p********');
+    });
+
+    it('fails the device when no passphrase is available', async () => {
+        const commands = stub();
+        const pb = playbook(encryptSecret('s3cr3t', PASSPHRASE));
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {}, secretKey: null });
+        assert.equal(result.ok, false);
+        assert.match(result.error, /"db_password" is encrypted/);
+        assert.deepEqual(commands, []);
+    });
+});
+
+describe('runPlaybook — includes', () => {
+    const LIB = `
+vars:
+  service: { type: string, required: true }
+  mode: graceful
+steps:
+  - action: exec
+    command: "stop {{ service }} {{ mode }}"
+    register: stopped
+`;
+
+    it('binds parameters while the included steps run and restores the scope after', async () => {
+        const commands = [];
+        HANDLERS.exec = async (_ctx, params) => {
+            commands.push(params.command);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(
+            `
+target:
+  product: demo
+vars:
+  app: nginx
+  mode: forced
+steps:
+  - include: lib
+    vars: { service: "{{ app }}" }
+  - include: lib
+    vars: { service: mosquitto, mode: quick }
+  - action: exec
+    command: "done {{ mode }} {{ stopped.ok }} {{ service | default('-') }}"
+`,
+            { playbooks: new Map([['lib', LIB]]) },
+        );
+        const [result] = await runPlaybook(pb, DEVICES, { overrides: {} });
+        assert.equal(result.ok, true);
+        assert.deepEqual(commands, ['stop nginx forced', 'stop mosquitto quick', 'done forced true -']);
+    });
+});
+
+describe('runPlaybook — serial / run_once', () => {
+    const FLEET = ['d1', 'd2', 'd3', 'd4'].map((device) => ({ device, connection: { active: true } }));
+
+    it('limits a serial step across devices while other steps stay parallel', async () => {
+        const inFlight = { restart: 0, fetch: 0 };
+        const peak = { restart: 0, fetch: 0 };
+        HANDLERS.exec = async (_ctx, params) => {
+            const key = params.command;
+            inFlight[key] += 1;
+            peak[key] = Math.max(peak[key], inFlight[key]);
+            await new Promise((r) => setTimeout(r, 5));
+            inFlight[key] -= 1;
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: fetch
+  - action: exec
+    command: restart
+    serial: 1
+`);
+        const results = await runPlaybook(pb, FLEET, { overrides: {} });
+        assert.ok(results.every((r) => r.ok));
+        assert.deepEqual(peak, { fetch: 4, restart: 1 });
+    });
+
+    it('runs a run_once step on one device and shares its outcome', async () => {
+        const ran = [];
+        HANDLERS.exec = async (ctx, params) => {
+            ran.push(`${ctx.deviceId}:${params.command}`);
+            return { summary: 'exit=0', stdout: 'v2', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: migrate
+    register: migration
+    run_once: true
+  - action: exec
+    command: "check {{ migration.stdout }}"
+`);
+        const results = await runPlaybook(pb, FLEET, { overrides: {} });
+        assert.deepEqual(ran.filter((r) => r.endsWith(':migrate')), ['d1:migrate']);
+        assert.equal(ran.filter((r) => r.endsWith(':check v2')).length, 4);
+        assert.deepEqual(
+            results.map((r) => r.steps[0].summary),
+            ['exit=0', 'ran once on d1', 'ran once on d1', 'ran once on d1'],
+        );
+    });
+
+    it('fails every device when the run_once step fails', async () => {
+        HANDLERS.exec = async () => {
+            throw new Error('boom');
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: migrate
+    run_once: true
+`);
+        const results = await runPlaybook(pb, FLEET, { overrides: {} });
+        assert.ok(results.every((r) => !r.ok));
+        assert.equal(results[3].steps[0].error, 'run_once step failed on d1');
+    });
+
+    it('moves a run_once step on when its `when` skipped it on the first device', async () => {
+        const ran = [];
+        HANDLERS.exec = async (ctx, params) => {
+            ran.push(`${ctx.deviceId}:${params.command}`);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: migrate
+    run_once: true
+    when: device != 'd1'
+`);
+        const results = await runPlaybook(pb, FLEET, { overrides: {} });
+        assert.deepEqual(ran, ['d2:migrate']);
+        assert.deepEqual(
+            results.map((r) => r.steps[0].summary),
+            ["skipped (when: device != 'd1')", 'exit=0', 'ran once on d2', 'ran once on d2'],
+        );
+    });
+
+    it('runs a run_once step once across every batch of a fleet rollout', async () => {
+        const ran = [];
+        HANDLERS.exec = async (ctx, params) => {
+            ran.push(`${ctx.deviceId}:${params.command}`);
+            return { summary: 'exit=0', stdout: '', stderr: '', exitCode: 0 };
+        };
+        const pb = parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: exec
+    command: migrate
+    run_once: true
+`);
+        const result = await runFleetPlaybook(pb, FLEET, { batchSize: 2, overrides: {} });
+        assert.equal(result.batches.length, 2);
+        assert.deepEqual(ran, ['d1:migrate']);
+        assert.deepEqual(
+            result.results.map((r) => r.steps[0].summary),
+            ['exit=0', 'ran once on d1', 'ran once on d1', 'ran once on d1'],
+        );
+    });
+
+    it('rejects serial together with run_once', () => {
+        assert.throws(
+            () => parsePlaybook('target: { product: demo }\nsteps:\n  - action: exec\n    command: x\n    serial: 1\n    run_once: true\n'),
+            /use either `serial` or `run_once`/,
+        );
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    diffRunReports,
+    isRunReportCandidate,
+    matchesRunFilters,
+    reportDevices,
+    runOutcome,
+    summarizeRun,
+} from '../lib/playbook/runs.js';
+import { defaultRunReportFilename, listFleetRunReports } from '../lib/product.js';
+
+const device = (id, status, error = null) => ({
+    device: id,
+    ok: status === 'ok',
+    skipped: status === 'skipped',
+    error,
+    steps: [],
+});
+
+describe('run report summaries', () => {
+    it('derives the outcome from the abort flag and failures', () => {
+        assert.equal(runOutcome({ aborted: true, summary: { failed: 0 } }), 'aborted');
+        assert.equal(runOutcome({ aborted: false, summary: { failed: 2 } }), 'failed');
+        assert.equal(runOutcome({ aborted: false, summary: { failed: 0 } }), 'succeeded');
+    });
+
+    it('summarises a report for listing and filters on it', () => {
+        const run = summarizeRun('playbooks/runs/20261001T120000Z-deploy-alice.json', {
+            name: 'deploy',
+            user: 'alice',
+            mode: 'apply',
+            startedAt: '2026-10-01T12:00:00.000Z',
+            aborted: false,
+            summary: { attempted: 3, succeeded: 2, failed: 1 },
+            devices: [device('a', 'ok'), device('b', 'ok'), device('c', 'failed')],
+        });
+        assert.equal(run.id, '20261001T120000Z-deploy-alice.json');
+        assert.equal(run.outcome, 'failed');
+        assert.deepEqual([run.devices, run.succeeded, run.failed], [3, 2, 1]);
+        assert.ok(matchesRunFilters(run, { name: 'deploy', user: 'alice', outcome: 'failed' }));
+        assert.ok(!matchesRunFilters(run, { outcome: 'succeeded' }));
+        assert.ok(!matchesRunFilters(run, { user: 'bob' }));
+    });
+
+    it('only downloads reports whose file name can match', () => {
+        const file = '20261001T120000Z-deploy-v2-alice.json';
+        assert.ok(isRunReportCandidate(file, { name: 'deploy', user: 'alice' }));
+        assert.ok(isRunReportCandidate(file, { name: 'deploy-v2' }));
+        assert.ok(!isRunReportCandidate(file, { name: 'rollback' }));
+        assert.ok(!isRunReportCandidate(file, { user: 'bob' }));
+        assert.ok(isRunReportCandidate('custom.json', { name: 'rollback' }));
+        assert.ok(!isRunReportCandidate('notes.txt', {}));
+    });
+
+    it('lists a report whose user or name could not go in the file name', () => {
+        const report = {
+            name: 'deploy v2',
+            user: 'alice@example.com',
+            startedAt: '2026-10-01T12:00:00.000Z',
+            aborted: false,
+            summary: { attempted: 1, succeeded: 1, failed: 0 },
+            devices: [device('a', 'ok')],
+        };
+        const file = defaultRunReportFilename(report);
+        assert.equal(file, '20261001T120000000Z-run-unknown.json');
+        const filters = { name: 'deploy v2', user: 'alice@example.com' };
+        assert.ok(isRunReportCandidate(file, filters));
+        assert.ok(matchesRunFilters(summarizeRun(`playbooks/runs/${file}`, report), filters));
+        assert.ok(!isRunReportCandidate('20261001T120000Z-deploy-bob.json', { user: 'alice@example.com' }));
+    });
+
+    it('rejects an unknown outcome filter', async () => {
+        await assert.rejects(
+            listFleetRunReports('p', null, { outcome: 'partial' }),
+            (err) => err.code === 'input_error' && /Unknown outcome "partial"/.test(err.message),
+        );
+    });
+});
+
+describe('reportDevices', () => {
+    it('keeps step sections, rescues and retry attempts', () => {
+        const attempts = [
+            { ok: false, error: 'exit 1', durationMs: 5 },
+            { ok: true, durationMs: 4 },
+        ];
+        const [d1, d2] = reportDevices([
+            {
+                device: 'd1',
+                ok: true,
+                steps: [
+                    { index: 0, name: 'Fetch', ok: true, summary: 'ok', durationMs: 9, attempts, stdout: 'x' },
+                    { index: 1, name: 'Undo', section: 'rescue', ok: true, rescued: true, summary: 'ok', durationMs: 1 },
+                ],
+            },
+            { device: 'd2', ok: false, skipped: true, error: 'aborted (health gate failed)' },
+        ]);
+        assert.deepEqual(d1.steps[0], {
+            index: 0,
+            name: 'Fetch',
+            ok: true,
+            skipped: false,
+            section: null,
+            rescued: false,
+            verdict: null,
+            summary: 'ok',
+            durationMs: 9,
+            error: null,
+            attempts,
+        });
+        assert.deepEqual([d1.steps[1].section, d1.steps[1].rescued], ['rescue', true]);
+        assert.deepEqual(d2, { device: 'd2', ok: false, skipped: true, error: 'aborted (health gate failed)', steps: [] });
+    });
+});
+
+describe('diffRunReports', () => {
+    it('sorts devices into regressed, recovered and other changes', () => {
+        const before = {
+            devices: [
+                device('a', 'ok'),
+                device('b', 'failed'),
+                device('c', 'failed'),
+                device('d', 'ok'),
+                device('e', 'ok'),
+                device('f', 'ok'),
+            ],
+        };
+        const after = {
+            devices: [
+                device('a', 'failed', 'exit 1'),
+                device('b', 'ok'),
+                device('c', 'failed', 'timeout'),
+                device('d', 'ok'),
+                device('e', 'skipped', 'aborted (failure threshold reached)'),
+                device('g', 'ok'),
+            ],
+        };
+        const diff = diffRunReports(before, after);
+        assert.deepEqual(diff.regressed, [{ device: 'a', before: 'ok', after: 'failed', error: 'exit 1' }]);
+        assert.deepEqual(diff.recovered.map((c) => c.device), ['b']);
+        assert.deepEqual(diff.stillFailing.map((c) => [c.device, c.error]), [['c', 'timeout']]);
+        assert.deepEqual(
+            diff.changed.map((c) => [c.device, c.before, c.after]),
+            [
+                ['e', 'ok', 'skipped'],
+                ['f', 'ok', null],
+                ['g', null, 'ok'],
+            ],
+        );
+        assert.equal(diff.unchanged, 1);
+    });
+
+    it('counts devices a resumed run skipped as already ok', () => {
+        const before = { devices: [device('a', 'ok'), device('b', 'failed')] };
+        const after = {
+            resumedFrom: { path: 'playbooks/runs/x.json', alreadySucceeded: ['a'] },
+            devices: [device('b', 'ok')],
+        };
+        const diff = diffRunReports(before, after);
+        assert.deepEqual(diff.recovered.map((c) => c.device), ['b']);
+        assert.equal(diff.unchanged, 1);
+        assert.deepEqual(diff.changed, []);
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    SECRET_MASK,
+    decryptSecret,
+    encryptSecret,
+    isEncryptedSecret,
+    loadSecretKey,
+    maskSecretVars,
+    maskSecrets,
+} from '../lib/playbook/secrets.js';
+import { parsePlaybook } from '../lib/playbook/loader.js';
+import { buildDryRunPlan } from '../lib/playbook/runner.js';
+import { listVariables } from '../lib/playbook/vars.js';
+
+describe('secret encryption', () => {
+    it('round-trips with the same passphrase', () => {
+        const enc = encryptSecret('p@ss word', 'key');
+        assert.equal(isEncryptedSecret(enc), true);
+        assert.notEqual(enc, encryptSecret('p@ss word', 'key'));
+        assert.equal(decryptSecret(enc, 'key'), 'p@ss word');
+    });
+
+    it('rejects a wrong passphrase or a mangled value', () => {
+        const enc = encryptSecret('x', 'key');
+        assert.throws(() => decryptSecret(enc, 'other'), /cannot decrypt/);
+        assert.throws(() => decryptSecret('enc:v1:abc', 'key'), /malformed/);
+    });
+
+    it('reads the passphrase from a key file before the environment', () => {
+        const file = join(mkdtempSync(join(tmpdir(), 'thinr-secret-')), 'key');
+        writeFileSync(file, 'from-file\n');
+        assert.equal(loadSecretKey({ keyFile: file }), 'from-file');
+        writeFileSync(file, '\n');
+        assert.throws(() => loadSecretKey({ keyFile: file }), /is empty/);
+    });
+});
+
+describe('secret masking', () => {
+    it('replaces secrets deep inside results', () => {
+        const out = maskSecrets({ steps: [{ summary: 'login admin:hunter2', exitCode: 0 }] }, ['hunter2']);
+        assert.deepEqual(out, { steps: [{ summary: `login admin:${SECRET_MASK}`, exitCode: 0 }] });
+    });
+
+    it('leaves secrets too short to mask safely alone', () => {
+        const out = maskSecrets(['pin 123 · port 1234', 'abc'], ['123', '1234', '']);
+        assert.deepEqual(out, [`pin 123 · port ${SECRET_MASK}`, 'abc']);
+    });
+
+    const PB = `
+target:
+  product: demo
+vars:
+  user: admin
+  token: ${encryptSecret('t0k3n', 'key')}
+  password:
+    secret: true
+    default: hunter2
+steps:
+  - action: exec
+    command: "login {{ user }} {{ password }} {{ token }}"
+`;
+
+    it('masks secret vars in var maps, listings and the dry-run plan', () => {
+        const pb = parsePlaybook(PB);
+        assert.deepEqual(maskSecretVars(pb, pb.vars), { user: 'admin', token: SECRET_MASK, password: SECRET_MASK });
+        assert.deepEqual(
+            listVariables(pb).map((v) => [v.name, v.default, v.secret ?? false]),
+            [
+                ['user', 'admin', false],
+                ['token', SECRET_MASK, true],
+                ['password', SECRET_MASK, true],
+            ],
+        );
+        const [step] = buildDryRunPlan(pb, { overrides: {} });
+        assert.equal(step.summary, `exec: login admin ${SECRET_MASK} ${SECRET_MASK}`);
+    });
+
+    it('only accepts secret on string vars', () => {
+        assert.throws(
+            () => parsePlaybook('target: { product: demo }\nvars:\n  pin: { secret: true, type: number }\nsteps:\n  - action: sleep\n    seconds: 1\n'),
+            /secret vars must be of type string/,
+        );
+    });
+});
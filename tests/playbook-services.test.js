@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    INIT_SYSTEMS,
+    checkServiceParams,
+    initSystemFromDetect,
+    planService,
+} from '../lib/playbook/services.js';
+import { CHECKERS, HANDLERS } from '../lib/playbook/actions.js';
+
+/**
+ * Fake device API for a systemd host whose unit state lives in `unit`;
+ * start/stop/enable/disable commands update it.
+ */
+function systemdHost(unit) {
+    const commands = [];
+    const api = {
+        async exec(command) {
+            commands.push(command);
+            if (command.includes('/run/systemd/system')) return { stdout: 'systemd\n', retcode: 0 };
+            const [, verb] = command.split(' ');
+            switch (verb) {
+                case 'is-active':
+                    return { stdout: unit.active ? 'active\n' : 'inactive\n', retcode: unit.active ? 0 : 3 };
+                case 'is-enabled':
+                    return { stdout: `${unit.enabled}\n`, retcode: unit.enabled === 'enabled' ? 0 : 1 };
+                case 'start':
+                case 'restart':
+                    unit.active = true;
+                    return { stdout: '', retcode: 0 };
+                case 'stop':
+                    unit.active = false;
+                    return { stdout: '', retcode: 0 };
+                case 'enable':
+                    unit.enabled = 'enabled';
+                    return { stdout: '', retcode: 0 };
+                default:
+                    return { stdout: '', stderr: `Unknown command verb ${verb}.`, retcode: 1 };
+            }
+        },
+    };
+    return { commands, ctx: { api } };
+}
+
+describe('init systems', () => {
+    it('detects systemd and openrc', () => {
+        assert.equal(initSystemFromDetect('systemd\n')?.name, 'systemd');
+        assert.equal(initSystemFromDetect('openrc\n')?.name, 'openrc');
+        assert.equal(initSystemFromDetect(''), null);
+    });
+
+    it('maps systemctl is-enabled states', () => {
+        const parse = (stdout) => INIT_SYSTEMS.systemd.parseEnabled({ stdout, retcode: 0 }, 'x');
+        assert.equal(parse('enabled\n'), true);
+        assert.equal(parse('disabled\n'), false);
+        assert.equal(parse('static\n'), null);
+    });
+
+    it('reads the OpenRC default runlevel', () => {
+        const out = '            chronyd |      default\n              sshd |      default\n';
+        assert.equal(INIT_SYSTEMS.openrc.parseEnabled({ stdout: out, retcode: 0 }, 'sshd'), true);
+        assert.equal(INIT_SYSTEMS.openrc.parseEnabled({ stdout: out, retcode: 0 }, 'nginx'), false);
+    });
+});
+
+describe('checkServiceParams', () => {
+    it('requires state or enabled and a plain name', () => {
+        assert.throws(() => checkServiceParams({ name: 'nginx' }), /`state` or `enabled` is required/);
+        assert.throws(() => checkServiceParams({ name: 'nginx; reboot', state: 'started' }), /invalid service name/);
+        assert.throws(() => checkServiceParams({ name: 'nginx', state: 'running' }), /`state` must be one of/);
+        assert.doesNotThrow(() => checkServiceParams({ name: 'getty@tty1.service', enabled: true }));
+    });
+});
+
+describe('planService', () => {
+    it('acts only when started / stopped / enabled differ', () => {
+        assert.deepEqual(planService({ name: 'x', state: 'started' }, { active: true, enabled: true }).ops, []);
+        assert.deepEqual(planService({ name: 'x', state: 'started' }, { active: false, enabled: true }).ops, ['start']);
+        assert.deepEqual(
+            planService({ name: 'x', state: 'stopped', enabled: false }, { active: true, enabled: true }).ops,
+            ['disable', 'stop'],
+        );
+    });
+
+    it('always restarts and reloads', () => {
+        assert.deepEqual(planService({ name: 'x', state: 'restarted' }, { active: true, enabled: true }).ops, ['restart']);
+        assert.deepEqual(planService({ name: 'x', state: 'reloaded' }, { active: true, enabled: true }).ops, ['reload']);
+    });
+
+    it('leaves units that cannot be toggled alone', () => {
+        const plan = planService({ name: 'x', enabled: true }, { active: true, enabled: null });
+        assert.deepEqual(plan.ops, []);
+        assert.match(plan.summary, /cannot be enabled or disabled/);
+    });
+});
+
+describe('service action', () => {
+    it('reports unchanged when the unit is already running and enabled', async () => {
+        const { ctx } = systemdHost({ active: true, enabled: 'enabled' });
+        const verdict = await CHECKERS.service(ctx, { name: 'nginx', state: 'started', enabled: true });
+        assert.equal(verdict.status, 'unchanged');
+    });
+
+    it('enables and starts a stopped unit', async () => {
+        const { ctx, commands } = systemdHost({ active: false, enabled: 'disabled' });
+        assert.equal((await CHECKERS.service(ctx, { name: 'nginx', state: 'started', enabled: true })).status, 'changed');
+        const out = await HANDLERS.service(ctx, { name: 'nginx', state: 'started', enabled: true });
+        assert.ok(commands.includes('systemctl enable nginx'));
+        assert.ok(commands.includes('systemctl start nginx'));
+        assert.deepEqual(out.value, { name: 'nginx', init: 'systemd', active: true, enabled: true });
+    });
+
+    it('fails with the init system error', async () => {
+        const { ctx } = systemdHost({ active: true, enabled: 'enabled' });
+        await assert.rejects(
+            HANDLERS.service(ctx, { name: 'nginx', state: 'reloaded' }),
+            /reload nginx: Unknown command verb reload\./,
+        );
+    });
+});
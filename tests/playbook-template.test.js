@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate } from '../lib/playbook/template.js';
+import { parsePlaybook } from '../lib/playbook/loader.js';
+import { buildDryRunPlan } from '../lib/playbook/runner.js';
+
+describe('renderTemplate output', () => {
+    it('substitutes expressions and dotted paths', () => {
+        const scope = { device: 'gw-1', check: { ok: true } };
+        assert.equal(renderTemplate('host={{ device }} ok={{ check.ok }}', scope), 'host=gw-1 ok=true');
+    });
+
+    it('renders nullish as empty and composites as JSON', () => {
+        assert.equal(renderTemplate('[{{ a }}][{{ b }}]', { a: null, b: { x: 1 } }), '[][{"x":1}]');
+    });
+
+    it('throws on undefined variables with the line number', () => {
+        assert.throws(
+            () => renderTemplate('a\nb {{ ghost }}', {}),
+            /line 2: Undefined playbook variable: ghost/,
+        );
+    });
+});
+
+describe('renderTemplate filters', () => {
+    it('applies a filter chain left to right', () => {
+        assert.equal(renderTemplate('{{ name | trim | upper }}', { name: ' web ' }), 'WEB');
+    });
+
+    it('lets default() cover an undefined variable', () => {
+        assert.equal(renderTemplate('{{ port | default(8080) }}', {}), '8080');
+        assert.equal(renderTemplate('{{ port | default(8080) }}', { port: 81 }), '81');
+    });
+
+    it('passes arguments through the expression evaluator', () => {
+        const scope = { hosts: ['a', 'b'], sep: ';' };
+        assert.equal(renderTemplate('{{ hosts | join(", ") }}', scope), 'a, b');
+        assert.equal(renderTemplate('{{ hosts | join(sep) }}', scope), 'a;b');
+    });
+
+    it('keeps pipes inside string literals intact', () => {
+        assert.equal(renderTemplate('{{ v | default("a|b") }}', {}), 'a|b');
+    });
+
+    it('rejects unknown filters', () => {
+        assert.throws(() => renderTemplate('{{ v | shout }}', { v: 1 }), /Unknown filter "shout"/);
+    });
+});
+
+describe('renderTemplate blocks', () => {
+    it('picks the first truthy if/elif branch, else the else body', () => {
+        const tpl = '{% if env == "prod" %}P{% elif env == "dev" %}D{% else %}X{% endif %}';
+        assert.equal(renderTemplate(tpl, { env: 'prod' }), 'P');
+        assert.equal(renderTemplate(tpl, { env: 'dev' }), 'D');
+        assert.equal(renderTemplate(tpl, { env: 'qa' }), 'X');
+    });
+
+    it('treats empty lists as false', () => {
+        assert.equal(renderTemplate('{% if xs %}yes{% else %}no{% endif %}', { xs: [] }), 'no');
+    });
+
+    it('loops over lists with loop metadata', () => {
+        const tpl = '{% for h in hosts %}{{ loop.index }}={{ h }}{% if not loop.last %},{% endif %}{% endfor %}';
+        assert.equal(renderTemplate(tpl, { hosts: ['a', 'b', 'c'] }), '1=a,2=b,3=c');
+    });
+
+    it('loops over mapping entries with two loop variables', () => {
+        const tpl = '{% for k, v in env %}{{ k }}={{ v }};{% endfor %}';
+        assert.equal(renderTemplate(tpl, { env: { A: 1, B: 2 } }), 'A=1;B=2;');
+    });
+
+    it('renders the for-else body on an empty collection', () => {
+        assert.equal(renderTemplate('{% for x in xs %}{{ x }}{% else %}none{% endfor %}', { xs: [] }), 'none');
+    });
+
+    it('drops the newline after block tags and honours whitespace control', () => {
+        const tpl = 'upstream {\n{% for s in servers %}\n  server {{ s }};\n{% endfor %}\n}\n';
+        assert.equal(
+            renderTemplate(tpl, { servers: ['10.0.0.1', '10.0.0.2'] }),
+            'upstream {\n  server 10.0.0.1;\n  server 10.0.0.2;\n}\n',
+        );
+        assert.equal(renderTemplate('a   {{- x -}}   b', { x: 1 }), 'a1b');
+    });
+
+    it('strips comments', () => {
+        assert.equal(renderTemplate('a{# note #}b', {}), 'ab');
+    });
+
+    it('reports unclosed and stray block tags', () => {
+        assert.throws(() => renderTemplate('{% if x %}oops', { x: 1 }), /never closed/);
+        assert.throws(() => renderTemplate('{% endfor %}', {}), /unexpected tag/);
+        assert.throws(() => renderTemplate('{% set x = 1 %}', {}), /unexpected tag/);
+    });
+});
+
+describe('template action', () => {
+    it('validates and summarises in the dry-run plan', () => {
+        const pb = parsePlaybook(`
+target:
+  product: demo
+vars:
+  site: default
+steps:
+  - action: template
+    source: templates/{{ site }}.conf.j2
+    destination: /etc/nginx/sites-enabled/app.conf
+`);
+        const plan = buildDryRunPlan(pb);
+        assert.equal(plan[0].action, 'template');
+        assert.match(plan[0].summary, /template templates\/default\.conf\.j2 → \/etc\/nginx/);
+    });
+
+    it('requires source and destination', () => {
+        assert.throws(
+            () =>
+                parsePlaybook(`
+target:
+  product: demo
+steps:
+  - action: template
+    source: a.j2
+`),
+            /`destination` is required for action "template"/,
+        );
+    });
+});
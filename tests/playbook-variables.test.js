@@ -2,6 +2,8 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { parsePlaybook } from '../lib/playbook/loader.js';
 import { coerceCliVarValue, listVariables, resolveVarScope } from '../lib/playbook/vars.js';
+import { createVarSourceResolver } from '../lib/playbook/var-sources.js';
+import { buildDryRunPlan } from '../lib/playbook/runner.js';
 
 const stepsOnly = `
 steps:
@@ -223,3 +225,92 @@ describe('coerceCliVarValue', () => {
         assert.equal(coerceCliVarValue(pb, 'ghost', 'boo'), 'boo');
     });
 });
+
+describe('playbook variables — per-device sources', () => {
+    const pb = makePb(
+        [
+            '  ntp_server:',
+            '    from_property: site_config.ntp_server',
+            '    default: pool.ntp.org',
+            '  fw_channel:',
+            '    from_product_property: release.channel',
+            '    required: true',
+            '  region:',
+            '    by_group:',
+            '      eu-west: eu',
+            '      us-east: us',
+            '    default: global',
+        ].join('\n'),
+    );
+
+    function fetchers() {
+        const calls = [];
+        return {
+            calls,
+            fetchDeviceProperty: async (deviceId, property) => {
+                calls.push(`device:${deviceId}:${property}`);
+                if (deviceId === 'd2') {
+                    const err = new Error('Property not found');
+                    err.status = 404;
+                    throw err;
+                }
+                return { ntp_server: `ntp.${deviceId}.lan` };
+            },
+            fetchProductProperty: async (productId, property) => {
+                calls.push(`product:${productId}:${property}`);
+                return { channel: 'stable' };
+            },
+        };
+    }
+
+    it('validates the source fields', () => {
+        assert.throws(() => makePb('  x:\n    from_property: "bad name"\n'), /must be a property name/);
+        assert.throws(
+            () => makePb('  x:\n    from_property: a\n    by_group: {}\n'),
+            /use only one of from_property, from_product_property, by_group/,
+        );
+        assert.throws(() => makePb('  x:\n    by_group: [a]\n'), /must be a mapping of asset group/);
+        assert.equal(listVariables(pb)[0].source, 'device property site_config.ntp_server');
+    });
+
+    it('does not demand a value for required sourced vars up front', () => {
+        assert.doesNotThrow(() => resolveVarScope(pb, {}));
+    });
+
+    it('resolves values per device and caches product properties', async () => {
+        const f = fetchers();
+        const resolve = createVarSourceResolver(pb, f);
+        assert.deepEqual(await resolve({ device: 'd1', product: 'gw', asset_group: 'eu-west' }), {
+            ntp_server: 'ntp.d1.lan',
+            fw_channel: 'stable',
+            region: 'eu',
+        });
+        // Missing property and unknown group fall back to the defaults.
+        assert.deepEqual(await resolve({ device: 'd2', product: 'gw', asset_group: 'apac' }), { fw_channel: 'stable' });
+        assert.equal(f.calls.filter((c) => c.startsWith('product:')).length, 1);
+    });
+
+    it('lets explicit overrides win and fails required vars without a value', async () => {
+        const resolve = createVarSourceResolver(pb, { ...fetchers(), overrides: { ntp_server: 'time.lan' } });
+        const values = await resolve({ device: 'd1', product: 'gw' });
+        assert.equal('ntp_server' in values, false);
+        await assert.rejects(resolve({ device: 'd1' }), /"fw_channel" has no value \(product property release.channel not set\)/);
+    });
+
+    it('shows the source in the dry-run plan', () => {
+        const plan = buildDryRunPlan(
+            parsePlaybook(`
+target:
+  product: demo
+vars:
+  ntp_server:
+    from_property: site_config.ntp_server
+steps:
+  - action: exec
+    command: "echo {{ ntp_server }}"
+`),
+            { overrides: {} },
+        );
+        assert.equal(plan[0].summary, 'exec: echo <device property site_config.ntp_server>');
+    });
+});
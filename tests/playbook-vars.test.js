@@ -45,4 +45,49 @@ describe('interpolate', () => {
     it('coerces non-string scope values to strings on substitution', () => {
         assert.equal(interpolate('port={{ p }}', { p: 8080 }), 'port=8080');
     });
+
+    it('resolves dotted paths into registered results', () => {
+        assert.equal(interpolate('got {{ check.result }}', { check: { result: 'ok' } }), 'got ok');
+    });
+
+    it('renders composite values as JSON', () => {
+        assert.equal(interpolate('{{ cfg }}', { cfg: { a: 1 } }), '{"a":1}');
+    });
+
+    it('falls back to default() for undefined variables', () => {
+        assert.equal(interpolate("{{ who | default('anon') }}", {}), 'anon');
+        assert.equal(interpolate("{{ who | default('anon') }}", { who: 'bob' }), 'bob');
+    });
+
+    it('keeps braces inside quoted filter arguments', () => {
+        assert.equal(interpolate("{{ who | default('}') }}", {}), '}');
+        assert.equal(interpolate('[{{ who | default("a}}b") }}]', {}), '[a}}b]');
+        assert.equal(interpolate("{{ who | default('it\\'s }') }}", {}), "it's }");
+    });
+
+    it('applies case, json and base64 filters', () => {
+        const scope = { s: 'Web', o: { a: [1] } };
+        assert.equal(interpolate('{{ s | upper }}/{{ s | lower }}', scope), 'WEB/web');
+        assert.equal(interpolate('{{ o | json }}', scope), '{"a":[1]}');
+        assert.equal(interpolate('{{ s | b64encode }}', scope), 'V2Vi');
+    });
+
+    it('shell-quotes values with quote', () => {
+        assert.equal(
+            interpolate('rm -rf {{ p | quote }}', { p: "x'; reboot; echo '" }),
+            "rm -rf 'x'\\''; reboot; echo '\\'''",
+        );
+        assert.equal(interpolate('echo {{ p | quote }}', { p: '$(id)' }), "echo '$(id)'");
+    });
+
+    it('rejects unknown filters', () => {
+        assert.throws(() => interpolate('{{ v | nope }}', { v: 1 }), /Unknown filter "nope"/);
+    });
+
+    it('leaves Go-template braces untouched', () => {
+        assert.equal(
+            interpolate("docker ps --format '{{.Names}}' {{json .Config}}", {}),
+            "docker ps --format '{{.Names}}' {{json .Config}}",
+        );
+    });
 });
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkWaitParams, describeWait, portListening } from '../lib/playbook/wait-for.js';
+import { CHECKERS, HANDLERS } from '../lib/playbook/actions.js';
+import { ACTION_BY_NAME } from '../lib/playbook/schema.js';
+
+const SS = `State  Recv-Q Send-Q Local Address:Port Peer Address:Port
+LISTEN 0      128          0.0.0.0:22        0.0.0.0:*
+LISTEN 0      511             [::]:8080         [::]:*
+`;
+const NETSTAT = `Active Internet connections (only servers)
+Proto Recv-Q Send-Q Local Address           Foreign Address         State
+tcp        0      0 127.0.0.1:1883          0.0.0.0:*               LISTEN
+`;
+
+/** Fake device API whose `ss` output changes after `readyAfter` polls. */
+function portHost(readyAfter) {
+    let polls = 0;
+    const api = {
+        async exec() {
+            polls += 1;
+            return { stdout: polls > readyAfter ? SS : '', retcode: 0 };
+        },
+    };
+    return { polls: () => polls, ctx: { api } };
+}
+
+describe('wait_for conditions', () => {
+    it('finds listening ports in ss and netstat output', () => {
+        assert.equal(portListening(SS, 8080), true);
+        assert.equal(portListening(SS, 80), false);
+        assert.equal(portListening(NETSTAT, 1883), true);
+        assert.equal(portListening(NETSTAT, 188), false);
+    });
+
+    it('requires exactly one valid target', () => {
+        assert.throws(() => checkWaitParams({}), /exactly one of/);
+        assert.throws(() => checkWaitParams({ port: 22, path: '/x' }), /exactly one of/);
+        assert.throws(() => checkWaitParams({ port: 70000 }), /between 1 and 65535/);
+        assert.throws(() => checkWaitParams({ process: 'nginx; reboot' }), /invalid process name/);
+        assert.throws(() => checkWaitParams({ port: 22, search_regex: 'x' }), /only applies to `path`/);
+        assert.throws(() => checkWaitParams({ command: 'true', state: 'absent' }), /does not apply/);
+        assert.doesNotThrow(() => checkWaitParams({ path: '/var/log/app.log', search_regex: '^ready', timeout: 60 }));
+    });
+
+    it('describes the wait in the dry-run label', () => {
+        assert.equal(
+            ACTION_BY_NAME.wait_for.summary({ port: 8080, timeout: 60 }),
+            'wait_for port 8080 listening (timeout 60s, every 5s)',
+        );
+        assert.equal(describeWait({ path: '/run/app.lock', state: 'absent' }), '/run/app.lock absent');
+    });
+});
+
+describe('wait_for action', () => {
+    it('polls until the port is listening', async () => {
+        const host = portHost(2);
+        const out = await HANDLERS.wait_for(host.ctx, { port: 8080, interval: 0.01 });
+        assert.equal(host.polls(), 3);
+        assert.match(out.summary, /^port 8080 listening after \d+s$/);
+    });
+
+    it('fails with a clear message when the timeout elapses', async () => {
+        await assert.rejects(
+            HANDLERS.wait_for(portHost(Infinity).ctx, { port: 8080, timeout: 0.05, interval: 0.01 }),
+            /timed out after 0\.05s waiting for port 8080 listening/,
+        );
+    });
+
+    it('keeps polling through errors and reports the last one', async () => {
+        const api = {
+            async exec() {
+                throw new Error('device offline');
+            },
+        };
+        await assert.rejects(
+            HANDLERS.wait_for({ api }, { command: 'curl -sf localhost', timeout: 0.03, interval: 0.01 }),
+            /\(last error: device offline\)$/,
+        );
+    });
+
+    it('matches file content with search_regex', async () => {
+        const api = {
+            async readFile() {
+                return Buffer.from('starting\nready on :8080\n', 'utf8');
+            },
+        };
+        const verdict = await CHECKERS.wait_for({ api }, { path: '/var/log/app.log', search_regex: '^ready' });
+        assert.equal(verdict.status, 'unchanged');
+    });
+
+    it('reports unknown in check mode while the condition does not hold', async () => {
+        const verdict = await CHECKERS.wait_for(portHost(Infinity).ctx, { port: 8080 });
+        assert.deepEqual(verdict, { status: 'unknown', summary: 'would wait up to 300s for port 8080 listening' });
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWaves, planWaves, resolveRolloutStrategy } from '../lib/playbook/waves.js';
+import { runFleetPlaybook } from '../lib/playbook/fleet.js';
+import { parsePlaybook } from '../lib/playbook/loader.js';
+
+const makeDevices = (n) => Array.from({ length: n }, (_, i) => ({ device: `d${i + 1}` }));
+const allOk = async (_pb, devs) => devs.map((d) => ({ device: d.device, ok: true, steps: [] }));
+
+describe('wave planning', () => {
+    it('parses CLI and YAML wave lists', () => {
+        assert.deepEqual(parseWaves('1, 5%,25%,100%'), [1, '5%', '25%', '100%']);
+        assert.deepEqual(parseWaves([2, '10', '12.5%']), [2, 10, '12.5%']);
+        assert.throws(() => parseWaves('0,50%'), /invalid wave "0"/);
+        assert.throws(() => parseWaves(['150%']), /invalid wave "150%"/);
+        assert.throws(() => parseWaves([]), /non-empty list/);
+    });
+
+    it('splits the fleet into cumulative waves', () => {
+        assert.deepEqual(
+            planWaves([1, '5%', '25%', '100%'], 100).map((w) => [w.label, w.size]),
+            [['1', 1], ['5%', 4], ['25%', 20], ['100%', 75]],
+        );
+    });
+
+    it('drops empty waves and covers the rest of the fleet', () => {
+        assert.deepEqual(
+            planWaves([1, '5%', '25%'], 6).map((w) => [w.label, w.size]),
+            [['1', 1], ['25%', 1], ['100%', 4]],
+        );
+    });
+
+    it('reads target.rollout and lets the run override it', () => {
+        const pb = parsePlaybook(
+            'target:\n  product: demo\n  rollout: { waves: [1, 50%], soak: 30, approve: true }\nsteps:\n  - action: sleep\n    seconds: 1\n',
+        );
+        assert.deepEqual(pb.target.rollout, { waves: [1, '50%'], soak: 30, approve: true, gates: [] });
+        assert.deepEqual(resolveRolloutStrategy(pb, { approve: false }), {
+            waves: [1, '50%'],
+            soak: 30,
+            approve: false,
+            gates: [],
+        });
+        assert.throws(
+            () => parsePlaybook('target:\n  product: demo\n  rollout: { waves: [x], pause: 1 }\nsteps: []\n'),
+            /target\.rollout`: unknown key "pause"[\s\S]*target\.rollout\.waves`: invalid wave "x"/,
+        );
+    });
+});
+
+describe('runFleetPlaybook — waves', () => {
+    it('runs one batch per wave, soaking and asking in between', async () => {
+        const events = [];
+        const result = await runFleetPlaybook({ steps: [] }, makeDevices(10), {
+            waves: [1, '50%', '100%'],
+            soakSeconds: 60,
+            sleep: async (ms) => {
+                events.push(`soak ${ms}`);
+            },
+            approve: ({ index, wave, cumulative }) => {
+                events.push(`approve ${index} ${wave} after ${cumulative.attempted}`);
+                return true;
+            },
+            runBatch: async (pb, devs, o) => {
+                events.push(`run ${devs.length} x${o.concurrency}`);
+                return allOk(pb, devs);
+            },
+        });
+        assert.deepEqual(events, [
+            'run 1 x1',
+            'soak 60000',
+            'approve 1 50% after 1',
+            'run 4 x4',
+            'soak 60000',
+            'approve 2 100% after 5',
+            'run 5 x5',
+        ]);
+        assert.deepEqual(
+            result.batches.map((b) => [b.wave, b.firstIndex, b.size]),
+            [['1', 0, 1], ['50%', 1, 4], ['100%', 5, 5]],
+        );
+        assert.equal(result.succeeded, 10);
+    });
+
+    it('caps parallelism within a wave at batchSize', async () => {
+        const concurrency = [];
+        await runFleetPlaybook({ steps: [] }, makeDevices(20), {
+            waves: ['100%'],
+            batchSize: 3,
+            runBatch: async (pb, devs, o) => {
+                concurrency.push(o.concurrency);
+                return allOk(pb, devs);
+            },
+        });
+        assert.deepEqual(concurrency, [3]);
+    });
+
+    it('stops with not-approved when a wave is refused', async () => {
+        const result = await runFleetPlaybook({ steps: [] }, makeDevices(4), {
+            waves: [1, '100%'],
+            approve: () => false,
+            runBatch: allOk,
+        });
+        assert.equal(result.aborted, true);
+        assert.equal(result.reason, 'not-approved');
+        assert.equal(result.attempted, 1);
+        assert.deepEqual(
+            result.results.slice(1).map((r) => r.error),
+            Array(3).fill('aborted (next wave not approved)'),
+        );
+    });
+});